@@ -1,7 +1,8 @@
 /**
  * Admin Settings JavaScript
  *
- * Handles test connection functionality on the JP WP AI settings page.
+ * Handles test connection functionality, the model dropdowns, the prompt
+ * templates and the translation glossary on the JP WP AI settings page.
  */
 
 (function ($) {
@@ -11,6 +12,7 @@
 		const $testButton = $('#jp-wp-ai-test-connection');
 		const $statusDiv = $('#jp-wp-ai-connection-status');
 		const $apiKeyInput = $('#jp_wp_ai_openai_api_key');
+		const $baseUrlInput = $('#jp_wp_ai_openai_base_url');
 
 		// Enable/disable test button based on API key input.
 		$apiKeyInput.on('input', function () {
@@ -35,6 +37,8 @@
 				data: {
 					action: 'jp_wp_ai_test_openai_connection',
 					nonce: jpWpAiSettings.nonce,
+					base_url: $baseUrlInput.val(),
+					api_key: $apiKeyInput.val(),
 				},
 				success: function (response) {
 					if (response.success) {
@@ -43,6 +47,7 @@
 								response.data.message +
 								'</p></div>'
 						);
+						fillModelSelects(response.data.models);
 					} else {
 						$statusDiv.html(
 							'<div class="notice notice-error inline"><p>' +
@@ -67,6 +72,124 @@
 				},
 			});
 		});
+
+		/**
+		 * Lists the models in the model dropdowns, keeping their selection.
+		 *
+		 * @param {string[]} models Model IDs.
+		 */
+		function fillModelSelects(models) {
+			$('.jp-wp-ai-model-select').each(function () {
+				const $select = $(this);
+				const selected = $select.val();
+
+				// Keep the default option, and the selected model even if the
+				// API no longer lists it.
+				$select.find('option').not('[value=""]').remove();
+
+				models.concat(selected && !models.includes(selected) ? [selected] : []).forEach(function (model) {
+					$select.append($('<option>').val(model).text(model));
+				});
+
+				$select.val(selected);
+			});
+		}
+
+		// Prompt templates.
+		$('.jp-wp-ai-prompt-reset').on('click', function () {
+			const $template = $(this).closest('.jp-wp-ai-prompt').find('.jp-wp-ai-prompt-template');
+			// Read as is: .data() would try to parse templates in braces as JSON.
+			const defaultPrompt = $template.attr('data-default');
+
+			if ($template.val() === defaultPrompt || window.confirm(jpWpAiSettings.strings.confirmReset)) {
+				$template.val(defaultPrompt).trigger('focus');
+			}
+		});
+
+		$('.jp-wp-ai-prompt-run').on('click', function () {
+			const $button = $(this);
+			const $prompt = $button.closest('.jp-wp-ai-prompt');
+			const $result = $prompt.find('.jp-wp-ai-prompt-result');
+			const originalText = $button.text();
+			const sample = {};
+
+			$prompt.find('[data-sample]').each(function () {
+				sample[$(this).data('sample')] = $(this).val();
+			});
+
+			$button.prop('disabled', true).text(jpWpAiSettings.strings.running);
+			$result.empty();
+
+			$.ajax({
+				url: jpWpAiSettings.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'jp_wp_ai_test_prompt',
+					nonce: jpWpAiSettings.promptNonce,
+					feature: $prompt.data('feature'),
+					template: $prompt.find('.jp-wp-ai-prompt-template').val(),
+					sample: sample,
+				},
+				success: function (response) {
+					if (response.success) {
+						// The result is model output, so it is shown as text.
+						$result.append(
+							$('<p>').append($('<strong>').text(jpWpAiSettings.strings.resultLabel)),
+							$('<div>').css('white-space', 'pre-wrap').text(response.data.result)
+						);
+					} else {
+						showPromptError($result, response.data.message);
+					}
+				},
+				error: function (xhr) {
+					let message = jpWpAiSettings.strings.error;
+					if (xhr.responseJSON && xhr.responseJSON.data && xhr.responseJSON.data.message) {
+						message = xhr.responseJSON.data.message;
+					}
+					showPromptError($result, message);
+				},
+				complete: function () {
+					$button.prop('disabled', false).text(originalText);
+				},
+			});
+		});
+
+		/**
+		 * Shows an error in the result area of a prompt test.
+		 *
+		 * @param {jQuery} $result Result area.
+		 * @param {string} message Error message.
+		 */
+		function showPromptError($result, message) {
+			$result.append($('<div class="notice notice-error inline">').append($('<p>').text(message)));
+		}
+
+		// Translation glossary rows.
+		const $glossary = $('.jp-wp-ai-glossary tbody');
+		const rowTemplate = document.getElementById('jp-wp-ai-glossary-row');
+		let nextIndex = $glossary.children('tr').length;
+
+		$('.jp-wp-ai-glossary-add').on('click', function () {
+			if (!rowTemplate) {
+				return;
+			}
+
+			const $row = $(rowTemplate.innerHTML.replace(/__INDEX__/g, nextIndex++));
+			$glossary.append($row);
+			$row.find('input[type="text"]').first().trigger('focus');
+		});
+
+		$glossary.on('click', '.jp-wp-ai-glossary-remove', function () {
+			$(this).closest('tr').remove();
+		});
+
+		// Terms that are never translated need no translations.
+		$glossary.on('change', '.jp-wp-ai-glossary-never', function () {
+			$(this)
+				.closest('tr')
+				.find('.jp-wp-ai-glossary-translations')
+				.prop('hidden', this.checked);
+		});
 	});
 })(jQuery);
 
@@ -17,6 +17,15 @@ use JP\WP_AI\Services\OpenAI_Client;
  * @since 1.0.0
  */
 class Settings_Page {
+	/**
+	 * Option holding the models the endpoint listed on the last connection
+	 * test, with the base URL they came from.
+	 *
+	 * @since 1.1.0
+	 * @var string
+	 */
+	private const AVAILABLE_MODELS_OPTION = 'jp_wp_ai_available_models';
+
 	/**
 	 * Registers the settings page and related hooks.
 	 *
@@ -26,6 +35,7 @@ class Settings_Page {
 		add_action( 'admin_menu', array( __CLASS__, 'add_settings_page' ) );
 		add_action( 'admin_init', array( __CLASS__, 'register_settings' ) );
 		add_action( 'wp_ajax_jp_wp_ai_test_openai_connection', array( __CLASS__, 'ajax_test_connection' ) );
+		add_action( 'wp_ajax_jp_wp_ai_test_prompt', array( __CLASS__, 'ajax_test_prompt' ) );
 		add_action( 'admin_enqueue_scripts', array( __CLASS__, 'enqueue_scripts' ) );
 	}
 
@@ -60,13 +70,51 @@ class Settings_Page {
 			)
 		);
 
+		register_setting(
+			'jp_wp_ai_settings',
+			OpenAI_Client::BASE_URL_OPTION,
+			array(
+				'type'              => 'string',
+				'sanitize_callback' => array( __CLASS__, 'sanitize_base_url' ),
+				'default'           => '',
+			)
+		);
+
+		register_setting(
+			'jp_wp_ai_settings',
+			OpenAI_Client::MODELS_OPTION,
+			array(
+				'type'              => 'array',
+				'sanitize_callback' => array( __CLASS__, 'sanitize_models' ),
+				'default'           => array(),
+			)
+		);
+
+		register_setting(
+			'jp_wp_ai_settings',
+			OpenAI_Client::PROMPTS_OPTION,
+			array(
+				'type'              => 'array',
+				'sanitize_callback' => array( __CLASS__, 'sanitize_prompts' ),
+				'default'           => array(),
+			)
+		);
+
 		add_settings_section(
 			'jp_wp_ai_openai_section',
-			__( 'OpenAI Configuration', 'jp-wp-ai' ),
+			__( 'AI Provider', 'jp-wp-ai' ),
 			array( __CLASS__, 'render_openai_section' ),
 			'jp-wp-ai-settings'
 		);
 
+		add_settings_field(
+			OpenAI_Client::BASE_URL_OPTION,
+			__( 'API Base URL', 'jp-wp-ai' ),
+			array( __CLASS__, 'render_base_url_field' ),
+			'jp-wp-ai-settings',
+			'jp_wp_ai_openai_section'
+		);
+
 		add_settings_field(
 			'jp_wp_ai_openai_api_key',
 			__( 'API Key', 'jp-wp-ai' ),
@@ -74,6 +122,232 @@ class Settings_Page {
 			'jp-wp-ai-settings',
 			'jp_wp_ai_openai_section'
 		);
+
+		add_settings_field(
+			OpenAI_Client::MODELS_OPTION,
+			__( 'Models', 'jp-wp-ai' ),
+			array( __CLASS__, 'render_models_field' ),
+			'jp-wp-ai-settings',
+			'jp_wp_ai_openai_section'
+		);
+
+		add_settings_section(
+			'jp_wp_ai_prompts_section',
+			__( 'Prompts', 'jp-wp-ai' ),
+			array( __CLASS__, 'render_prompts_section' ),
+			'jp-wp-ai-settings'
+		);
+
+		foreach ( self::get_prompt_features() as $feature => $prompt ) {
+			add_settings_field(
+				OpenAI_Client::PROMPTS_OPTION . '-' . $feature,
+				$prompt['label'],
+				array( __CLASS__, 'render_prompt_field' ),
+				'jp-wp-ai-settings',
+				'jp_wp_ai_prompts_section',
+				array(
+					'feature'   => $feature,
+					'label_for' => OpenAI_Client::PROMPTS_OPTION . '-' . $feature,
+				)
+			);
+		}
+	}
+
+	/**
+	 * Gets the features that have their own model, with their labels.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @return array<string, string> Labels keyed by feature.
+	 */
+	private static function get_model_features(): array {
+		return array(
+			'alt_text'    => __( 'Alt text (needs image input)', 'jp-wp-ai' ),
+			'summary'     => __( 'Summaries', 'jp-wp-ai' ),
+			'translation' => __( 'Translation', 'jp-wp-ai' ),
+		);
+	}
+
+	/**
+	 * Gets the features that have an editable prompt, with their labels and
+	 * placeholders.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @return array<string, array> Prompt details keyed by feature: 'label',
+	 *                              'placeholders' (descriptions keyed by name)
+	 *                              and 'required' (names the prompt must use).
+	 */
+	private static function get_prompt_features(): array {
+		return array(
+			'alt_text'    => array(
+				'label'        => __( 'Alt text', 'jp-wp-ai' ),
+				'placeholders' => array(
+					'context' => __( 'What the image is used for, such as the title of the post it belongs to. May be empty. The image itself is sent with the prompt.', 'jp-wp-ai' ),
+				),
+				'required'     => array(),
+			),
+			'summary'     => array(
+				'label'        => __( 'Summaries', 'jp-wp-ai' ),
+				'placeholders' => array(
+					'content'    => __( 'The text to summarize.', 'jp-wp-ai' ),
+					'max_length' => __( 'The requested length, in words or, for the social style, characters.', 'jp-wp-ai' ),
+					'style'      => __( 'The instructions of the requested summary style, including the length.', 'jp-wp-ai' ),
+				),
+				'required'     => array( 'content' ),
+			),
+			'translation' => array(
+				'label'        => __( 'Translation', 'jp-wp-ai' ),
+				'placeholders' => array(
+					'content'     => __( 'The texts to translate, as a JSON object. The answer must be a JSON object with the same keys.', 'jp-wp-ai' ),
+					'target_lang' => __( 'The name of the language to translate into.', 'jp-wp-ai' ),
+					'source_lang' => __( 'The name of the original language, or "its original language" when it is detected.', 'jp-wp-ai' ),
+					'glossary'    => __( 'The glossary instructions, or nothing when no glossary term applies.', 'jp-wp-ai' ),
+				),
+				'required'     => array( 'content' ),
+			),
+		);
+	}
+
+	/**
+	 * Cleans up a prompt template or sample text as the admin typed it.
+	 *
+	 * Prompts are sent to the API and never output as HTML, so markup and
+	 * percent signs in them are kept. Only invalid UTF-8 and control
+	 * characters other than newlines and tabs are dropped.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param mixed $text Submitted text, already unslashed.
+	 * @return string Cleaned text with Unix line endings.
+	 */
+	private static function sanitize_prompt_text( $text ): string {
+		$text = str_replace( "\r\n", "\n", wp_check_invalid_utf8( is_string( $text ) ? $text : '', true ) );
+
+		return (string) preg_replace( '/[\x00-\x08\x0B-\x1F\x7F]/', '', $text );
+	}
+
+	/**
+	 * Checks that a prompt template uses the placeholders its feature needs.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param string $feature  Feature.
+	 * @param string $template Prompt template.
+	 * @return string|null Error message, or null if the template is valid.
+	 */
+	private static function validate_prompt( string $feature, string $template ): ?string {
+		$prompt = self::get_prompt_features()[ $feature ];
+
+		foreach ( $prompt['required'] as $placeholder ) {
+			if ( false === strpos( $template, '{' . $placeholder . '}' ) ) {
+				return sprintf(
+					/* translators: 1: Feature name, 2: Placeholder. */
+					__( 'The %1$s prompt must contain %2$s.', 'jp-wp-ai' ),
+					$prompt['label'],
+					'{' . $placeholder . '}'
+				);
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Sanitizes the prompt templates.
+	 *
+	 * Prompts that are empty or equal to the default are not stored, so they
+	 * follow changes to the default. Prompts that lack a required placeholder
+	 * keep the saved value.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param mixed $value Submitted value.
+	 * @return array<string, string> Prompt templates keyed by feature.
+	 */
+	public static function sanitize_prompts( $value ): array {
+		$saved   = get_option( OpenAI_Client::PROMPTS_OPTION, array() );
+		$prompts = array();
+
+		foreach ( array_keys( self::get_prompt_features() ) as $feature ) {
+			$template = trim( self::sanitize_prompt_text( ( (array) $value )[ $feature ] ?? '' ) );
+
+			if ( '' === $template || OpenAI_Client::DEFAULT_PROMPTS[ $feature ] === $template ) {
+				continue;
+			}
+
+			$error = self::validate_prompt( $feature, $template );
+
+			if ( null !== $error ) {
+				add_settings_error( 'jp_wp_ai_messages', 'jp_wp_ai_invalid_prompt_' . $feature, $error );
+
+				if ( ! empty( $saved[ $feature ] ) ) {
+					$prompts[ $feature ] = $saved[ $feature ];
+				}
+
+				continue;
+			}
+
+			$prompts[ $feature ] = $template;
+		}
+
+		return $prompts;
+	}
+
+	/**
+	 * Sanitizes the API base URL.
+	 *
+	 * An empty value uses the OpenAI API. Invalid URLs keep the saved value.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param mixed $value Submitted value.
+	 * @return string The base URL.
+	 */
+	public static function sanitize_base_url( $value ): string {
+		$value = trim( (string) $value );
+
+		if ( '' === $value ) {
+			return '';
+		}
+
+		$base_url = esc_url_raw( $value, array( 'http', 'https' ) );
+
+		if ( '' === $base_url ) {
+			add_settings_error(
+				'jp_wp_ai_messages',
+				'jp_wp_ai_invalid_base_url',
+				__( 'The API base URL must be an http or https URL.', 'jp-wp-ai' )
+			);
+
+			return (string) get_option( OpenAI_Client::BASE_URL_OPTION, '' );
+		}
+
+		return untrailingslashit( $base_url );
+	}
+
+	/**
+	 * Sanitizes the models of the features.
+	 *
+	 * Features without a model use the default one.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param mixed $value Submitted value.
+	 * @return array<string, string> Model IDs keyed by feature.
+	 */
+	public static function sanitize_models( $value ): array {
+		$models = array();
+
+		foreach ( array_keys( self::get_model_features() ) as $feature ) {
+			$model = sanitize_text_field( ( (array) $value )[ $feature ] ?? '' );
+
+			if ( '' !== $model ) {
+				$models[ $feature ] = $model;
+			}
+		}
+
+		return $models;
 	}
 
 	/**
@@ -87,7 +361,7 @@ class Settings_Page {
 			<?php
 			printf(
 				/* translators: %s: OpenAI API keys URL */
-				esc_html__( 'Configure your OpenAI API key to enable AI-powered features. You can obtain an API key from %s.', 'jp-wp-ai' ),
+				esc_html__( 'Configure your OpenAI API key to enable AI-powered features, or point the plugin at any OpenAI-compatible API, such as a self-hosted server. You can obtain an OpenAI API key from %s.', 'jp-wp-ai' ),
 				'<a href="https://platform.openai.com/api-keys" target="_blank" rel="noopener noreferrer">OpenAI Platform</a>'
 			);
 			?>
@@ -95,6 +369,27 @@ class Settings_Page {
 		<?php
 	}
 
+	/**
+	 * Renders the API base URL field.
+	 *
+	 * @since 1.1.0
+	 */
+	public static function render_base_url_field(): void {
+		?>
+		<input
+			type="url"
+			id="<?php echo esc_attr( OpenAI_Client::BASE_URL_OPTION ); ?>"
+			name="<?php echo esc_attr( OpenAI_Client::BASE_URL_OPTION ); ?>"
+			value="<?php echo esc_attr( get_option( OpenAI_Client::BASE_URL_OPTION, '' ) ); ?>"
+			class="regular-text code"
+			placeholder="<?php echo esc_attr( OpenAI_Client::DEFAULT_BASE_URL ); ?>"
+		/>
+		<p class="description">
+			<?php esc_html_e( 'Leave empty to use OpenAI. For another OpenAI-compatible API, enter the URL its /models and /chat/completions endpoints start with. Servers that need no key accept any API key.', 'jp-wp-ai' ); ?>
+		</p>
+		<?php
+	}
+
 	/**
 	 * Renders the API key field.
 	 *
@@ -127,6 +422,192 @@ class Settings_Page {
 		<?php
 	}
 
+	/**
+	 * Renders a model dropdown for each feature.
+	 *
+	 * The dropdowns list the models of the last connection test with the
+	 * current base URL, and Test Connection fills them in again.
+	 *
+	 * @since 1.1.0
+	 */
+	public static function render_models_field(): void {
+		$saved     = get_option( OpenAI_Client::MODELS_OPTION, array() );
+		$available = get_option( self::AVAILABLE_MODELS_OPTION, array() );
+		$models    = ( $available['base_url'] ?? '' ) === OpenAI_Client::get_base_url() ? (array) ( $available['models'] ?? array() ) : array();
+		?>
+		<fieldset>
+			<?php foreach ( self::get_model_features() as $feature => $label ) : ?>
+				<?php
+				$id      = OpenAI_Client::MODELS_OPTION . '-' . $feature;
+				$current = (string) ( $saved[ $feature ] ?? '' );
+				$options = '' !== $current ? array_unique( array_merge( array( $current ), $models ) ) : $models;
+				?>
+				<p>
+					<label for="<?php echo esc_attr( $id ); ?>" style="display: inline-block; min-width: 14em;">
+						<?php echo esc_html( $label ); ?>
+					</label>
+					<select
+						id="<?php echo esc_attr( $id ); ?>"
+						name="<?php echo esc_attr( OpenAI_Client::MODELS_OPTION . '[' . $feature . ']' ); ?>"
+						class="jp-wp-ai-model-select"
+					>
+						<option value="">
+							<?php
+							printf(
+								/* translators: %s: Model ID. */
+								esc_html__( 'Default (%s)', 'jp-wp-ai' ),
+								esc_html( OpenAI_Client::DEFAULT_MODELS[ $feature ] )
+							);
+							?>
+						</option>
+						<?php foreach ( $options as $model ) : ?>
+							<option value="<?php echo esc_attr( $model ); ?>" <?php selected( $current, $model ); ?>>
+								<?php echo esc_html( $model ); ?>
+							</option>
+						<?php endforeach; ?>
+					</select>
+				</p>
+			<?php endforeach; ?>
+		</fieldset>
+		<p class="description">
+			<?php esc_html_e( 'Click Test Connection to list the models your API offers. The defaults are OpenAI models, so choose a model for each feature when using another API.', 'jp-wp-ai' ); ?>
+		</p>
+		<?php
+	}
+
+	/**
+	 * Renders the prompts section description.
+	 *
+	 * @since 1.1.0
+	 */
+	public static function render_prompts_section(): void {
+		?>
+		<p>
+			<?php esc_html_e( 'Change the instructions the AI gets for each feature, for example to match your house style. Placeholders in braces are replaced with the content of each request. Test a prompt before saving it; the test uses your saved API settings and counts towards your API usage.', 'jp-wp-ai' ); ?>
+		</p>
+		<?php
+	}
+
+	/**
+	 * Renders the prompt template field of a feature, with a test panel that
+	 * runs the edited template against a sample input.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param array $args Field arguments, with the 'feature'.
+	 */
+	public static function render_prompt_field( array $args ): void {
+		$feature = $args['feature'];
+		$prompt  = self::get_prompt_features()[ $feature ];
+		$saved   = get_option( OpenAI_Client::PROMPTS_OPTION, array() );
+		$id      = OpenAI_Client::PROMPTS_OPTION . '-' . $feature;
+		?>
+		<div class="jp-wp-ai-prompt" data-feature="<?php echo esc_attr( $feature ); ?>">
+			<textarea
+				id="<?php echo esc_attr( $id ); ?>"
+				name="<?php echo esc_attr( OpenAI_Client::PROMPTS_OPTION . '[' . $feature . ']' ); ?>"
+				rows="6"
+				class="large-text code jp-wp-ai-prompt-template"
+				data-default="<?php echo esc_attr( OpenAI_Client::DEFAULT_PROMPTS[ $feature ] ); ?>"
+			><?php echo esc_textarea( ! empty( $saved[ $feature ] ) ? $saved[ $feature ] : OpenAI_Client::DEFAULT_PROMPTS[ $feature ] ); ?></textarea>
+			<ul class="description">
+				<?php foreach ( $prompt['placeholders'] as $placeholder => $description ) : ?>
+					<li>
+						<code><?php echo esc_html( '{' . $placeholder . '}' ); ?></code>
+						<?php
+						echo esc_html( $description );
+
+						if ( in_array( $placeholder, $prompt['required'], true ) ) {
+							echo ' ' . esc_html__( 'Required.', 'jp-wp-ai' );
+						}
+						?>
+					</li>
+				<?php endforeach; ?>
+			</ul>
+			<p>
+				<button type="button" class="button button-secondary jp-wp-ai-prompt-reset">
+					<?php esc_html_e( 'Reset to Default', 'jp-wp-ai' ); ?>
+				</button>
+			</p>
+			<details class="jp-wp-ai-prompt-test">
+				<summary><?php esc_html_e( 'Test this prompt', 'jp-wp-ai' ); ?></summary>
+				<?php self::render_prompt_sample( $feature ); ?>
+				<p>
+					<button type="button" class="button button-secondary jp-wp-ai-prompt-run">
+						<?php esc_html_e( 'Run Test', 'jp-wp-ai' ); ?>
+					</button>
+				</p>
+				<div class="jp-wp-ai-prompt-result" aria-live="polite"></div>
+			</details>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Renders the sample input fields of a prompt test.
+	 *
+	 * The fields have no name, so they are not saved with the settings.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param string $feature Feature.
+	 */
+	private static function render_prompt_sample( string $feature ): void {
+		$id = 'jp-wp-ai-prompt-sample-' . $feature;
+
+		if ( 'alt_text' === $feature ) {
+			$images = get_posts(
+				array(
+					'post_type'      => 'attachment',
+					'post_mime_type' => 'image',
+					'post_status'    => 'inherit',
+					'posts_per_page' => 1,
+					'fields'         => 'ids',
+				)
+			);
+			?>
+			<p>
+				<label for="<?php echo esc_attr( $id ); ?>"><?php esc_html_e( 'Image URL', 'jp-wp-ai' ); ?></label><br />
+				<input
+					type="url"
+					id="<?php echo esc_attr( $id ); ?>"
+					class="large-text code"
+					data-sample="image_url"
+					value="<?php echo esc_attr( $images ? (string) wp_get_attachment_url( $images[0] ) : '' ); ?>"
+				/>
+			</p>
+			<p>
+				<label for="<?php echo esc_attr( $id . '-context' ); ?>"><?php esc_html_e( 'Context', 'jp-wp-ai' ); ?></label><br />
+				<input type="text" id="<?php echo esc_attr( $id . '-context' ); ?>" class="large-text" data-sample="context" value="" />
+			</p>
+			<?php
+			return;
+		}
+
+		$sample = __( 'WordPress is open source software you can use to create a beautiful website, blog, or app. It started as a blogging tool in 2003 and now powers a large share of the web, from personal sites to the sites of news organizations and businesses. Thousands of plugins and themes let site owners add features and change the design without writing code, and a community of volunteers translates it into many languages.', 'jp-wp-ai' );
+		?>
+		<p>
+			<label for="<?php echo esc_attr( $id ); ?>"><?php esc_html_e( 'Sample text', 'jp-wp-ai' ); ?></label><br />
+			<textarea id="<?php echo esc_attr( $id ); ?>" rows="4" class="large-text" data-sample="content"><?php echo esc_textarea( $sample ); ?></textarea>
+		</p>
+		<?php if ( 'summary' === $feature ) : ?>
+			<p>
+				<label for="<?php echo esc_attr( $id . '-length' ); ?>"><?php esc_html_e( 'Maximum length', 'jp-wp-ai' ); ?></label>
+				<input type="number" id="<?php echo esc_attr( $id . '-length' ); ?>" class="small-text" min="10" max="500" data-sample="max_length" value="50" />
+			</p>
+		<?php else : ?>
+			<p>
+				<label for="<?php echo esc_attr( $id . '-lang' ); ?>"><?php esc_html_e( 'Translate into', 'jp-wp-ai' ); ?></label>
+				<select id="<?php echo esc_attr( $id . '-lang' ); ?>" data-sample="target_lang">
+					<?php foreach ( OpenAI_Client::get_language_names() as $code => $name ) : ?>
+						<option value="<?php echo esc_attr( $code ); ?>" <?php selected( 'es', $code ); ?>><?php echo esc_html( $name ); ?></option>
+					<?php endforeach; ?>
+				</select>
+			</p>
+			<?php
+		endif;
+	}
+
 	/**
 	 * Renders the settings page.
 	 *
@@ -176,6 +657,8 @@ class Settings_Page {
 				submit_button( __( 'Save Settings', 'jp-wp-ai' ) );
 				?>
 			</form>
+
+			<?php Usage_Dashboard::render(); ?>
 		</div>
 		<?php
 	}
@@ -195,16 +678,136 @@ class Settings_Page {
 			);
 		}
 
-		$result = OpenAI_Client::test_connection();
+		// Test the values in the form, which may not be saved yet.
+		$base_url = isset( $_POST['base_url'] ) ? trim( sanitize_text_field( wp_unslash( $_POST['base_url'] ) ) ) : '';
+		$api_key  = isset( $_POST['api_key'] ) ? sanitize_text_field( wp_unslash( $_POST['api_key'] ) ) : '';
+
+		if ( '' !== $base_url ) {
+			$base_url = untrailingslashit( esc_url_raw( $base_url, array( 'http', 'https' ) ) );
+
+			if ( '' === $base_url ) {
+				wp_send_json_error(
+					array( 'message' => __( 'The API base URL must be an http or https URL.', 'jp-wp-ai' ) )
+				);
+			}
+		}
+
+		$models = OpenAI_Client::list_models( $base_url, $api_key );
+
+		if ( is_wp_error( $models ) ) {
+			wp_send_json_error(
+				array( 'message' => $models->get_error_message() )
+			);
+		}
+
+		update_option(
+			self::AVAILABLE_MODELS_OPTION,
+			array(
+				'base_url' => '' !== $base_url ? $base_url : OpenAI_Client::DEFAULT_BASE_URL,
+				'models'   => $models,
+			),
+			false
+		);
+
+		wp_send_json_success(
+			array(
+				'message' => sprintf(
+					/* translators: %d: Number of models. */
+					_n( 'Connection successful! The API offers %d model.', 'Connection successful! The API offers %d models.', count( $models ), 'jp-wp-ai' ),
+					count( $models )
+				),
+				'models'  => $models,
+			)
+		);
+	}
+
+	/**
+	 * Handles AJAX request to run a prompt template against a sample input.
+	 *
+	 * The template is used for this request only, so a prompt can be tried
+	 * before it is saved.
+	 *
+	 * @since 1.1.0
+	 */
+	public static function ajax_test_prompt(): void {
+		check_ajax_referer( 'jp-wp-ai-test-prompt', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error(
+				array( 'message' => __( 'Insufficient permissions.', 'jp-wp-ai' ) ),
+				403
+			);
+		}
+
+		$feature  = isset( $_POST['feature'] ) ? sanitize_key( wp_unslash( $_POST['feature'] ) ) : '';
+		$template = isset( $_POST['template'] ) ? trim( self::sanitize_prompt_text( wp_unslash( $_POST['template'] ) ) ) : ''; // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Sanitized for the API, never output as HTML.
+		$sample   = isset( $_POST['sample'] ) ? (array) wp_unslash( $_POST['sample'] ) : array(); // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Each value is sanitized where it is used.
+
+		if ( ! isset( self::get_prompt_features()[ $feature ] ) ) {
+			wp_send_json_error(
+				array( 'message' => __( 'Invalid feature.', 'jp-wp-ai' ) )
+			);
+		}
+
+		if ( '' === $template ) {
+			$template = OpenAI_Client::DEFAULT_PROMPTS[ $feature ];
+		}
+
+		$error = self::validate_prompt( $feature, $template );
+
+		if ( null !== $error ) {
+			wp_send_json_error(
+				array( 'message' => $error )
+			);
+		}
+
+		$use_template = static function ( $current, $prompt_feature ) use ( $feature, $template ) {
+			return $prompt_feature === $feature ? $template : $current;
+		};
+
+		add_filter( 'jp_wp_ai_prompt_template', $use_template, PHP_INT_MAX, 2 );
+
+		switch ( $feature ) {
+			case 'alt_text':
+				$image_url = esc_url_raw( (string) ( $sample['image_url'] ?? '' ), array( 'http', 'https' ) );
+				$result    = '' === $image_url
+					? new \WP_Error( 'missing_image', __( 'Enter the URL of an image to test with.', 'jp-wp-ai' ) )
+					: OpenAI_Client::generate_alt_text( $image_url, sanitize_text_field( (string) ( $sample['context'] ?? '' ) ) );
+				$output    = is_wp_error( $result ) ? $result : $result['alt_text'];
+				break;
+
+			case 'summary':
+				$max_length = min( 500, max( 10, absint( $sample['max_length'] ?? 50 ) ) );
+				$result     = OpenAI_Client::summarize_content( self::sanitize_prompt_text( $sample['content'] ?? '' ), $max_length );
+				$output     = is_wp_error( $result ) ? $result : $result['summary'];
+				break;
+
+			default:
+				$target_lang = sanitize_text_field( (string) ( $sample['target_lang'] ?? '' ) );
+
+				if ( ! isset( OpenAI_Client::get_language_names()[ $target_lang ] ) ) {
+					$output = new \WP_Error( 'invalid_language', __( 'Invalid target language.', 'jp-wp-ai' ) );
+					break;
+				}
+
+				// Paragraphs become segments, as the fragments of a page do.
+				$paragraphs = preg_split( '/\n\s*\n/', self::sanitize_prompt_text( $sample['content'] ?? '' ), -1, PREG_SPLIT_NO_EMPTY );
+				$result     = $paragraphs
+					? OpenAI_Client::translate_segments( array_combine( range( 1, count( $paragraphs ) ), $paragraphs ), $target_lang )
+					: new \WP_Error( 'missing_text', __( 'Enter a sample text to test with.', 'jp-wp-ai' ) );
+				$output     = is_wp_error( $result ) ? $result : implode( "\n\n", $result );
+		}
+
+		remove_filter( 'jp_wp_ai_prompt_template', $use_template, PHP_INT_MAX );
 
-		if ( is_wp_error( $result ) ) {
+		if ( is_wp_error( $output ) ) {
 			wp_send_json_error(
-				array( 'message' => $result->get_error_message() )
+				array( 'message' => $output->get_error_message() )
 			);
 		}
 
 		wp_send_json_success(
-			array( 'message' => __( 'Connection successful! Your API key is working correctly.', 'jp-wp-ai' ) )
+			array( 'result' => $output )
 		);
 	}
 
@@ -232,8 +835,15 @@ class Settings_Page {
 			'jp-wp-ai-admin-settings',
 			'jpWpAiSettings',
 			array(
-				'nonce'   => wp_create_nonce( 'jp-wp-ai-test-connection' ),
-				'ajaxUrl' => admin_url( 'admin-ajax.php' ),
+				'nonce'       => wp_create_nonce( 'jp-wp-ai-test-connection' ),
+				'promptNonce' => wp_create_nonce( 'jp-wp-ai-test-prompt' ),
+				'ajaxUrl'     => admin_url( 'admin-ajax.php' ),
+				'strings'     => array(
+					'running'      => __( 'Running...', 'jp-wp-ai' ),
+					'resultLabel'  => __( 'Result:', 'jp-wp-ai' ),
+					'confirmReset' => __( 'Replace this prompt with the default one? Your changes are lost when you save.', 'jp-wp-ai' ),
+					'error'        => __( 'An unexpected error occurred.', 'jp-wp-ai' ),
+				),
 			)
 		);
 	}
@@ -0,0 +1,435 @@
+<?php
+/**
+ * Usage Dashboard
+ *
+ * Shows the plugin's API usage and costs on the settings page.
+ *
+ * @package JP\WP_AI\Admin
+ */
+
+namespace JP\WP_AI\Admin;
+
+use JP\WP_AI\Services\Usage_Log;
+
+/**
+ * Renders the usage dashboard below the settings form: totals, daily
+ * charts and per-feature and per-post breakdowns of a period, with a CSV
+ * export of its log entries.
+ *
+ * @since 1.1.0
+ */
+class Usage_Dashboard {
+	/**
+	 * Periods the dashboard can show, in days.
+	 *
+	 * @since 1.1.0
+	 * @var int[]
+	 */
+	private const PERIODS = array( 7, 30, 90 );
+
+	/**
+	 * Columns of the CSV export.
+	 *
+	 * @since 1.1.0
+	 * @var string[]
+	 */
+	private const EXPORT_COLUMNS = array( 'created_at', 'feature', 'model', 'post_id', 'user_id', 'visitor', 'prompt_tokens', 'completion_tokens', 'cost', 'latency_ms', 'cache_hit', 'error' );
+
+	/**
+	 * Registers the hooks.
+	 *
+	 * @since 1.1.0
+	 */
+	public static function register(): void {
+		add_action( 'admin_post_jp_wp_ai_export_usage', array( __CLASS__, 'export_csv' ) );
+	}
+
+	/**
+	 * Gets the labels of the features.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @return array<string, string> Labels keyed by feature.
+	 */
+	private static function get_feature_labels(): array {
+		return array(
+			'alt_text'    => __( 'Alt text', 'jp-wp-ai' ),
+			'summary'     => __( 'Summaries', 'jp-wp-ai' ),
+			'translation' => __( 'Translation', 'jp-wp-ai' ),
+		);
+	}
+
+	/**
+	 * Gets the requested period.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @return int Number of days, one of PERIODS.
+	 */
+	private static function get_period(): int {
+		$days = isset( $_GET['usage_days'] ) ? absint( $_GET['usage_days'] ) : 30; // phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Read-only view option.
+
+		return in_array( $days, self::PERIODS, true ) ? $days : 30;
+	}
+
+	/**
+	 * Gets the dates of a period, in the site's time zone.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param int $days Number of days, today included.
+	 * @return string[] Dates (Y-m-d), oldest first.
+	 */
+	private static function get_dates( int $days ): array {
+		$dates = array();
+
+		for ( $day = $days - 1; $day >= 0; $day-- ) {
+			$dates[] = wp_date( 'Y-m-d', time() - $day * DAY_IN_SECONDS );
+		}
+
+		return $dates;
+	}
+
+	/**
+	 * Gets the start of a period as a GMT MySQL datetime.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param int $days Number of days, today included.
+	 * @return string Midnight of the first day, in GMT.
+	 */
+	private static function get_since( int $days ): string {
+		return get_gmt_from_date( self::get_dates( $days )[0] . ' 00:00:00' );
+	}
+
+	/**
+	 * Renders the dashboard.
+	 *
+	 * @since 1.1.0
+	 */
+	public static function render(): void {
+		$days     = self::get_period();
+		$since    = self::get_since( $days );
+		$totals   = Usage_Log::get_totals( $since );
+		$daily    = Usage_Log::get_daily( $since );
+		$features = Usage_Log::get_by_feature( $since );
+		$posts    = Usage_Log::get_by_post( $since );
+		$dates    = self::get_dates( $days );
+		$base_url = admin_url( 'options-general.php?page=jp-wp-ai-settings' );
+		?>
+		<h2 id="jp-wp-ai-usage"><?php esc_html_e( 'Usage', 'jp-wp-ai' ); ?></h2>
+		<p>
+			<?php esc_html_e( 'Every request the plugin sends to the API is logged here, with requests answered from a translation cache. Costs are estimates from the list prices of OpenAI models; other models show no cost.', 'jp-wp-ai' ); ?>
+		</p>
+		<ul class="subsubsub" style="float: none;">
+			<?php foreach ( self::PERIODS as $index => $period ) : ?>
+				<li>
+					<a
+						href="<?php echo esc_url( add_query_arg( 'usage_days', $period, $base_url ) . '#jp-wp-ai-usage' ); ?>"
+						<?php echo $period === $days ? 'class="current" aria-current="page"' : ''; ?>
+					>
+						<?php
+						/* translators: %d: Number of days. */
+						echo esc_html( sprintf( _n( 'Last %d day', 'Last %d days', $period, 'jp-wp-ai' ), $period ) );
+						?>
+					</a><?php echo count( self::PERIODS ) - 1 > $index ? ' |' : ''; ?>
+				</li>
+			<?php endforeach; ?>
+			<li>
+				|
+				<a href="<?php echo esc_url( wp_nonce_url( admin_url( 'admin-post.php?action=jp_wp_ai_export_usage&usage_days=' . $days ), 'jp_wp_ai_export_usage' ) ); ?>">
+					<?php esc_html_e( 'Export CSV', 'jp-wp-ai' ); ?>
+				</a>
+			</li>
+		</ul>
+
+		<?php if ( ! $totals['requests'] && ! $totals['cache_hits'] ) : ?>
+			<p><?php esc_html_e( 'No usage in this period.', 'jp-wp-ai' ); ?></p>
+			<?php
+			return;
+		endif;
+		?>
+
+		<table class="widefat striped" style="max-width: 40em;">
+			<tbody>
+				<tr>
+					<th scope="row"><?php esc_html_e( 'API requests', 'jp-wp-ai' ); ?></th>
+					<td><?php echo esc_html( number_format_i18n( $totals['requests'] ) ); ?></td>
+				</tr>
+				<tr>
+					<th scope="row"><?php esc_html_e( 'Failed requests', 'jp-wp-ai' ); ?></th>
+					<td><?php echo esc_html( number_format_i18n( $totals['errors'] ) ); ?></td>
+				</tr>
+				<tr>
+					<th scope="row"><?php esc_html_e( 'Served from cache', 'jp-wp-ai' ); ?></th>
+					<td><?php echo esc_html( number_format_i18n( $totals['cache_hits'] ) ); ?></td>
+				</tr>
+				<tr>
+					<th scope="row"><?php esc_html_e( 'Prompt / completion tokens', 'jp-wp-ai' ); ?></th>
+					<td><?php echo esc_html( number_format_i18n( $totals['prompt_tokens'] ) . ' / ' . number_format_i18n( $totals['completion_tokens'] ) ); ?></td>
+				</tr>
+				<tr>
+					<th scope="row"><?php esc_html_e( 'Estimated cost', 'jp-wp-ai' ); ?></th>
+					<td><?php echo esc_html( self::format_cost( $totals['cost'] ) ); ?></td>
+				</tr>
+				<tr>
+					<th scope="row"><?php esc_html_e( 'Average latency', 'jp-wp-ai' ); ?></th>
+					<td>
+						<?php
+						/* translators: %s: Number of milliseconds. */
+						echo esc_html( sprintf( __( '%s ms', 'jp-wp-ai' ), number_format_i18n( $totals['latency_ms'] ) ) );
+						?>
+					</td>
+				</tr>
+			</tbody>
+		</table>
+
+		<h3><?php esc_html_e( 'Requests per day', 'jp-wp-ai' ); ?></h3>
+		<?php
+		self::render_chart(
+			$dates,
+			$daily,
+			array(
+				'requests'   => array( __( 'API requests', 'jp-wp-ai' ), '#2271b1' ),
+				'cache_hits' => array( __( 'Served from cache', 'jp-wp-ai' ), '#72aee6' ),
+			),
+			'number_format_i18n'
+		);
+		?>
+
+		<h3><?php esc_html_e( 'Estimated cost per day', 'jp-wp-ai' ); ?></h3>
+		<?php
+		self::render_chart(
+			$dates,
+			$daily,
+			array(
+				'cost' => array( __( 'Estimated cost', 'jp-wp-ai' ), '#00a32a' ),
+			),
+			array( __CLASS__, 'format_cost' )
+		);
+		?>
+
+		<h3><?php esc_html_e( 'By feature', 'jp-wp-ai' ); ?></h3>
+		<?php
+		$labels = self::get_feature_labels();
+		$rows   = array();
+
+		foreach ( $features as $feature => $feature_totals ) {
+			$rows[] = array( esc_html( $labels[ $feature ] ?? $feature ), $feature_totals );
+		}
+
+		self::render_table( __( 'Feature', 'jp-wp-ai' ), $rows );
+		?>
+
+		<h3><?php esc_html_e( 'Top posts', 'jp-wp-ai' ); ?></h3>
+		<?php
+		$rows = array();
+
+		foreach ( $posts as $post_id => $post_totals ) {
+			$post = get_post( $post_id );
+			$link = $post ? get_edit_post_link( $post ) : '';
+
+			// _draft_or_post_title() returns the title escaped.
+			$title = $post ? _draft_or_post_title( $post ) : esc_html(
+				sprintf(
+					/* translators: %d: Post ID. */
+					__( 'Deleted post #%d', 'jp-wp-ai' ),
+					$post_id
+				)
+			);
+
+			$rows[] = array(
+				$link ? '<a href="' . esc_url( $link ) . '">' . $title . '</a>' : $title,
+				$post_totals,
+			);
+		}
+
+		if ( $rows ) {
+			self::render_table( __( 'Post', 'jp-wp-ai' ), $rows );
+		} else {
+			echo '<p>' . esc_html__( 'No requests for posts in this period.', 'jp-wp-ai' ) . '</p>';
+		}
+	}
+
+	/**
+	 * Renders a bar chart of daily totals.
+	 *
+	 * The bars of several series are stacked. Each bar has a tooltip with
+	 * its values, and the chart is described by a summary for screen readers.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param string[]                $dates  Dates of the period (Y-m-d).
+	 * @param array[]                 $daily  Totals keyed by date, see Usage_Log::get_daily().
+	 * @param array<string, string[]> $series Label and color of each series, keyed by total.
+	 * @param callable                $format Formats a value for display.
+	 */
+	private static function render_chart( array $dates, array $daily, array $series, callable $format ): void {
+		$bar_width = 10;
+		$height    = 100;
+		$busiest   = $dates[0];
+		$sums      = array();
+
+		foreach ( $dates as $date ) {
+			$sums[ $date ] = 0;
+
+			foreach ( array_keys( $series ) as $key ) {
+				$sums[ $date ] += $daily[ $date ][ $key ] ?? 0;
+			}
+
+			if ( $sums[ $date ] > $sums[ $busiest ] ) {
+				$busiest = $date;
+			}
+		}
+
+		$max     = $sums[ $busiest ];
+		$summary = sprintf(
+			/* translators: 1: Total of the period, 2: Date of the busiest day, 3: Total of the busiest day. */
+			__( 'Total: %1$s. Highest on %2$s: %3$s.', 'jp-wp-ai' ),
+			call_user_func( $format, array_sum( $sums ) ),
+			wp_date( get_option( 'date_format' ), strtotime( $busiest ) ),
+			call_user_func( $format, $max )
+		);
+		?>
+		<svg
+			role="img"
+			aria-label="<?php echo esc_attr( $summary ); ?>"
+			viewBox="0 0 <?php echo esc_attr( count( $dates ) * $bar_width ); ?> <?php echo esc_attr( $height ); ?>"
+			preserveAspectRatio="none"
+			style="display: block; width: 100%; max-width: 60em; height: 10em; background: #f6f7f7;"
+		>
+			<?php foreach ( $dates as $index => $date ) : ?>
+				<?php
+				$offset  = $height;
+				$tooltip = wp_date( get_option( 'date_format' ), strtotime( $date ) );
+
+				foreach ( $series as $key => $details ) {
+					$tooltip .= "\n" . $details[0] . ': ' . call_user_func( $format, $daily[ $date ][ $key ] ?? 0 );
+				}
+				?>
+				<g>
+					<title><?php echo esc_html( $tooltip ); ?></title>
+					<rect x="<?php echo esc_attr( $index * $bar_width ); ?>" y="0" width="<?php echo esc_attr( $bar_width ); ?>" height="<?php echo esc_attr( $height ); ?>" fill="transparent" />
+					<?php foreach ( $series as $key => $details ) : ?>
+						<?php
+						$bar_height = $max > 0 ? ( $daily[ $date ][ $key ] ?? 0 ) / $max * $height : 0;
+						$offset    -= $bar_height;
+						?>
+						<rect
+							x="<?php echo esc_attr( $index * $bar_width + 1 ); ?>"
+							y="<?php echo esc_attr( round( $offset, 2 ) ); ?>"
+							width="<?php echo esc_attr( $bar_width - 2 ); ?>"
+							height="<?php echo esc_attr( round( $bar_height, 2 ) ); ?>"
+							fill="<?php echo esc_attr( $details[1] ); ?>"
+						/>
+					<?php endforeach; ?>
+				</g>
+			<?php endforeach; ?>
+		</svg>
+		<p class="description">
+			<?php foreach ( $series as $details ) : ?>
+				<span style="display: inline-block; width: 0.8em; height: 0.8em; background: <?php echo esc_attr( $details[1] ); ?>;"></span>
+				<?php echo esc_html( $details[0] ); ?>&nbsp;
+			<?php endforeach; ?>
+			<?php echo esc_html( $summary ); ?>
+		</p>
+		<?php
+	}
+
+	/**
+	 * Renders a table of totals.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param string  $label Heading of the first column.
+	 * @param array[] $rows  Rows, each the escaped HTML of the first cell and
+	 *                       the totals, see Usage_Log::get_totals().
+	 */
+	private static function render_table( string $label, array $rows ): void {
+		?>
+		<table class="widefat striped">
+			<thead>
+				<tr>
+					<th scope="col"><?php echo esc_html( $label ); ?></th>
+					<th scope="col"><?php esc_html_e( 'API requests', 'jp-wp-ai' ); ?></th>
+					<th scope="col"><?php esc_html_e( 'Failed', 'jp-wp-ai' ); ?></th>
+					<th scope="col"><?php esc_html_e( 'From cache', 'jp-wp-ai' ); ?></th>
+					<th scope="col"><?php esc_html_e( 'Prompt tokens', 'jp-wp-ai' ); ?></th>
+					<th scope="col"><?php esc_html_e( 'Completion tokens', 'jp-wp-ai' ); ?></th>
+					<th scope="col"><?php esc_html_e( 'Estimated cost', 'jp-wp-ai' ); ?></th>
+				</tr>
+			</thead>
+			<tbody>
+				<?php foreach ( $rows as $row ) : ?>
+					<tr>
+						<td><?php echo $row[0]; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Escaped by the caller. ?></td>
+						<td><?php echo esc_html( number_format_i18n( $row[1]['requests'] ) ); ?></td>
+						<td><?php echo esc_html( number_format_i18n( $row[1]['errors'] ) ); ?></td>
+						<td><?php echo esc_html( number_format_i18n( $row[1]['cache_hits'] ) ); ?></td>
+						<td><?php echo esc_html( number_format_i18n( $row[1]['prompt_tokens'] ) ); ?></td>
+						<td><?php echo esc_html( number_format_i18n( $row[1]['completion_tokens'] ) ); ?></td>
+						<td><?php echo esc_html( self::format_cost( $row[1]['cost'] ) ); ?></td>
+					</tr>
+				<?php endforeach; ?>
+			</tbody>
+		</table>
+		<?php
+	}
+
+	/**
+	 * Formats a cost for display.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param float $cost Cost in US dollars.
+	 * @return string Formatted cost.
+	 */
+	public static function format_cost( float $cost ): string {
+		// Single requests cost fractions of a cent.
+		return '$' . number_format_i18n( $cost, $cost > 0 && $cost < 1 ? 4 : 2 );
+	}
+
+	/**
+	 * Sends the log entries of a period as a CSV file.
+	 *
+	 * @since 1.1.0
+	 */
+	public static function export_csv(): void {
+		check_admin_referer( 'jp_wp_ai_export_usage' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_die( esc_html__( 'Insufficient permissions.', 'jp-wp-ai' ), '', array( 'response' => 403 ) );
+		}
+
+		$since = self::get_since( self::get_period() );
+
+		header( 'Content-Type: text/csv; charset=utf-8' );
+		header( 'Content-Disposition: attachment; filename=jp-wp-ai-usage-' . wp_date( 'Y-m-d' ) . '.csv' );
+
+		$output = fopen( 'php://output', 'w' ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fopen -- Streams the download.
+
+		fputcsv( $output, self::EXPORT_COLUMNS );
+
+		// Read in pages so long periods do not exhaust memory.
+		for ( $offset = 0; ; $offset += 1000 ) {
+			$entries = Usage_Log::get_entries( $since, $offset, 1000 );
+
+			foreach ( $entries as $entry ) {
+				$row = array();
+
+				foreach ( self::EXPORT_COLUMNS as $column ) {
+					$row[] = $entry[ $column ];
+				}
+
+				fputcsv( $output, $row );
+			}
+
+			if ( count( $entries ) < 1000 ) {
+				break;
+			}
+		}
+
+		fclose( $output ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose -- Streams the download.
+		exit;
+	}
+}
@@ -0,0 +1,183 @@
+<?php
+/**
+ * Alt Text Batch Job
+ *
+ * Tracks bulk alt text generation for a set of Media Library attachments.
+ *
+ * @package JP\WP_AI\Features\Alt_Text_Generator
+ */
+
+namespace JP\WP_AI\Features\Alt_Text_Generator;
+
+/**
+ * Stores batch progress in a transient and processes one attachment per step,
+ * so the browser can report progress between requests and no single request
+ * runs long enough to time out.
+ *
+ * @since 1.1.0
+ */
+class Alt_Text_Batch {
+	/**
+	 * Transient name prefix for batch jobs.
+	 *
+	 * @since 1.1.0
+	 * @var string
+	 */
+	private const TRANSIENT_PREFIX = 'jp_wp_ai_alt_text_batch_';
+
+	/**
+	 * Creates a batch job for the given attachments.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param int[] $attachment_ids Attachment IDs to process. Non-images, and
+	 *                              images the current user cannot edit, are
+	 *                              dropped.
+	 * @param bool  $overwrite      Whether to replace existing alt text.
+	 * @return string The job ID.
+	 */
+	public static function create( array $attachment_ids, bool $overwrite = false ): string {
+		$attachment_ids = array_values(
+			array_filter(
+				array_unique( array_map( 'absint', $attachment_ids ) ),
+				static function ( $attachment_id ) {
+					return wp_attachment_is_image( $attachment_id ) && current_user_can( 'edit_post', $attachment_id );
+				}
+			)
+		);
+
+		$job_id = wp_generate_uuid4();
+
+		set_transient(
+			self::TRANSIENT_PREFIX . $job_id,
+			array(
+				'user_id'   => get_current_user_id(),
+				'ids'       => $attachment_ids,
+				'overwrite' => $overwrite,
+				'position'  => 0,
+				'generated' => 0,
+				'skipped'   => 0,
+				'failed'    => 0,
+			),
+			DAY_IN_SECONDS
+		);
+
+		return $job_id;
+	}
+
+	/**
+	 * Gets a batch job owned by the current user.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param string $job_id The job ID.
+	 * @return array|null Job data or null if it does not exist.
+	 */
+	public static function get( string $job_id ): ?array {
+		$job = get_transient( self::TRANSIENT_PREFIX . $job_id );
+
+		if ( ! is_array( $job ) || get_current_user_id() !== $job['user_id'] ) {
+			return null;
+		}
+
+		return $job;
+	}
+
+	/**
+	 * Processes the next attachment in a batch job.
+	 *
+	 * Attachments that already have alt text are skipped unless the job was
+	 * created with `$overwrite`.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param string $job_id The job ID.
+	 * @return array|\WP_Error Progress data including the processed item, or WP_Error.
+	 */
+	public static function process_next( string $job_id ) {
+		$job = self::get( $job_id );
+
+		if ( ! $job ) {
+			return new \WP_Error(
+				'invalid_batch',
+				__( 'Batch job not found or expired.', 'jp-wp-ai' )
+			);
+		}
+
+		if ( $job['position'] >= count( $job['ids'] ) ) {
+			return self::build_progress( $job_id, $job );
+		}
+
+		$attachment_id = $job['ids'][ $job['position'] ];
+		$existing_alt  = get_post_meta( $attachment_id, '_wp_attachment_image_alt', true );
+		$item          = array( 'attachment_id' => $attachment_id );
+
+		// Permissions can change while a job runs.
+		if ( ! current_user_can( 'edit_post', $attachment_id ) ) {
+			++$job['failed'];
+			$item['status']  = 'failed';
+			$item['message'] = __( 'You are not allowed to edit this image.', 'jp-wp-ai' );
+		} elseif ( ! $job['overwrite'] && '' !== trim( (string) $existing_alt ) ) {
+			++$job['skipped'];
+			$item['status'] = 'skipped';
+		} else {
+			$result = Alt_Text_Generator::generate_for_attachment( $attachment_id );
+
+			if ( is_wp_error( $result ) ) {
+				++$job['failed'];
+				$item['status']  = 'failed';
+				$item['message'] = $result->get_error_message();
+			} else {
+				++$job['generated'];
+				$item['status']   = 'generated';
+				$item['alt_text'] = $result['alt_text'];
+			}
+		}
+
+		++$job['position'];
+
+		set_transient( self::TRANSIENT_PREFIX . $job_id, $job, DAY_IN_SECONDS );
+
+		$progress         = self::build_progress( $job_id, $job );
+		$progress['item'] = $item;
+
+		return $progress;
+	}
+
+	/**
+	 * Gets the progress of a batch job owned by the current user.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param string $job_id The job ID.
+	 * @return array|null Progress data or null if the job does not exist.
+	 */
+	public static function get_progress( string $job_id ): ?array {
+		$job = self::get( $job_id );
+
+		return $job ? self::build_progress( $job_id, $job ) : null;
+	}
+
+	/**
+	 * Builds the progress data reported to the browser.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param string $job_id The job ID.
+	 * @param array  $job    Job data.
+	 * @return array Progress data.
+	 */
+	private static function build_progress( string $job_id, array $job ): array {
+		$total = count( $job['ids'] );
+
+		return array(
+			'job_id'    => $job_id,
+			'total'     => $total,
+			'processed' => $job['position'],
+			'generated' => $job['generated'],
+			'skipped'   => $job['skipped'],
+			'failed'    => $job['failed'],
+			'done'      => $job['position'] >= $total,
+		);
+	}
+}
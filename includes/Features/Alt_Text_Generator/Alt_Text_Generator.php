@@ -11,6 +11,7 @@ namespace JP\WP_AI\Features\Alt_Text_Generator;
 
 use WordPress\AI\Abstracts\Abstract_Experiment;
 use JP\WP_AI\Services\OpenAI_Client;
+use JP\WP_AI\Services\Usage_Log;
 
 /**
  * Alt Text Generator experiment implementation.
@@ -45,7 +46,10 @@ class Alt_Text_Generator extends Abstract_Experiment {
 		</p>
 		<p class="description">
 			<strong><?php esc_html_e( 'Available in:', 'jp-wp-ai' ); ?></strong>
-			<?php esc_html_e( 'Media Library attachment details, Block editor image blocks', 'jp-wp-ai' ); ?>
+			<?php esc_html_e( 'Media Library attachment details and bulk actions, Block editor image blocks, AI Alt Text editor sidebar', 'jp-wp-ai' ); ?>
+		</p>
+		<p class="description">
+			<?php esc_html_e( 'Alt text can also be generated automatically for new uploads, under Settings > JP WP AI.', 'jp-wp-ai' ); ?>
 		</p>
 		<?php
 	}
@@ -64,6 +68,15 @@ class Alt_Text_Generator extends Abstract_Experiment {
 		add_action( 'wp_ajax_ai_generate_alt_text', array( $this, 'ajax_generate_alt_text' ) );
 		add_action( 'admin_enqueue_scripts', array( $this, 'enqueue_media_library_scripts' ) );
 
+		// Add Media Library bulk generation.
+		add_filter( 'bulk_actions-upload', array( $this, 'add_bulk_actions' ) );
+		add_filter( 'handle_bulk_actions-upload', array( $this, 'handle_bulk_actions' ), 10, 3 );
+		add_action( 'wp_ajax_ai_alt_text_batch_start', array( $this, 'ajax_batch_start' ) );
+		add_action( 'wp_ajax_ai_alt_text_batch_process', array( $this, 'ajax_batch_process' ) );
+
+		// Generate alt text for new uploads in the background.
+		Alt_Text_Queue::register();
+
 		// Enqueue scripts for block editor.
 		add_action( 'enqueue_block_editor_assets', array( $this, 'enqueue_block_editor_assets' ) );
 	}
@@ -141,8 +154,21 @@ class Alt_Text_Generator extends Abstract_Experiment {
 			);
 		}
 
+		// The alt text is saved on the attachment, so it must be editable.
+		if ( ! empty( $input['attachment_id'] ) && ! current_user_can( 'edit_post', absint( $input['attachment_id'] ) ) ) {
+			return new \WP_Error(
+				'forbidden_attachment',
+				__( 'You are not allowed to edit this image.', 'jp-wp-ai' )
+			);
+		}
+
 		// Generate alt text using OpenAI.
-		$result = OpenAI_Client::generate_alt_text( $image_url, $context );
+		$result = Usage_Log::for_post(
+			absint( $input['attachment_id'] ?? 0 ),
+			static function () use ( $image_url, $context ) {
+				return OpenAI_Client::generate_alt_text( $image_url, $context );
+			}
+		);
 
 		if ( is_wp_error( $result ) ) {
 			return $result;
@@ -191,7 +217,8 @@ class Alt_Text_Generator extends Abstract_Experiment {
 		// Add button after the alt text field.
 		if ( isset( $form_fields['image_alt'] ) ) {
 			$form_fields['image_alt']['helps'] = sprintf(
-				'<button type="button" class="button ai-generate-alt-text" data-attachment-id="%d">%s</button><span class="ai-alt-text-status"></span>',
+				'%s<button type="button" class="button ai-generate-alt-text" data-attachment-id="%d">%s</button><span class="ai-alt-text-status"></span>',
+				Alt_Text_Queue::get_badge( $post->ID ),
 				$post->ID,
 				esc_html__( 'Generate Alt Text', 'jp-wp-ai' )
 			);
@@ -223,12 +250,33 @@ class Alt_Text_Generator extends Abstract_Experiment {
 			);
 		}
 
+		$result = self::generate_for_attachment( $attachment_id );
+
+		if ( is_wp_error( $result ) ) {
+			wp_send_json_error(
+				array( 'message' => $result->get_error_message() )
+			);
+		}
+
+		wp_send_json_success( $result );
+	}
+
+	/**
+	 * Generates alt text for an attachment and saves it to the attachment.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param int $attachment_id The attachment ID.
+	 * @return array|\WP_Error Ability result or error.
+	 */
+	public static function generate_for_attachment( int $attachment_id ) {
 		// Get image URL.
 		$image_url = wp_get_attachment_image_url( $attachment_id, 'large' );
 
 		if ( ! $image_url ) {
-			wp_send_json_error(
-				array( 'message' => __( 'Could not retrieve image URL.', 'jp-wp-ai' ) )
+			return new \WP_Error(
+				'missing_image_url',
+				__( 'Could not retrieve image URL.', 'jp-wp-ai' )
 			);
 		}
 
@@ -240,18 +288,113 @@ class Alt_Text_Generator extends Abstract_Experiment {
 		$ability = wp_get_ability( 'ai/generate-alt-text' );
 
 		if ( ! $ability ) {
-			wp_send_json_error(
-				array( 'message' => __( 'Alt text generation ability not found.', 'jp-wp-ai' ) )
+			return new \WP_Error(
+				'ability_not_found',
+				__( 'Alt text generation ability not found.', 'jp-wp-ai' )
 			);
 		}
 
-		$result = $ability->execute(
+		return $ability->execute(
 			array(
 				'image_url'     => $image_url,
 				'attachment_id' => $attachment_id,
 				'context'       => $context,
 			)
 		);
+	}
+
+	/**
+	 * Adds alt text generation to the Media Library list table bulk actions.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param array $actions Registered bulk actions.
+	 * @return array Modified bulk actions.
+	 */
+	public function add_bulk_actions( array $actions ): array {
+		if ( ! OpenAI_Client::has_api_key() || ! current_user_can( 'upload_files' ) ) {
+			return $actions;
+		}
+
+		$actions['jp_wp_ai_generate_alt_text']   = __( 'Generate missing alt text', 'jp-wp-ai' );
+		$actions['jp_wp_ai_regenerate_alt_text'] = __( 'Regenerate alt text (overwrite)', 'jp-wp-ai' );
+
+		return $actions;
+	}
+
+	/**
+	 * Starts a batch job for the alt text bulk actions.
+	 *
+	 * The job itself is processed by the Media Library script, which picks up
+	 * the job ID from the redirect URL and reports progress in a notice.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param string $redirect_url The redirect URL.
+	 * @param string $action       The bulk action being taken.
+	 * @param int[]  $post_ids     The selected attachment IDs.
+	 * @return string The redirect URL.
+	 */
+	public function handle_bulk_actions( string $redirect_url, string $action, array $post_ids ): string {
+		if ( ! in_array( $action, array( 'jp_wp_ai_generate_alt_text', 'jp_wp_ai_regenerate_alt_text' ), true ) ) {
+			return $redirect_url;
+		}
+
+		if ( ! current_user_can( 'upload_files' ) ) {
+			return $redirect_url;
+		}
+
+		$job_id = Alt_Text_Batch::create( $post_ids, 'jp_wp_ai_regenerate_alt_text' === $action );
+
+		return add_query_arg( 'jp_wp_ai_alt_text_job', $job_id, $redirect_url );
+	}
+
+	/**
+	 * Handles AJAX request to start a batch job from the Media Library grid.
+	 *
+	 * @since 1.1.0
+	 */
+	public function ajax_batch_start(): void {
+		check_ajax_referer( 'ai-generate-alt-text', 'nonce' );
+
+		if ( ! current_user_can( 'upload_files' ) ) {
+			wp_send_json_error(
+				array( 'message' => __( 'Insufficient permissions.', 'jp-wp-ai' ) ),
+				403
+			);
+		}
+
+		$attachment_ids = isset( $_POST['attachment_ids'] ) ? array_map( 'absint', (array) wp_unslash( $_POST['attachment_ids'] ) ) : array();
+		$overwrite      = ! empty( $_POST['overwrite'] );
+
+		if ( empty( $attachment_ids ) ) {
+			wp_send_json_error(
+				array( 'message' => __( 'No images selected.', 'jp-wp-ai' ) )
+			);
+		}
+
+		$job_id = Alt_Text_Batch::create( $attachment_ids, $overwrite );
+
+		wp_send_json_success( Alt_Text_Batch::get_progress( $job_id ) );
+	}
+
+	/**
+	 * Handles AJAX request to process the next attachment in a batch job.
+	 *
+	 * @since 1.1.0
+	 */
+	public function ajax_batch_process(): void {
+		check_ajax_referer( 'ai-generate-alt-text', 'nonce' );
+
+		if ( ! current_user_can( 'upload_files' ) ) {
+			wp_send_json_error(
+				array( 'message' => __( 'Insufficient permissions.', 'jp-wp-ai' ) ),
+				403
+			);
+		}
+
+		$job_id = isset( $_POST['job_id'] ) ? sanitize_key( wp_unslash( $_POST['job_id'] ) ) : '';
+		$result = Alt_Text_Batch::process_next( $job_id );
 
 		if ( is_wp_error( $result ) ) {
 			wp_send_json_error(
@@ -279,20 +422,52 @@ class Alt_Text_Generator extends Abstract_Experiment {
 			return;
 		}
 
+		$dependencies = array( 'jquery' );
+
+		// Load after the media views so the grid and modal views can be extended.
+		if ( wp_script_is( 'media-views', 'enqueued' ) ) {
+			$dependencies[] = 'media-views';
+		}
+
 		wp_enqueue_script(
 			'jp-wp-ai-alt-text-media-library',
 			plugins_url( 'src/alt-text-generator/media-library.js', JP_WP_AI_FILE ),
-			array( 'jquery' ),
+			$dependencies,
 			JP_WP_AI_VERSION,
 			true
 		);
 
+		$script_data = array(
+			'nonce'   => wp_create_nonce( 'ai-generate-alt-text' ),
+			'strings' => array(
+				'generate'         => __( 'Generate Alt Text', 'jp-wp-ai' ),
+				'generateSelected' => __( 'Generate alt text', 'jp-wp-ai' ),
+				'generating'       => __( 'Generating...', 'jp-wp-ai' ),
+				'processing'       => __( 'Processing...', 'jp-wp-ai' ),
+				'generated'        => __( '✓ Generated!', 'jp-wp-ai' ),
+				'invalidId'        => __( 'Invalid attachment ID.', 'jp-wp-ai' ),
+				'failed'           => __( 'Failed to generate alt text.', 'jp-wp-ai' ),
+				'unexpectedError'  => __( 'An unexpected error occurred.', 'jp-wp-ai' ),
+				'confirmOverwrite' => __( 'Some of the selected images already have alt text. Click OK to replace it, or Cancel to skip those images.', 'jp-wp-ai' ),
+				/* translators: 1: Processed images, 2: Total images. */
+				'batchProgress'    => __( 'Generating alt text: %1$d of %2$d images processed...', 'jp-wp-ai' ),
+				/* translators: 1: Generated count, 2: Skipped count, 3: Failed count. */
+				'batchComplete'    => __( 'Alt text generation finished: %1$d generated, %2$d skipped (already had alt text), %3$d failed.', 'jp-wp-ai' ),
+				'badgePending'     => __( 'Alt text pending', 'jp-wp-ai' ),
+				'badgeGenerated'   => __( 'Alt text generated', 'jp-wp-ai' ),
+				'badgeFailed'      => __( 'Alt text generation failed', 'jp-wp-ai' ),
+			),
+		);
+
+		// A bulk action from the list table redirects back with the job to run.
+		if ( 'upload.php' === $hook && isset( $_GET['jp_wp_ai_alt_text_job'] ) ) { // phpcs:ignore WordPress.Security.NonceVerification.Recommended
+			$script_data['batchJob'] = sanitize_key( wp_unslash( $_GET['jp_wp_ai_alt_text_job'] ) ); // phpcs:ignore WordPress.Security.NonceVerification.Recommended
+		}
+
 		wp_localize_script(
 			'jp-wp-ai-alt-text-media-library',
 			'aiAltTextGenerator',
-			array(
-				'nonce' => wp_create_nonce( 'ai-generate-alt-text' ),
-			)
+			$script_data
 		);
 	}
 
@@ -321,13 +496,5 @@ class Alt_Text_Generator extends Abstract_Experiment {
 			$asset['version'],
 			true
 		);
-
-		wp_localize_script(
-			'jp-wp-ai-alt-text-generator',
-			'aiAltTextGenerator',
-			array(
-				'nonce' => wp_create_nonce( 'ai-generate-alt-text' ),
-			)
-		);
 	}
 }
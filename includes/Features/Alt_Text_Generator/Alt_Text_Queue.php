@@ -0,0 +1,350 @@
+<?php
+/**
+ * Alt Text Queue
+ *
+ * Generates alt text for new uploads in the background.
+ *
+ * @package JP\WP_AI\Features\Alt_Text_Generator
+ */
+
+namespace JP\WP_AI\Features\Alt_Text_Generator;
+
+use JP\WP_AI\Services\OpenAI_Client;
+
+/**
+ * Queues a WP-Cron event for each image uploaded without alt text, so the
+ * upload itself never waits for the model. Failed attempts are retried a
+ * few times with a growing delay.
+ *
+ * Each queued attachment has a status of pending, generated or failed,
+ * shown as a badge in the Media Library and the Image block sidebar. The
+ * status is cleared once someone writes the alt text by hand.
+ *
+ * Automatic generation is turned on in its own section of the plugin
+ * settings page.
+ *
+ * @since 1.1.0
+ */
+class Alt_Text_Queue {
+	/**
+	 * Option turning automatic generation on.
+	 *
+	 * @since 1.1.0
+	 * @var string
+	 */
+	public const OPTION = 'jp_wp_ai_auto_alt_text';
+
+	/**
+	 * Cron hook of the generation event.
+	 *
+	 * @since 1.1.0
+	 * @var string
+	 */
+	public const CRON_HOOK = 'jp_wp_ai_generate_alt_text';
+
+	/**
+	 * Attachment meta holding the queue status.
+	 *
+	 * @since 1.1.0
+	 * @var string
+	 */
+	private const STATUS_META = '_jp_wp_ai_alt_text_status';
+
+	/**
+	 * Attachment meta holding the number of failed attempts.
+	 *
+	 * @since 1.1.0
+	 * @var string
+	 */
+	private const ATTEMPTS_META = '_jp_wp_ai_alt_text_attempts';
+
+	/**
+	 * Attachment meta holding the error of the last attempt.
+	 *
+	 * @since 1.1.0
+	 * @var string
+	 */
+	private const ERROR_META = '_jp_wp_ai_alt_text_error';
+
+	/**
+	 * Number of attempts before an attachment is marked as failed.
+	 *
+	 * @since 1.1.0
+	 * @var int
+	 */
+	private const MAX_ATTEMPTS = 3;
+
+	/**
+	 * Delay before the first retry, in seconds. Doubles with each retry.
+	 *
+	 * @since 1.1.0
+	 * @var int
+	 */
+	private const RETRY_DELAY = 5 * MINUTE_IN_SECONDS;
+
+	/**
+	 * Registers the hooks.
+	 *
+	 * @since 1.1.0
+	 */
+	public static function register(): void {
+		add_action( 'admin_init', array( self::class, 'register_settings' ) );
+		add_action( 'add_attachment', array( self::class, 'handle_upload' ) );
+		add_action( self::CRON_HOOK, array( self::class, 'process' ) );
+
+		// Alt text written by hand ends the automatic generation.
+		add_action( 'added_post_meta', array( self::class, 'handle_alt_text_saved' ), 10, 4 );
+		add_action( 'updated_post_meta', array( self::class, 'handle_alt_text_saved' ), 10, 4 );
+
+		// Report the status to the Media Library and the block editor.
+		add_filter( 'wp_prepare_attachment_for_js', array( self::class, 'prepare_attachment_for_js' ), 10, 2 );
+		add_action( 'rest_api_init', array( self::class, 'register_rest_field' ) );
+	}
+
+	/**
+	 * Registers the setting and its section on the settings page.
+	 *
+	 * @since 1.1.0
+	 */
+	public static function register_settings(): void {
+		register_setting(
+			'jp_wp_ai_settings',
+			self::OPTION,
+			array(
+				'type'              => 'boolean',
+				'sanitize_callback' => 'rest_sanitize_boolean',
+				'default'           => false,
+			)
+		);
+
+		add_settings_section(
+			'jp_wp_ai_alt_text_section',
+			__( 'Alt Text', 'jp-wp-ai' ),
+			'__return_false',
+			'jp-wp-ai-settings'
+		);
+
+		add_settings_field(
+			self::OPTION,
+			__( 'New uploads', 'jp-wp-ai' ),
+			array( self::class, 'render_field' ),
+			'jp-wp-ai-settings',
+			'jp_wp_ai_alt_text_section'
+		);
+	}
+
+	/**
+	 * Renders the automatic generation checkbox.
+	 *
+	 * @since 1.1.0
+	 */
+	public static function render_field(): void {
+		?>
+		<label>
+			<input type="checkbox" name="<?php echo esc_attr( self::OPTION ); ?>" value="1" <?php checked( self::is_enabled() ); ?> />
+			<?php esc_html_e( 'Generate alt text automatically for images uploaded without it', 'jp-wp-ai' ); ?>
+		</label>
+		<p class="description">
+			<?php esc_html_e( 'Runs in the background after the upload, including images added in the block editor, and retries a few times if the API fails. The Media Library and the Image block sidebar show whether the alt text is pending, generated or failed.', 'jp-wp-ai' ); ?>
+		</p>
+		<?php
+	}
+
+	/**
+	 * Checks whether automatic generation is turned on.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @return bool Whether new uploads get alt text.
+	 */
+	public static function is_enabled(): bool {
+		return (bool) get_option( self::OPTION, false );
+	}
+
+	/**
+	 * Queues an uploaded image that has no alt text.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 */
+	public static function handle_upload( $attachment_id ): void {
+		$attachment_id = (int) $attachment_id;
+
+		if ( ! self::is_enabled() || ! OpenAI_Client::has_api_key() || ! wp_attachment_is_image( $attachment_id ) ) {
+			return;
+		}
+
+		if ( '' !== trim( (string) get_post_meta( $attachment_id, '_wp_attachment_image_alt', true ) ) ) {
+			return;
+		}
+
+		update_post_meta( $attachment_id, self::STATUS_META, 'pending' );
+		wp_schedule_single_event( time(), self::CRON_HOOK, array( $attachment_id ) );
+	}
+
+	/**
+	 * Generates the alt text of a queued attachment.
+	 *
+	 * Runs as the user who uploaded the image, who is allowed to generate
+	 * alt text and is credited in the usage log. A failed attempt is
+	 * retried later until MAX_ATTEMPTS is reached.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 */
+	public static function process( $attachment_id ): void {
+		$attachment = get_post( (int) $attachment_id );
+
+		if ( ! $attachment || 'pending' !== get_post_meta( $attachment->ID, self::STATUS_META, true ) ) {
+			return;
+		}
+
+		$previous_user = get_current_user_id();
+
+		wp_set_current_user( (int) $attachment->post_author );
+		$result = Alt_Text_Generator::generate_for_attachment( $attachment->ID );
+		wp_set_current_user( $previous_user );
+
+		if ( ! is_wp_error( $result ) ) {
+			// Saving the alt text cleared the status, so set it again.
+			update_post_meta( $attachment->ID, self::STATUS_META, 'generated' );
+			delete_post_meta( $attachment->ID, self::ATTEMPTS_META );
+			delete_post_meta( $attachment->ID, self::ERROR_META );
+			return;
+		}
+
+		$attempts = (int) get_post_meta( $attachment->ID, self::ATTEMPTS_META, true ) + 1;
+
+		update_post_meta( $attachment->ID, self::ATTEMPTS_META, $attempts );
+		update_post_meta( $attachment->ID, self::ERROR_META, $result->get_error_message() );
+
+		if ( $attempts >= self::MAX_ATTEMPTS ) {
+			update_post_meta( $attachment->ID, self::STATUS_META, 'failed' );
+			return;
+		}
+
+		wp_schedule_single_event( time() + self::RETRY_DELAY * ( 2 ** ( $attempts - 1 ) ), self::CRON_HOOK, array( $attachment->ID ) );
+	}
+
+	/**
+	 * Clears the status once an attachment has alt text from elsewhere.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param int    $meta_id    Meta ID.
+	 * @param int    $object_id  Post ID.
+	 * @param string $meta_key   Meta key.
+	 * @param mixed  $meta_value Meta value.
+	 */
+	public static function handle_alt_text_saved( $meta_id, $object_id, $meta_key, $meta_value ): void {
+		if ( '_wp_attachment_image_alt' !== $meta_key || ! is_string( $meta_value ) || '' === trim( $meta_value ) ) {
+			return;
+		}
+
+		delete_post_meta( (int) $object_id, self::STATUS_META );
+		delete_post_meta( (int) $object_id, self::ATTEMPTS_META );
+		delete_post_meta( (int) $object_id, self::ERROR_META );
+	}
+
+	/**
+	 * Gets the queue status of an attachment.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return array{status: string, error: string} Status of 'pending',
+	 *                                              'generated' or 'failed', or
+	 *                                              an empty string if the
+	 *                                              attachment was never queued,
+	 *                                              and the error of the last
+	 *                                              failed attempt.
+	 */
+	public static function get_status( int $attachment_id ): array {
+		$status = (string) get_post_meta( $attachment_id, self::STATUS_META, true );
+
+		return array(
+			'status' => $status,
+			'error'  => 'failed' === $status ? (string) get_post_meta( $attachment_id, self::ERROR_META, true ) : '',
+		);
+	}
+
+	/**
+	 * Gets the status badge shown next to an attachment's alt text.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return string Badge HTML, or an empty string if the attachment was never queued.
+	 */
+	public static function get_badge( int $attachment_id ): string {
+		$status = self::get_status( $attachment_id );
+		$badges = array(
+			'pending'   => array( '#666', __( 'Alt text pending', 'jp-wp-ai' ) ),
+			'generated' => array( 'green', __( 'Alt text generated', 'jp-wp-ai' ) ),
+			'failed'    => array( 'red', __( 'Alt text generation failed', 'jp-wp-ai' ) ),
+		);
+
+		if ( ! isset( $badges[ $status['status'] ] ) ) {
+			return '';
+		}
+
+		list( $color, $label ) = $badges[ $status['status'] ];
+
+		return sprintf(
+			'<span class="ai-alt-text-badge" style="display: block; margin-bottom: 4px; color: %s;" title="%s">%s</span>',
+			esc_attr( $color ),
+			esc_attr( $status['error'] ),
+			esc_html( $label )
+		);
+	}
+
+	/**
+	 * Adds the status to the attachment data of the media views.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param array    $response   Attachment data.
+	 * @param \WP_Post $attachment The attachment.
+	 * @return array Modified attachment data.
+	 */
+	public static function prepare_attachment_for_js( array $response, \WP_Post $attachment ): array {
+		$response['jpWpAiAltText'] = self::get_status( $attachment->ID );
+
+		return $response;
+	}
+
+	/**
+	 * Adds the status to the REST API media endpoint for the block editor.
+	 *
+	 * @since 1.1.0
+	 */
+	public static function register_rest_field(): void {
+		register_rest_field(
+			'attachment',
+			'jp_wp_ai_alt_text',
+			array(
+				'get_callback' => static function ( array $attachment ) {
+					// Only people who can edit the image need to know.
+					return current_user_can( 'edit_post', $attachment['id'] ) ? self::get_status( (int) $attachment['id'] ) : null;
+				},
+				'schema'       => array(
+					'description' => __( 'Status of the automatic alt text generation.', 'jp-wp-ai' ),
+					'type'        => array( 'object', 'null' ),
+					'context'     => array( 'view', 'edit' ),
+					'readonly'    => true,
+					'properties'  => array(
+						'status' => array(
+							'type' => 'string',
+							'enum' => array( '', 'pending', 'generated', 'failed' ),
+						),
+						'error'  => array(
+							'type' => 'string',
+						),
+					),
+				),
+			)
+		);
+	}
+}
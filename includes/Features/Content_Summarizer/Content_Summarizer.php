@@ -11,6 +11,7 @@ namespace JP\WP_AI\Features\Content_Summarizer;
 
 use WordPress\AI\Abstracts\Abstract_Experiment;
 use JP\WP_AI\Services\OpenAI_Client;
+use JP\WP_AI\Services\Usage_Log;
 
 /**
  * Content Summarizer experiment implementation.
@@ -18,6 +19,14 @@ use JP\WP_AI\Services\OpenAI_Client;
  * @since 1.0.0
  */
 class Content_Summarizer extends Abstract_Experiment {
+	/**
+	 * Maximum number of summary variants per request.
+	 *
+	 * @since 1.1.0
+	 * @var int
+	 */
+	private const MAX_VARIANTS = 3;
+
 	/**
 	 * Loads experiment metadata.
 	 *
@@ -62,11 +71,18 @@ class Content_Summarizer extends Abstract_Experiment {
 		// Add AJAX handler.
 		add_action( 'wp_ajax_ai_summarize_content', array( $this, 'ajax_summarize_content' ) );
 
+		// Add streaming REST endpoint.
+		add_action( 'rest_api_init', array( $this, 'register_rest_routes' ) );
+
 		// Enqueue scripts for block editor.
 		add_action( 'enqueue_block_editor_assets', array( $this, 'enqueue_block_editor_assets' ) );
 
 		// Add meta box for classic editor.
 		add_action( 'add_meta_boxes', array( $this, 'add_meta_box' ) );
+
+		// Expose SEO description fields to the block editor and output our own.
+		$this->register_meta_targets();
+		add_action( 'wp_head', array( $this, 'output_meta_tags' ) );
 	}
 
 	/**
@@ -95,6 +111,24 @@ class Content_Summarizer extends Abstract_Experiment {
 							'minimum'     => 10,
 							'maximum'     => 200,
 						),
+						'style'      => array(
+							'type'        => 'string',
+							'description' => 'Summary style: neutral excerpt, SEO meta description, social post, key takeaways or executive summary.',
+							'enum'        => OpenAI_Client::get_summary_styles(),
+							'default'     => 'excerpt',
+						),
+						'variants'   => array(
+							'type'        => 'integer',
+							'description' => 'Number of alternative summaries to generate.',
+							'default'     => 1,
+							'minimum'     => 1,
+							'maximum'     => self::MAX_VARIANTS,
+						),
+						'post_id'    => array(
+							'type'        => 'integer',
+							'description' => 'ID of the post the content belongs to, for usage tracking.',
+							'default'     => 0,
+						),
 					),
 					'required'   => array( 'content' ),
 				),
@@ -109,6 +143,13 @@ class Content_Summarizer extends Abstract_Experiment {
 							'type'        => 'integer',
 							'description' => 'Word count of the summary.',
 						),
+						'variants'   => array(
+							'type'        => 'array',
+							'description' => 'All generated summaries, starting with the one in "summary".',
+							'items'       => array(
+								'type' => 'string',
+							),
+						),
 					),
 				),
 				'execute_callback'    => array( $this, 'execute_ability' ),
@@ -131,6 +172,8 @@ class Content_Summarizer extends Abstract_Experiment {
 	public function execute_ability( array $input ) {
 		$content    = $input['content'] ?? '';
 		$max_length = $input['max_length'] ?? 50;
+		$style      = $input['style'] ?? 'excerpt';
+		$variants   = min( absint( $input['variants'] ?? 1 ), self::MAX_VARIANTS );
 
 		if ( empty( $content ) ) {
 			return new \WP_Error(
@@ -140,7 +183,12 @@ class Content_Summarizer extends Abstract_Experiment {
 		}
 
 		// Generate summary using OpenAI.
-		$result = OpenAI_Client::summarize_content( $content, $max_length );
+		$result = Usage_Log::for_post(
+			absint( $input['post_id'] ?? 0 ),
+			static function () use ( $content, $max_length, $style, $variants ) {
+				return OpenAI_Client::summarize_content( $content, $max_length, $style, $variants );
+			}
+		);
 
 		if ( is_wp_error( $result ) ) {
 			return $result;
@@ -177,6 +225,7 @@ class Content_Summarizer extends Abstract_Experiment {
 
 		$content    = isset( $_POST['content'] ) ? wp_kses_post( wp_unslash( $_POST['content'] ) ) : '';
 		$max_length = isset( $_POST['max_length'] ) ? absint( $_POST['max_length'] ) : 50;
+		$style      = isset( $_POST['style'] ) ? sanitize_key( wp_unslash( $_POST['style'] ) ) : 'excerpt';
 
 		if ( empty( $content ) ) {
 			wp_send_json_error(
@@ -197,6 +246,7 @@ class Content_Summarizer extends Abstract_Experiment {
 			array(
 				'content'    => $content,
 				'max_length' => $max_length,
+				'style'      => $style,
 			)
 		);
 
@@ -209,6 +259,242 @@ class Content_Summarizer extends Abstract_Experiment {
 		wp_send_json_success( $result );
 	}
 
+	/**
+	 * Registers the streaming summary REST route.
+	 *
+	 * @since 1.1.0
+	 */
+	public function register_rest_routes(): void {
+		register_rest_route(
+			'jp-wp-ai/v1',
+			'/summarize/stream',
+			array(
+				'methods'             => \WP_REST_Server::CREATABLE,
+				'callback'            => array( $this, 'rest_stream_summary' ),
+				'permission_callback' => array( $this, 'check_permission' ),
+				'args'                => array(
+					'content'    => array(
+						'type'     => 'string',
+						'required' => true,
+					),
+					'max_length' => array(
+						'type'    => 'integer',
+						'default' => 50,
+						'minimum' => 10,
+						'maximum' => 200,
+					),
+					'style'      => array(
+						'type'    => 'string',
+						'enum'    => OpenAI_Client::get_summary_styles(),
+						'default' => 'excerpt',
+					),
+					'variants'   => array(
+						'type'    => 'integer',
+						'default' => 1,
+						'minimum' => 1,
+						'maximum' => self::MAX_VARIANTS,
+					),
+					'post_id'    => array(
+						'type'    => 'integer',
+						'default' => 0,
+					),
+				),
+			)
+		);
+	}
+
+	/**
+	 * Streams a summary to the browser as server-sent events.
+	 *
+	 * Sends a `delta` event for each text fragment with the index of its
+	 * variant, then a `done` event with the same data the ability returns,
+	 * or an `error` event.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param \WP_REST_Request $request The REST request.
+	 */
+	public function rest_stream_summary( \WP_REST_Request $request ): void {
+		// Discard any buffering so events reach the browser as they are sent.
+		while ( ob_get_level() > 0 ) {
+			ob_end_clean();
+		}
+
+		header( 'Content-Type: text/event-stream; charset=utf-8' );
+		header( 'Cache-Control: no-cache' );
+		header( 'X-Accel-Buffering: no' );
+
+		$send_event = static function ( string $event, array $data ): void {
+			echo 'event: ' . $event . "\ndata: " . wp_json_encode( $data ) . "\n\n"; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- JSON event stream, not HTML.
+			flush();
+		};
+
+		$result = Usage_Log::for_post(
+			absint( $request['post_id'] ),
+			static function () use ( $request, $send_event ) {
+				return OpenAI_Client::summarize_content(
+					$request['content'],
+					$request['max_length'],
+					$request['style'],
+					$request['variants'],
+					static function ( string $delta, int $index ) use ( $send_event ): void {
+						$send_event(
+							'delta',
+							array(
+								'text'  => $delta,
+								'index' => $index,
+							)
+						);
+					}
+				);
+			}
+		);
+
+		if ( is_wp_error( $result ) ) {
+			$send_event( 'error', array( 'message' => $result->get_error_message() ) );
+		} else {
+			$send_event( 'done', $result );
+		}
+
+		exit;
+	}
+
+	/**
+	 * Gets the post meta fields a summary can be written to.
+	 *
+	 * Includes the description fields of Yoast SEO and Rank Math when they are
+	 * active, plus the plugin's own meta and Open Graph descriptions.
+	 *
+	 * Yoast SEO and Rank Math keep their fields in their own editor stores
+	 * and save them from there, so a summary written to their post meta
+	 * would be overwritten on save. Their targets name the store and the
+	 * action that sets the field instead.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @return array[] Targets with 'key', 'label' and 'limit' (maximum characters),
+	 *                 and for SEO plugin fields 'store', 'action' and optionally
+	 *                 'argument', the property of the object the action takes.
+	 */
+	public static function get_meta_targets(): array {
+		$targets = array();
+
+		if ( defined( 'WPSEO_VERSION' ) ) {
+			$targets[] = array(
+				'key'      => '_yoast_wpseo_metadesc',
+				'label'    => __( 'Yoast meta description', 'jp-wp-ai' ),
+				'limit'    => 156,
+				'store'    => 'yoast-seo/editor',
+				'action'   => 'updateData',
+				'argument' => 'description',
+			);
+			$targets[] = array(
+				'key'    => '_yoast_wpseo_opengraph-description',
+				'label'  => __( 'Yoast social description', 'jp-wp-ai' ),
+				'limit'  => 200,
+				'store'  => 'yoast-seo/editor',
+				'action' => 'setFacebookPreviewDescription',
+			);
+		}
+
+		if ( class_exists( 'RankMath' ) ) {
+			$targets[] = array(
+				'key'    => 'rank_math_description',
+				'label'  => __( 'Rank Math meta description', 'jp-wp-ai' ),
+				'limit'  => 160,
+				'store'  => 'rank-math',
+				'action' => 'updateDescription',
+			);
+			$targets[] = array(
+				'key'    => 'rank_math_facebook_description',
+				'label'  => __( 'Rank Math social description', 'jp-wp-ai' ),
+				'limit'  => 200,
+				'store'  => 'rank-math',
+				'action' => 'updateFacebookDescription',
+			);
+		}
+
+		$targets[] = array(
+			'key'   => '_jp_wp_ai_meta_description',
+			'label' => __( 'Meta description', 'jp-wp-ai' ),
+			'limit' => 160,
+		);
+		$targets[] = array(
+			'key'   => '_jp_wp_ai_og_description',
+			'label' => __( 'Open Graph description', 'jp-wp-ai' ),
+			'limit' => 200,
+		);
+
+		/**
+		 * Filters the post meta fields a summary can be written to.
+		 *
+		 * Fields must be registered with `show_in_rest` to be offered in the
+		 * block editor; unregistered fields are registered automatically.
+		 * Fields with a 'store' are set through that editor store instead, and
+		 * only offered while it has the action.
+		 *
+		 * @since 1.1.0
+		 *
+		 * @param array[] $targets Targets with 'key', 'label' and 'limit', and
+		 *                         optionally 'store', 'action' and 'argument'.
+		 */
+		return apply_filters( 'jp_wp_ai_summary_meta_targets', $targets );
+	}
+
+	/**
+	 * Registers the meta target fields for the REST API.
+	 *
+	 * Fields an SEO plugin has already registered, or saves from its own
+	 * editor store, are left alone.
+	 *
+	 * @since 1.1.0
+	 */
+	public function register_meta_targets(): void {
+		foreach ( self::get_meta_targets() as $target ) {
+			if ( ! empty( $target['store'] ) || registered_meta_key_exists( 'post', $target['key'] ) ) {
+				continue;
+			}
+
+			register_post_meta(
+				'',
+				$target['key'],
+				array(
+					'type'          => 'string',
+					'single'        => true,
+					'show_in_rest'  => true,
+					'auth_callback' => static function ( $allowed, $meta_key, $post_id ) {
+						return current_user_can( 'edit_post', $post_id );
+					},
+				)
+			);
+		}
+	}
+
+	/**
+	 * Outputs the plugin's meta and Open Graph descriptions.
+	 *
+	 * Skipped when an SEO plugin is active, since it outputs its own tags.
+	 *
+	 * @since 1.1.0
+	 */
+	public function output_meta_tags(): void {
+		if ( ! is_singular() || defined( 'WPSEO_VERSION' ) || class_exists( 'RankMath' ) ) {
+			return;
+		}
+
+		$post_id          = get_queried_object_id();
+		$meta_description = get_post_meta( $post_id, '_jp_wp_ai_meta_description', true );
+		$og_description   = get_post_meta( $post_id, '_jp_wp_ai_og_description', true );
+
+		if ( ! empty( $meta_description ) ) {
+			printf( '<meta name="description" content="%s" />' . "\n", esc_attr( $meta_description ) );
+		}
+
+		if ( ! empty( $og_description ) ) {
+			printf( '<meta property="og:description" content="%s" />' . "\n", esc_attr( $og_description ) );
+		}
+	}
+
 	/**
 	 * Enqueues block editor assets.
 	 *
@@ -239,7 +525,10 @@ class Content_Summarizer extends Abstract_Experiment {
 			'jp-wp-ai-content-summarizer',
 			'aiContentSummarizer',
 			array(
-				'nonce' => wp_create_nonce( 'ai-summarize-content' ),
+				'nonce'       => wp_create_nonce( 'ai-summarize-content' ),
+				'styles'      => self::get_style_labels(),
+				'maxVariants' => self::MAX_VARIANTS,
+				'metaTargets' => self::get_meta_targets(),
 			)
 		);
 	}
@@ -274,6 +563,23 @@ class Content_Summarizer extends Abstract_Experiment {
 		}
 	}
 
+	/**
+	 * Gets the labels of the supported summary styles.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @return array<string, string> Labels keyed by style.
+	 */
+	private static function get_style_labels(): array {
+		return array(
+			'excerpt'          => __( 'Neutral excerpt', 'jp-wp-ai' ),
+			'meta_description' => __( 'SEO meta description (155 characters)', 'jp-wp-ai' ),
+			'social'           => __( 'Social post / thread', 'jp-wp-ai' ),
+			'takeaways'        => __( 'Key takeaways (bullet points)', 'jp-wp-ai' ),
+			'executive'        => __( 'Executive summary', 'jp-wp-ai' ),
+		);
+	}
+
 	/**
 	 * Renders the meta box content.
 	 *
@@ -298,6 +604,16 @@ class Content_Summarizer extends Abstract_Experiment {
 					style="width: 100%;"
 				/>
 			</p>
+			<p>
+				<label for="ai-summary-style">
+					<?php esc_html_e( 'Summary style:', 'jp-wp-ai' ); ?>
+				</label>
+				<select id="ai-summary-style" style="width: 100%;">
+					<?php foreach ( self::get_style_labels() as $style => $label ) : ?>
+						<option value="<?php echo esc_attr( $style ); ?>"><?php echo esc_html( $label ); ?></option>
+					<?php endforeach; ?>
+				</select>
+			</p>
 			<p>
 				<button type="button" class="button button-primary" id="ai-generate-summary-classic">
 					<?php esc_html_e( 'Generate Summary', 'jp-wp-ai' ); ?>
@@ -349,7 +665,8 @@ class Content_Summarizer extends Abstract_Experiment {
 						action: 'ai_summarize_content',
 						nonce: '<?php echo esc_js( wp_create_nonce( 'ai-summarize-content' ) ); ?>',
 						content: content,
-						max_length: $('#ai-summary-length').val()
+						max_length: $('#ai-summary-length').val(),
+						style: $('#ai-summary-style').val()
 					},
 					success: function(response) {
 						if (response.success) {
@@ -11,6 +11,7 @@ namespace JP\WP_AI\Features\Content_Translator;
 
 use WordPress\AI\Abstracts\Abstract_Experiment;
 use JP\WP_AI\Services\OpenAI_Client;
+use JP\WP_AI\Services\Usage_Log;
 
 /**
  * Content Translator experiment implementation.
@@ -37,6 +38,129 @@ class Content_Translator extends Abstract_Experiment {
 		'hi' => 'Hindi',
 	);
 
+	/**
+	 * Supported languages written from right to left.
+	 *
+	 * @since 1.1.0
+	 * @var string[]
+	 */
+	private const RTL_LANGUAGES = array( 'ar' );
+
+	/**
+	 * Maximum number of segments translated in one request.
+	 *
+	 * The view script sends long posts in smaller chunks.
+	 *
+	 * @since 1.1.0
+	 * @var int
+	 */
+	private const MAX_SEGMENTS_PER_REQUEST = 100;
+
+	/**
+	 * Gets the supported languages.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @return array<string, string> Language names keyed by ISO 639-1 code.
+	 */
+	public static function get_supported_languages(): array {
+		return self::SUPPORTED_LANGUAGES;
+	}
+
+	/**
+	 * Gets the text direction of a language.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param string $language Language code.
+	 * @return string 'rtl' or 'ltr'.
+	 */
+	public static function get_language_direction( string $language ): string {
+		return in_array( $language, self::RTL_LANGUAGES, true ) ? 'rtl' : 'ltr';
+	}
+
+	/**
+	 * Gets the cached translation of a post.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param int    $post_id  Post ID.
+	 * @param string $language Language code.
+	 * @return array|null Translation with 'segments', translated texts keyed by
+	 *                    segment key, 'translated_at', 'source_hash', see
+	 *                    get_source_hash(), and optionally 'locked', the keys of
+	 *                    hand-corrected segments, or null if there is none.
+	 */
+	public static function get_cached_translation( int $post_id, string $language ): ?array {
+		$cached = get_post_meta( $post_id, '_ai_translations_' . $language, true );
+
+		// Translations cached as whole HTML documents before 1.1.0 are ignored.
+		return is_array( $cached ) && ! empty( $cached['segments'] ) ? $cached : null;
+	}
+
+	/**
+	 * Gets the hash of the title and content a translation is made from.
+	 *
+	 * Hashes the raw fields rather than the rendered segments, so it is cheap
+	 * enough to check on every request.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param \WP_Post $post The post.
+	 * @return string The hash.
+	 */
+	public static function get_source_hash( \WP_Post $post ): string {
+		return md5( $post->post_title . "\n" . $post->post_content );
+	}
+
+	/**
+	 * Checks whether a translation was made for an earlier version of a post.
+	 *
+	 * Translations cached before source hashes were recorded count as
+	 * current until they are next updated.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param \WP_Post $post        The post.
+	 * @param array    $translation The cached translation.
+	 * @return bool Whether the translation is stale.
+	 */
+	public static function is_stale_translation( \WP_Post $post, array $translation ): bool {
+		return isset( $translation['source_hash'] ) && self::get_source_hash( $post ) !== $translation['source_hash'];
+	}
+
+	/**
+	 * Brings the source hash of a translation up to date once it covers every
+	 * segment of the post.
+	 *
+	 * Translations of text the post no longer has are dropped then, except
+	 * hand-corrected ones. An incomplete translation of an earlier version
+	 * stays stale, and a new one starts at the current version.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param \WP_Post $post        The post.
+	 * @param array    $translation The translation.
+	 * @return array The translation.
+	 */
+	public static function sync_translation_source( \WP_Post $post, array $translation ): array {
+		$post_segments = self::get_post_segments( $post );
+
+		if ( array_diff_key( $post_segments, $translation['segments'] ) ) {
+			$translation['source_hash'] = $translation['source_hash'] ?? self::get_source_hash( $post );
+
+			return $translation;
+		}
+
+		$translation['segments']    = array_intersect_key(
+			$translation['segments'],
+			$post_segments + ( $translation['locked'] ?? array() )
+		);
+		$translation['source_hash'] = self::get_source_hash( $post );
+
+		return $translation;
+	}
+
 	/**
 	 * Loads experiment metadata.
 	 *
@@ -90,6 +214,30 @@ class Content_Translator extends Abstract_Experiment {
 
 		// Enqueue front-end scripts.
 		add_action( 'wp_enqueue_scripts', array( $this, 'enqueue_frontend_assets' ) );
+
+		// Serve cached translations at ?lang= URLs.
+		Translated_View::register();
+
+		// Let publishers manage translations in the editor.
+		Translation_Manager::register();
+
+		// Refresh translations in the background when a post changes.
+		Translation_Refresh::register();
+
+		// Let admins keep terms untranslated or translate them a fixed way.
+		Translation_Glossary::register();
+
+		// Translate the block's own labels and messages along with the page.
+		Translated_Interface::register();
+
+		// Translate comments, widgets and menus, not only the content.
+		Translation_Regions::register();
+
+		// Limit the translations visitors can start.
+		Translation_Limits::register();
+
+		// Pass the supported languages to the block editor.
+		add_action( 'enqueue_block_editor_assets', array( $this, 'enqueue_block_editor_assets' ) );
 	}
 
 	/**
@@ -127,24 +275,43 @@ class Content_Translator extends Abstract_Experiment {
 							'type'        => 'string',
 							'description' => 'Source language code (optional).',
 						),
+						'segments'      => array(
+							'type'                 => 'object',
+							'description'          => 'Text segments to translate, keyed by ID. Used instead of title, content and excerpt.',
+							'additionalProperties' => array(
+								'type' => 'string',
+							),
+						),
+						'post_id'       => array(
+							'type'        => 'integer',
+							'description' => 'ID of the post the content belongs to, for usage tracking.',
+							'default'     => 0,
+						),
 					),
-					'required'   => array( 'content', 'target_lang' ),
+					'required'   => array( 'target_lang' ),
 				),
 				'output_schema'       => array(
 					'type'       => 'object',
 					'properties' => array(
-						'title'   => array(
+						'title'    => array(
 							'type'        => 'string',
 							'description' => 'The translated title.',
 						),
-						'content' => array(
+						'content'  => array(
 							'type'        => 'string',
 							'description' => 'The translated content.',
 						),
-						'excerpt' => array(
+						'excerpt'  => array(
 							'type'        => 'string',
 							'description' => 'The translated excerpt.',
 						),
+						'segments' => array(
+							'type'                 => 'object',
+							'description'          => 'The translated segments, keyed by ID.',
+							'additionalProperties' => array(
+								'type' => 'string',
+							),
+						),
 					),
 				),
 				'execute_callback'    => array( $this, 'execute_ability' ),
@@ -183,6 +350,29 @@ class Content_Translator extends Abstract_Experiment {
 			);
 		}
 
+		// Anyone can run the ability, through the block or the REST API.
+		$limited = Translation_Limits::check();
+
+		if ( $limited ) {
+			return $limited;
+		}
+
+		if ( ! empty( $input['segments'] ) ) {
+			return Usage_Log::for_post(
+				absint( $input['post_id'] ?? 0 ),
+				static function () use ( $input, $target_lang, $source_lang ) {
+					return self::translate_segments( $input['segments'], $target_lang, $source_lang );
+				}
+			);
+		}
+
+		if ( empty( $input['content'] ) ) {
+			return new \WP_Error(
+				'missing_content',
+				__( 'Content or segments are required.', 'jp-wp-ai' )
+			);
+		}
+
 		$content_to_translate = array(
 			'title'   => $input['title'] ?? '',
 			'content' => $input['content'] ?? '',
@@ -190,7 +380,17 @@ class Content_Translator extends Abstract_Experiment {
 		);
 
 		// Translate content using OpenAI.
-		$result = OpenAI_Client::translate_content( $content_to_translate, $target_lang, $source_lang );
+		$result = Usage_Log::for_post(
+			absint( $input['post_id'] ?? 0 ),
+			static function () use ( $content_to_translate, $target_lang, $source_lang ) {
+				return OpenAI_Client::translate_content(
+					$content_to_translate,
+					$target_lang,
+					$source_lang,
+					Translation_Glossary::get_terms( $content_to_translate, $target_lang )
+				);
+			}
+		);
 
 		if ( is_wp_error( $result ) ) {
 			return $result;
@@ -199,6 +399,53 @@ class Content_Translator extends Abstract_Experiment {
 		return $result;
 	}
 
+	/**
+	 * Translates text segments, holding the model to the glossary.
+	 *
+	 * Segments whose translation misses a glossary term are translated once
+	 * more. Those that still change a term that is never translated are left
+	 * out, so the original text shows instead.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param array<string, string> $segments    Texts to translate, keyed by ID.
+	 * @param string                $target_lang Target language code.
+	 * @param string                $source_lang Source language code.
+	 * @return array|\WP_Error Array with 'segments', the translations keyed by ID,
+	 *                         or WP_Error.
+	 */
+	private static function translate_segments( array $segments, string $target_lang, string $source_lang ) {
+		$terms        = Translation_Glossary::get_terms( $segments, $target_lang );
+		$translations = OpenAI_Client::translate_segments( $segments, $target_lang, $source_lang, $terms );
+
+		if ( is_wp_error( $translations ) ) {
+			return $translations;
+		}
+
+		$violations = $terms ? Translation_Glossary::find_violations( $segments, $translations, $terms ) : array();
+
+		if ( $violations ) {
+			$retried = OpenAI_Client::translate_segments(
+				array_intersect_key( $segments, array_flip( $violations ) ),
+				$target_lang,
+				$source_lang,
+				$terms
+			);
+
+			if ( ! is_wp_error( $retried ) ) {
+				$translations = $retried + $translations;
+			}
+
+			// Forced translations may be inflected, so only exact terms are enforced.
+			$translations = array_diff_key(
+				$translations,
+				array_flip( Translation_Glossary::find_violations( $segments, $translations, $terms, true ) )
+			);
+		}
+
+		return array( 'segments' => $translations );
+	}
+
 	/**
 	 * Checks if user has permission to translate content.
 	 *
@@ -208,6 +455,7 @@ class Content_Translator extends Abstract_Experiment {
 	 */
 	public function check_permission(): bool {
 		// Allow any user (including non-logged-in) to translate content.
+		// Visitors are held to the translation limits instead.
 		return true;
 	}
 
@@ -235,54 +483,184 @@ class Content_Translator extends Abstract_Experiment {
 	 *
 	 * @since 1.0.0
 	 *
-	 * @param array $attributes Block attributes.
+	 * @param array          $attributes Block attributes.
+	 * @param string         $content    Block content.
+	 * @param \WP_Block|null $block      Block instance.
 	 * @return string Block HTML.
 	 */
-	public function render_block( array $attributes ): string {
-		// Get current post.
-		$post = get_post();
-
-		if ( ! $post ) {
-			return '';
-		}
+	public function render_block( array $attributes, string $content = '', $block = null ): string {
+		// The block can sit in a template part or a query loop, so it always
+		// works on the queried post rather than the one being rendered. On
+		// listings, the view script translates each post on its own.
+		$post = is_singular() ? get_post( get_queried_object_id() ) : null;
 
 		// Enqueue front-end script.
 		wp_enqueue_script( 'jp-wp-ai-content-translator-view' );
 		wp_enqueue_style( 'jp-wp-ai-content-translator-style' );
 
-		$languages = self::SUPPORTED_LANGUAGES;
+		$languages = self::get_block_languages( $attributes['languages'] ?? array() );
+		$layout    = in_array( $attributes['layout'] ?? '', array( 'dropdown', 'pills', 'links' ), true ) ? $attributes['layout'] : 'dropdown';
+		$select_id = wp_unique_id( 'content-translator-language-select-' );
+		$current   = $post ? Translated_View::get_current_language( $post->ID ) : '';
+		$stale     = $current && self::is_stale_translation( $post, (array) self::get_cached_translation( $post->ID, $current ) );
+		$permalink = $post ? (string) get_permalink( $post ) : remove_query_arg( Translated_View::QUERY_VAR );
+
+		$strings         = Translated_Interface::get_strings();
+		$label           = '' !== ( $attributes['label'] ?? '' ) ? $attributes['label'] : $strings['label'];
+		$translate_label = '' !== ( $attributes['translateLabel'] ?? '' ) ? $attributes['translateLabel'] : $strings['translate'];
+		$original_label  = '' !== ( $attributes['originalLabel'] ?? '' ) ? $attributes['originalLabel'] : $strings['showOriginal'];
+
+		// The notice says the translation is being updated, so make sure it
+		// is, unless the block or the spend cap keeps visitors from new
+		// translations.
+		if ( $stale && empty( $attributes['cachedOnly'] ) && ! Translation_Limits::is_over_budget() ) {
+			Translation_Refresh::schedule( $post->ID );
+		}
+
+		$cached_languages = $post ? self::get_cached_languages( $post->ID, array_keys( $languages ) ) : array();
+
+		// Listings translate each post on its own, so only a single post can
+		// leave out the languages it has no translation for.
+		if ( $post && ! empty( $attributes['cachedOnly'] ) ) {
+			$languages = array_intersect_key( $languages, array_flip( $cached_languages ) );
+
+			if ( ! $languages ) {
+				return '';
+			}
+		}
+
+		$wrapper_attributes = get_block_wrapper_attributes(
+			array(
+				'class'                 => 'content-translator-layout-' . $layout,
+				'data-post-id'          => $post ? $post->ID : 0,
+				'data-auto-detect'      => ! empty( $attributes['autoDetect'] ) ? 'true' : 'false',
+				'data-auto-translate'   => ! empty( $attributes['autoTranslate'] ) ? 'true' : 'false',
+				'data-block-id'         => Translation_Limits::get_block_id( $block instanceof \WP_Block ? $block->parsed_block['attrs'] : array() ),
+				'data-cached-languages' => implode( ',', $cached_languages ),
+				'data-layout'           => $layout,
+				'data-current-lang'     => $current,
+				'data-stale'            => $stale ? 'true' : 'false',
+				'data-regions'          => wp_json_encode( Translation_Regions::get_block_regions( $attributes ) ),
+				// The labels stay in the site language until the view script
+				// translates them, whatever language the page is shown in.
+				'lang'                  => get_bloginfo( 'language' ),
+				'dir'                   => is_rtl() ? 'rtl' : 'ltr',
+			)
+		);
 
 		ob_start();
 		?>
-		<div class="wp-block-jp-wp-ai-content-translator" data-post-id="<?php echo esc_attr( $post->ID ); ?>">
+		<div <?php echo $wrapper_attributes; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Escaped by get_block_wrapper_attributes(). ?>>
 			<div class="content-translator-controls">
-				<label for="content-translator-language-select">
-					<?php esc_html_e( 'Translate this page:', 'jp-wp-ai' ); ?>
-				</label>
-				<select id="content-translator-language-select" class="content-translator-language-select">
-					<option value=""><?php esc_html_e( 'Select a language', 'jp-wp-ai' ); ?></option>
-					<?php foreach ( $languages as $code => $name ) : ?>
-						<option value="<?php echo esc_attr( $code ); ?>">
-							<?php echo esc_html( $name ); ?>
-						</option>
-					<?php endforeach; ?>
-				</select>
-				<button type="button" class="content-translator-button" id="content-translator-translate-btn">
-					<?php esc_html_e( 'Translate', 'jp-wp-ai' ); ?>
-				</button>
-				<button type="button" class="content-translator-button content-translator-button-secondary" id="content-translator-original-btn" style="display: none;">
-					<?php esc_html_e( 'Show Original', 'jp-wp-ai' ); ?>
+				<?php if ( 'dropdown' === $layout ) : ?>
+					<label for="<?php echo esc_attr( $select_id ); ?>">
+						<?php echo esc_html( $label ); ?>
+					</label>
+					<select id="<?php echo esc_attr( $select_id ); ?>" class="content-translator-language-select">
+						<option value=""><?php echo esc_html( $strings['selectLanguage'] ); ?></option>
+						<?php foreach ( $languages as $code => $name ) : ?>
+							<option value="<?php echo esc_attr( $code ); ?>"<?php selected( $current, $code ); ?>>
+								<?php echo esc_html( $name ); ?>
+							</option>
+						<?php endforeach; ?>
+					</select>
+					<button type="button" class="content-translator-button content-translator-translate-button">
+						<?php echo esc_html( $translate_label ); ?>
+					</button>
+				<?php else : ?>
+					<span class="content-translator-label">
+						<?php echo esc_html( $label ); ?>
+					</span>
+					<ul class="content-translator-language-list">
+						<?php foreach ( $languages as $code => $name ) : ?>
+							<li>
+								<?php if ( 'links' === $layout ) : ?>
+									<a href="<?php echo esc_url( add_query_arg( Translated_View::QUERY_VAR, $code, $permalink ) ); ?>" class="content-translator-language<?php echo $current === $code ? ' is-active' : ''; ?>" data-lang="<?php echo esc_attr( $code ); ?>" hreflang="<?php echo esc_attr( $code ); ?>" lang="<?php echo esc_attr( $code ); ?>"<?php echo $current === $code ? ' aria-current="true"' : ''; ?>>
+										<?php echo esc_html( $name ); ?>
+									</a>
+								<?php else : ?>
+									<button type="button" class="content-translator-language<?php echo $current === $code ? ' is-active' : ''; ?>" data-lang="<?php echo esc_attr( $code ); ?>" lang="<?php echo esc_attr( $code ); ?>" aria-pressed="<?php echo $current === $code ? 'true' : 'false'; ?>">
+										<?php echo esc_html( $name ); ?>
+									</button>
+								<?php endif; ?>
+							</li>
+						<?php endforeach; ?>
+					</ul>
+				<?php endif; ?>
+				<button type="button" class="content-translator-button content-translator-button-secondary content-translator-original-button"<?php echo $current ? '' : ' style="display: none;"'; ?>>
+					<?php echo esc_html( $original_label ); ?>
 				</button>
 			</div>
-			<div class="content-translator-status" id="content-translator-status"></div>
+			<div class="content-translator-status" role="status" aria-live="polite" aria-atomic="true"></div>
+			<p class="content-translator-notice"<?php echo $stale ? '' : ' hidden'; ?>>
+				<?php echo esc_html( $strings['staleNotice'] ); ?>
+			</p>
+			<progress class="content-translator-progress" max="1" value="0" aria-label="<?php echo esc_attr( $strings['progressLabel'] ); ?>" hidden></progress>
+			<button type="button" class="content-translator-button content-translator-retry-button" style="display: none;">
+				<?php echo esc_html( $strings['retry'] ); ?>
+			</button>
 		</div>
 		<?php
 		return ob_get_clean();
 	}
 
+	/**
+	 * Gets the languages a block instance offers, in the chosen order.
+	 *
+	 * Unsupported codes are dropped. Falls back to all supported languages
+	 * when none are left.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param string[] $codes Language codes from the block attributes.
+	 * @return array<string, string> Language names keyed by code.
+	 */
+	private static function get_block_languages( array $codes ): array {
+		$languages = array();
+
+		foreach ( $codes as $code ) {
+			if ( is_string( $code ) && isset( self::SUPPORTED_LANGUAGES[ $code ] ) ) {
+				$languages[ $code ] = self::SUPPORTED_LANGUAGES[ $code ];
+			}
+		}
+
+		return $languages ? $languages : self::SUPPORTED_LANGUAGES;
+	}
+
+	/**
+	 * Gets the languages that have a cached translation of a post.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param int      $post_id Post ID.
+	 * @param string[] $codes   Language codes to check.
+	 * @return string[] Codes of the cached languages.
+	 */
+	private static function get_cached_languages( int $post_id, array $codes ): array {
+		return array_values(
+			array_filter(
+				$codes,
+				static function ( $code ) use ( $post_id ) {
+					return null !== self::get_cached_translation( $post_id, $code );
+				}
+			)
+		);
+	}
+
 	/**
 	 * Handles AJAX request to translate content.
 	 *
+	 * Expects the text segments of one page region as a JSON object of texts
+	 * keyed by the view script's own IDs, and responds with the translations
+	 * under the same IDs. Only segments that appear in the region are
+	 * translated, so the endpoint cannot be used to translate arbitrary text.
+	 *
+	 * Comment segments come with a JSON object of their comment IDs, keyed
+	 * by the same IDs. See Translation_Regions.
+	 *
+	 * The response flags translations made for an earlier version of the
+	 * post as `stale`, and schedules their refresh.
+	 *
 	 * @since 1.0.0
 	 */
 	public function ajax_translate_content(): void {
@@ -290,81 +668,246 @@ class Content_Translator extends Abstract_Experiment {
 
 		$post_id     = isset( $_POST['post_id'] ) ? absint( $_POST['post_id'] ) : 0;
 		$target_lang = isset( $_POST['target_lang'] ) ? sanitize_text_field( wp_unslash( $_POST['target_lang'] ) ) : '';
+		$requested   = isset( $_POST['segments'] ) ? json_decode( wp_unslash( $_POST['segments'] ), true ) : null; // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Decoded JSON, only strings are used.
+		$region      = isset( $_POST['region'] ) ? sanitize_key( wp_unslash( $_POST['region'] ) ) : 'content';
 
-		if ( ! $post_id ) {
+		if ( empty( $target_lang ) || ! isset( self::SUPPORTED_LANGUAGES[ $target_lang ] ) ) {
 			wp_send_json_error(
-				array( 'message' => __( 'Invalid post ID.', 'jp-wp-ai' ) )
+				array( 'message' => __( 'Invalid target language.', 'jp-wp-ai' ) )
 			);
 		}
 
-		if ( empty( $target_lang ) || ! isset( self::SUPPORTED_LANGUAGES[ $target_lang ] ) ) {
+		if ( ! in_array( $region, Translation_Regions::REGIONS, true ) ) {
 			wp_send_json_error(
-				array( 'message' => __( 'Invalid target language.', 'jp-wp-ai' ) )
+				array( 'message' => __( 'Invalid region.', 'jp-wp-ai' ) )
 			);
 		}
 
-		// Check for cached translation.
-		$cache_key        = '_ai_translations_' . $target_lang;
-		$cached_translation = get_post_meta( $post_id, $cache_key, true );
+		$requested = is_array( $requested ) ? array_filter( $requested, 'is_string' ) : array();
 
-		if ( ! empty( $cached_translation ) && is_array( $cached_translation ) ) {
-			wp_send_json_success(
-				array(
-					'translation' => $cached_translation,
-					'cached'      => true,
-				)
+		if ( empty( $requested ) ) {
+			wp_send_json_error(
+				array( 'message' => __( 'No content to translate.', 'jp-wp-ai' ) )
+			);
+		}
+
+		if ( count( $requested ) > self::MAX_SEGMENTS_PER_REQUEST ) {
+			wp_send_json_error(
+				array( 'message' => __( 'Too much content in one request.', 'jp-wp-ai' ) )
+			);
+		}
+
+		// Widgets and menus are the same on every page, listings included.
+		if ( 'widgets' === $region || 'navigation' === $region ) {
+			self::send_region_translation(
+				Translation_Regions::translate_site_region( $region, $target_lang, $requested )
+			);
+		}
+
+		if ( ! $post_id ) {
+			wp_send_json_error(
+				array( 'message' => __( 'Invalid post ID.', 'jp-wp-ai' ) )
 			);
 		}
 
 		// Get post data.
 		$post = get_post( $post_id );
 
-		if ( ! $post ) {
+		if ( ! $post || ( ! is_post_publicly_viewable( $post ) && ! current_user_can( 'read_post', $post_id ) ) ) {
 			wp_send_json_error(
 				array( 'message' => __( 'Post not found.', 'jp-wp-ai' ) )
 			);
 		}
 
+		if ( 'comments' === $region ) {
+			$comment_ids = isset( $_POST['comments'] ) ? json_decode( wp_unslash( $_POST['comments'] ), true ) : null; // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Decoded JSON, cast to integers.
+
+			self::send_region_translation(
+				Translation_Regions::translate_comments( $post, $target_lang, $requested, is_array( $comment_ids ) ? $comment_ids : array() ),
+				$post_id
+			);
+		}
+
+		// The content and meta regions share the post's translation.
+		$post_segments = self::get_post_segments( $post );
+		$translation   = self::get_cached_translation( $post_id, $target_lang ) ?? array( 'segments' => array() );
+		$missing       = array();
+
+		foreach ( $requested as $text ) {
+			$key = Translation_Segments::key( $text );
+
+			if ( isset( $post_segments[ $key ] ) && ! isset( $translation['segments'][ $key ] ) ) {
+				$missing[ $key ] = $post_segments[ $key ];
+			}
+		}
+
+		if ( $missing ) {
+			$translation = self::translate_missing_segments( $post_id, $target_lang, $missing );
+
+			if ( is_wp_error( $translation ) ) {
+				Translation_Limits::send_error( $translation );
+			}
+		} else {
+			self::record_cache_hit( $post_id );
+		}
+
+		$stale = self::is_stale_translation( $post, $translation );
+
+		if ( $stale && Translation_Limits::allows_refresh() ) {
+			Translation_Refresh::schedule( $post_id );
+		}
+
+		$segments = array();
+
+		foreach ( $requested as $id => $text ) {
+			$key = Translation_Segments::key( $text );
+
+			if ( isset( $translation['segments'][ $key ] ) ) {
+				$segments[ $id ] = $translation['segments'][ $key ];
+			}
+		}
+
+		wp_send_json_success(
+			array(
+				'segments' => $segments,
+				'cached'   => empty( $missing ),
+				'stale'    => $stale,
+			)
+		);
+	}
+
+	/**
+	 * Sends the translation of a region that is cached apart from the post.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param array|\WP_Error $result  Result of a Translation_Regions method.
+	 * @param int             $post_id Post the region belongs to, or 0.
+	 */
+	private static function send_region_translation( $result, int $post_id = 0 ): void {
+		if ( is_wp_error( $result ) ) {
+			Translation_Limits::send_error( $result );
+		}
+
+		if ( $result['cached'] ) {
+			self::record_cache_hit( $post_id );
+		}
+
+		// Comments, widgets and menus are not tracked for staleness.
+		wp_send_json_success( $result + array( 'stale' => false ) );
+	}
+
+	/**
+	 * Logs a translation request that was served from the cache.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param int $post_id Post ID, or 0 for the site's regions.
+	 */
+	private static function record_cache_hit( int $post_id ): void {
+		Usage_Log::record(
+			array(
+				'feature'   => 'translation',
+				'post_id'   => $post_id,
+				'cache_hit' => true,
+			)
+		);
+	}
+
+	/**
+	 * Translates segments of a post and adds them to its cached translation.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param int                   $post_id  Post ID.
+	 * @param string                $language Language code.
+	 * @param array<string, string> $missing  Texts to translate, keyed by segment key.
+	 * @return array|\WP_Error The updated translation, or WP_Error.
+	 */
+	public static function translate_missing_segments( int $post_id, string $language, array $missing ) {
 		// Execute the ability.
 		$ability = wp_get_ability( 'ai/translate-content' );
 
 		if ( ! $ability ) {
-			wp_send_json_error(
-				array( 'message' => __( 'Content translation ability not found.', 'jp-wp-ai' ) )
+			return new \WP_Error(
+				'ability_not_found',
+				__( 'Content translation ability not found.', 'jp-wp-ai' )
 			);
 		}
 
 		$result = $ability->execute(
 			array(
-				'title'       => $post->post_title,
-				'content'     => apply_filters( 'the_content', $post->post_content ),
-				'excerpt'     => $post->post_excerpt,
-				'target_lang' => $target_lang,
+				'segments'    => $missing,
+				'target_lang' => $language,
+				'post_id'     => $post_id,
 			)
 		);
 
 		if ( is_wp_error( $result ) ) {
-			wp_send_json_error(
-				array( 'message' => $result->get_error_message() )
-			);
+			return $result;
+		}
+
+		// Chunks of the same post are translated in parallel, so merge with
+		// the cache as it is now rather than as it was before the request.
+		wp_cache_delete( $post_id, 'post_meta' );
+
+		$translation = self::get_cached_translation( $post_id, $language ) ?? array( 'segments' => array() );
+		$locked      = array_intersect_key( $translation['segments'], $translation['locked'] ?? array() );
+
+		// Hand-corrected segments win. Keys are hashes, so merge with + to
+		// keep keys that happen to be numeric.
+		$translation['segments']      = $locked + $result['segments'] + $translation['segments'];
+		$translation['translated_at'] = time();
+
+		$post = get_post( $post_id );
+
+		if ( $post ) {
+			$translation = self::sync_translation_source( $post, $translation );
 		}
 
-		// Cache the translation.
-		$translation_data = array(
-			'title'         => $result['title'],
-			'content'       => $result['content'],
-			'excerpt'       => $result['excerpt'],
-			'translated_at' => time(),
+		update_post_meta( $post_id, '_ai_translations_' . $language, $translation );
+
+		return $translation;
+	}
+
+	/**
+	 * Gets the translatable segments of a post: its title, the text of its
+	 * rendered content, and its excerpt, terms and date.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param \WP_Post $post The post.
+	 * @return array<string, string> Normalized texts keyed by segment key.
+	 */
+	public static function get_post_segments( \WP_Post $post ): array {
+		// Rendering the content is slow, and each chunk of a long post asks
+		// for the segments again.
+		$transient = 'jp_wp_ai_segments_' . $post->ID;
+		$cached    = get_transient( $transient );
+
+		if ( is_array( $cached ) && ( $cached['modified'] ?? '' ) === $post->post_modified_gmt ) {
+			return $cached['segments'];
+		}
+
+		$segments = Translation_Segments::extract( apply_filters( 'the_content', $post->post_content ) ) + Translation_Regions::get_meta_segments( $post );
+		$title    = Translation_Segments::normalize(
+			html_entity_decode( wp_strip_all_tags( get_the_title( $post ) ), ENT_QUOTES | ENT_HTML5, 'UTF-8' )
 		);
 
-		update_post_meta( $post_id, $cache_key, $translation_data );
+		if ( Translation_Segments::is_translatable( $title ) ) {
+			$segments[ Translation_Segments::key( $title ) ] = $title;
+		}
 
-		wp_send_json_success(
+		set_transient(
+			$transient,
 			array(
-				'translation' => $translation_data,
-				'cached'      => false,
-			)
+				'modified' => $post->post_modified_gmt,
+				'segments' => $segments,
+			),
+			HOUR_IN_SECONDS
 		);
+
+		return $segments;
 	}
 
 	/**
@@ -384,8 +927,10 @@ class Content_Translator extends Abstract_Experiment {
 				'jp-wp-ai-content-translator-view-script',
 				'aiContentTranslator',
 				array(
-					'nonce'   => wp_create_nonce( 'ai-translate-content' ),
-					'ajaxUrl' => admin_url( 'admin-ajax.php' ),
+					'nonce'        => wp_create_nonce( 'ai-translate-content' ),
+					'ajaxUrl'      => admin_url( 'admin-ajax.php' ),
+					'rtlLanguages' => self::RTL_LANGUAGES,
+					'strings'      => Translated_Interface::get_strings(),
 				)
 			);
 		}
@@ -398,5 +943,22 @@ class Content_Translator extends Abstract_Experiment {
 			JP_WP_AI_VERSION
 		);
 	}
-}
 
+	/**
+	 * Localizes the block editor script.
+	 *
+	 * @since 1.1.0
+	 */
+	public function enqueue_block_editor_assets(): void {
+		if ( wp_script_is( 'jp-wp-ai-content-translator-editor-script', 'registered' ) ) {
+			wp_localize_script(
+				'jp-wp-ai-content-translator-editor-script',
+				'aiContentTranslatorEditor',
+				array(
+					'languages' => self::SUPPORTED_LANGUAGES,
+					'regions'   => Translation_Regions::get_selectors(),
+				)
+			);
+		}
+	}
+}
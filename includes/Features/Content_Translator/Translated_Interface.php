@@ -0,0 +1,347 @@
+<?php
+/**
+ * Translated Interface
+ *
+ * Translates the labels and messages of the Content Translator block.
+ *
+ * @package JP\WP_AI\Features\Content_Translator
+ */
+
+namespace JP\WP_AI\Features\Content_Translator;
+
+use JP\WP_AI\Services\Usage_Log;
+
+/**
+ * Shows the translator's own interface in the language the page is
+ * translated into, so visitors who cannot read the site's language can
+ * still find their way back to the original.
+ *
+ * The view script sends the interface strings it uses. Only the strings
+ * of get_strings() and the labels set on translator blocks in the post,
+ * the templates and the block widgets are translated, and the
+ * translations are cached site-wide per language.
+ *
+ * @since 1.1.0
+ */
+class Translated_Interface {
+	/**
+	 * Option holding the cached interface translations, keyed by language.
+	 *
+	 * @since 1.1.0
+	 * @var string
+	 */
+	private const OPTION = 'jp_wp_ai_interface_translations';
+
+	/**
+	 * Block attributes holding custom labels.
+	 *
+	 * @since 1.1.0
+	 * @var string[]
+	 */
+	private const LABEL_ATTRIBUTES = array( 'label', 'translateLabel', 'originalLabel' );
+
+	/**
+	 * Transient holding the translator blocks of the templates and widgets.
+	 *
+	 * @since 1.1.0
+	 * @var string
+	 */
+	private const BLOCKS_TRANSIENT = 'jp_wp_ai_translator_blocks';
+
+	/**
+	 * Registers the hooks.
+	 *
+	 * @since 1.1.0
+	 */
+	public static function register(): void {
+		add_action( 'wp_ajax_ai_translate_interface', array( self::class, 'ajax_translate_interface' ) );
+		add_action( 'wp_ajax_nopriv_ai_translate_interface', array( self::class, 'ajax_translate_interface' ) );
+
+		// Collect the blocks of the templates and widgets again when they change.
+		add_action( 'save_post_wp_template', array( self::class, 'flush_site_blocks' ) );
+		add_action( 'save_post_wp_template_part', array( self::class, 'flush_site_blocks' ) );
+		add_action( 'add_option_widget_block', array( self::class, 'flush_site_blocks' ) );
+		add_action( 'update_option_widget_block', array( self::class, 'flush_site_blocks' ) );
+		add_action( 'switch_theme', array( self::class, 'flush_site_blocks' ) );
+	}
+
+	/**
+	 * Gets the labels and messages of the translator interface.
+	 *
+	 * Messages with placeholders are formatted by the view script.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @return array<string, string> Strings keyed by name.
+	 */
+	public static function get_strings(): array {
+		return array(
+			'label'             => __( 'Translate this page:', 'jp-wp-ai' ),
+			'translate'         => __( 'Translate', 'jp-wp-ai' ),
+			'showOriginal'      => __( 'Show Original', 'jp-wp-ai' ),
+			'selectLanguage'    => __( 'Select a language', 'jp-wp-ai' ),
+			'retry'             => __( 'Retry failed sections', 'jp-wp-ai' ),
+			'staleNotice'       => __( 'This page has changed since it was translated. The translation is being updated.', 'jp-wp-ai' ),
+			'progressLabel'     => __( 'Translation progress', 'jp-wp-ai' ),
+			'noLanguage'        => __( 'Please select a language.', 'jp-wp-ai' ),
+			'sameLanguage'      => __( 'Content is already in this language.', 'jp-wp-ai' ),
+			'noText'            => __( 'There is no text to translate.', 'jp-wp-ai' ),
+			'translating'       => __( 'Translating...', 'jp-wp-ai' ),
+			/* translators: 1: Number of translated sections, 2: Total number of sections. */
+			'progress'          => __( 'Translating... %1$d of %2$d sections', 'jp-wp-ai' ),
+			'complete'          => __( 'Translation complete!', 'jp-wp-ai' ),
+			'completeFromCache' => __( 'Translation complete! (from cache)', 'jp-wp-ai' ),
+			/* translators: 1: Number of failed sections, 2: Total number of sections. */
+			'failed'            => __( 'Error: %1$d of %2$d sections could not be translated.', 'jp-wp-ai' ),
+			'translationFailed' => __( 'Translation failed', 'jp-wp-ai' ),
+			'throttled'         => __( 'Too many translation requests. Please wait a few minutes and try again.', 'jp-wp-ai' ),
+			'unavailable'       => __( 'This language is not available right now. Please choose another language.', 'jp-wp-ai' ),
+			'showingOriginal'   => __( 'Showing original content', 'jp-wp-ai' ),
+		);
+	}
+
+	/**
+	 * Handles AJAX request to translate the interface strings.
+	 *
+	 * Expects the strings as a JSON object of texts keyed by the view
+	 * script's own IDs, and responds with the translations under the same
+	 * IDs. Strings that are not part of the interface are ignored.
+	 *
+	 * @since 1.1.0
+	 */
+	public static function ajax_translate_interface(): void {
+		check_ajax_referer( 'ai-translate-content', 'nonce' );
+
+		$post_id     = isset( $_POST['post_id'] ) ? absint( $_POST['post_id'] ) : 0;
+		$target_lang = isset( $_POST['target_lang'] ) ? sanitize_text_field( wp_unslash( $_POST['target_lang'] ) ) : '';
+		$requested   = isset( $_POST['strings'] ) ? json_decode( wp_unslash( $_POST['strings'] ), true ) : null; // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Decoded JSON, only strings are used.
+		$post        = $post_id ? get_post( $post_id ) : null;
+
+		// Listings have no post of their own.
+		if ( $post_id && ( ! $post || ( ! is_post_publicly_viewable( $post ) && ! current_user_can( 'read_post', $post_id ) ) ) ) {
+			wp_send_json_error(
+				array( 'message' => __( 'Post not found.', 'jp-wp-ai' ) )
+			);
+		}
+
+		if ( ! isset( Content_Translator::get_supported_languages()[ $target_lang ] ) ) {
+			wp_send_json_error(
+				array( 'message' => __( 'Invalid target language.', 'jp-wp-ai' ) )
+			);
+		}
+
+		$allowed   = self::get_allowed_strings( $post );
+		$requested = is_array( $requested ) ? array_filter( $requested, 'is_string' ) : array();
+		$cache     = get_option( self::OPTION, array() );
+		$cached    = is_array( $cache[ $target_lang ] ?? null ) ? $cache[ $target_lang ] : array();
+		$missing   = array();
+
+		foreach ( $requested as $text ) {
+			$key = Translation_Segments::key( $text );
+
+			if ( isset( $allowed[ $key ] ) && ! isset( $cached[ $key ] ) ) {
+				$missing[ $key ] = $allowed[ $key ];
+			}
+		}
+
+		if ( $missing ) {
+			$ability = wp_get_ability( 'ai/translate-content' );
+
+			if ( ! $ability ) {
+				wp_send_json_error(
+					array( 'message' => __( 'Content translation ability not found.', 'jp-wp-ai' ) )
+				);
+			}
+
+			$result = $ability->execute(
+				array(
+					'segments'    => $missing,
+					'target_lang' => $target_lang,
+					'post_id'     => $post_id,
+				)
+			);
+
+			if ( is_wp_error( $result ) ) {
+				Translation_Limits::send_error( $result );
+			}
+
+			foreach ( $result['segments'] as $key => $translation ) {
+				// A message the view script cannot format is no use.
+				if ( self::get_placeholders( $missing[ $key ] ) === self::get_placeholders( $translation ) ) {
+					$cached[ $key ] = Translation_Segments::normalize( $translation );
+				}
+			}
+
+			$cache[ $target_lang ] = $cached;
+			update_option( self::OPTION, $cache, false );
+		} elseif ( $requested ) {
+			Usage_Log::record(
+				array(
+					'feature'   => 'translation',
+					'post_id'   => $post_id,
+					'cache_hit' => true,
+				)
+			);
+		}
+
+		$strings = array();
+
+		foreach ( $requested as $id => $text ) {
+			$key = Translation_Segments::key( $text );
+
+			if ( isset( $allowed[ $key ], $cached[ $key ] ) ) {
+				$strings[ $id ] = $cached[ $key ];
+			}
+		}
+
+		wp_send_json_success(
+			array( 'strings' => $strings )
+		);
+	}
+
+	/**
+	 * Gets the strings that may be translated on a page: the interface
+	 * strings and the custom labels of the translator blocks that can be on
+	 * it.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param \WP_Post|null $post The post of a singular page, or null.
+	 * @return array<string, string> Normalized texts keyed by segment key.
+	 */
+	private static function get_allowed_strings( ?\WP_Post $post ): array {
+		$texts = array_values( self::get_strings() );
+
+		foreach ( self::get_translator_blocks( $post ) as $block ) {
+			foreach ( self::LABEL_ATTRIBUTES as $attribute ) {
+				if ( ! empty( $block['attrs'][ $attribute ] ) && is_string( $block['attrs'][ $attribute ] ) ) {
+					$texts[] = $block['attrs'][ $attribute ];
+				}
+			}
+		}
+
+		$allowed = array();
+
+		foreach ( $texts as $text ) {
+			$allowed[ Translation_Segments::key( $text ) ] = Translation_Segments::normalize( $text );
+		}
+
+		return $allowed;
+	}
+
+	/**
+	 * Gets the translator blocks that can be on a page: those in the post,
+	 * the templates and template parts, and the block widgets.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param \WP_Post|null $post The post of a singular page, or null.
+	 * @return array[] Translator blocks, with at least 'blockName' and 'attrs'.
+	 */
+	public static function get_translator_blocks( ?\WP_Post $post ): array {
+		$blocks = $post ? self::find_translator_blocks( parse_blocks( $post->post_content ) ) : array();
+
+		return array_merge( $blocks, self::get_site_translator_blocks() );
+	}
+
+	/**
+	 * Forgets the translator blocks of the templates and widgets, so they
+	 * are collected again.
+	 *
+	 * @since 1.1.0
+	 */
+	public static function flush_site_blocks(): void {
+		delete_transient( self::BLOCKS_TRANSIENT );
+	}
+
+	/**
+	 * Gets the translator blocks in the templates, template parts and block
+	 * widgets.
+	 *
+	 * Parsing every template on each request is slow, so the blocks are
+	 * cached until templates or widgets change, or for an hour at most.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @return array[] Translator blocks with 'blockName' and 'attrs'.
+	 */
+	private static function get_site_translator_blocks(): array {
+		$cached = get_transient( self::BLOCKS_TRANSIENT );
+
+		if ( is_array( $cached ) ) {
+			return $cached;
+		}
+
+		$blocks = array();
+
+		// Blocks in the header, footer or other parts of a block theme.
+		if ( wp_is_block_theme() ) {
+			foreach ( array( 'wp_template', 'wp_template_part' ) as $template_type ) {
+				foreach ( get_block_templates( array(), $template_type ) as $template ) {
+					$blocks = array_merge( $blocks, parse_blocks( $template->content ) );
+				}
+			}
+		}
+
+		// Blocks added to a classic theme's sidebars.
+		foreach ( (array) get_option( 'widget_block', array() ) as $widget ) {
+			if ( is_array( $widget ) && ! empty( $widget['content'] ) ) {
+				$blocks = array_merge( $blocks, parse_blocks( $widget['content'] ) );
+			}
+		}
+
+		// Only the attributes are needed, so the markup is not cached.
+		$found = array_map(
+			static function ( $block ) {
+				return array(
+					'blockName' => $block['blockName'],
+					'attrs'     => $block['attrs'],
+				);
+			},
+			self::find_translator_blocks( $blocks )
+		);
+
+		set_transient( self::BLOCKS_TRANSIENT, $found, HOUR_IN_SECONDS );
+
+		return $found;
+	}
+
+	/**
+	 * Finds the translator blocks among blocks and their inner blocks.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param array[] $blocks Parsed blocks.
+	 * @return array[] The translator blocks.
+	 */
+	private static function find_translator_blocks( array $blocks ): array {
+		$found = array();
+
+		foreach ( $blocks as $block ) {
+			if ( 'jp-wp-ai/content-translator' === $block['blockName'] ) {
+				$found[] = $block;
+			}
+
+			if ( ! empty( $block['innerBlocks'] ) ) {
+				$found = array_merge( $found, self::find_translator_blocks( $block['innerBlocks'] ) );
+			}
+		}
+
+		return $found;
+	}
+
+	/**
+	 * Gets the sprintf placeholders of a message.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param string $text Message.
+	 * @return string[] Placeholders, sorted.
+	 */
+	private static function get_placeholders( string $text ): array {
+		preg_match_all( '/%(?:\d+\$)?[sd]/', $text, $matches );
+		sort( $matches[0] );
+
+		return $matches[0];
+	}
+}
@@ -0,0 +1,262 @@
+<?php
+/**
+ * Translated View
+ *
+ * Serves cached translations at shareable ?lang= URLs.
+ *
+ * @package JP\WP_AI\Features\Content_Translator
+ */
+
+namespace JP\WP_AI\Features\Content_Translator;
+
+/**
+ * Renders the cached translation of a post when its URL has a supported
+ * `lang` query parameter, and points search engines to every cached
+ * language with hreflang alternate links.
+ *
+ * Requests for a language without a cached translation get the original
+ * content; the block's view script then translates it in the browser.
+ *
+ * @since 1.1.0
+ */
+class Translated_View {
+	/**
+	 * Query parameter holding the language code.
+	 *
+	 * @since 1.1.0
+	 * @var string
+	 */
+	public const QUERY_VAR = 'lang';
+
+	/**
+	 * Registers the hooks.
+	 *
+	 * @since 1.1.0
+	 */
+	public static function register(): void {
+		// After do_blocks (9), wpautop (10) and do_shortcode (11).
+		add_filter( 'the_content', array( self::class, 'filter_content' ), 20 );
+		add_filter( 'the_title', array( self::class, 'filter_title' ), 10, 2 );
+		add_filter( 'document_title_parts', array( self::class, 'filter_document_title' ) );
+		add_filter( 'get_canonical_url', array( self::class, 'filter_canonical_url' ), 10, 2 );
+		add_action( 'wp_head', array( self::class, 'output_alternate_links' ) );
+		add_filter( 'language_attributes', array( self::class, 'filter_language_attributes' ) );
+	}
+
+	/**
+	 * Gets the language the current request asks for.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @return string Supported language code, or an empty string.
+	 */
+	public static function get_requested_language(): string {
+		// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Read-only view parameter.
+		$language = isset( $_GET[ self::QUERY_VAR ] ) ? sanitize_key( wp_unslash( $_GET[ self::QUERY_VAR ] ) ) : '';
+
+		return isset( Content_Translator::get_supported_languages()[ $language ] ) ? $language : '';
+	}
+
+	/**
+	 * Gets the language a post is rendered in on this request.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param int $post_id Post ID.
+	 * @return string Language code, or an empty string for the original.
+	 */
+	public static function get_current_language( int $post_id ): string {
+		$translation = self::get_current_translation( $post_id );
+
+		return $translation ? self::get_requested_language() : '';
+	}
+
+	/**
+	 * Gets the translation to render for a post on this request.
+	 *
+	 * Only the queried post of a singular request is translated.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param int $post_id Post ID.
+	 * @return array|null The cached translation, or null.
+	 */
+	private static function get_current_translation( int $post_id ): ?array {
+		if ( is_admin() || ! is_singular() || get_queried_object_id() !== $post_id ) {
+			return null;
+		}
+
+		$language = self::get_requested_language();
+
+		return $language ? Content_Translator::get_cached_translation( $post_id, $language ) : null;
+	}
+
+	/**
+	 * Replaces the text of the post content with its translation.
+	 *
+	 * The translation is wrapped in an element with its language and text
+	 * direction, so it reads the right way and screen readers pronounce it
+	 * in that language.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param string $content The rendered post content.
+	 * @return string The translated content.
+	 */
+	public static function filter_content( string $content ): string {
+		$translation = self::get_current_translation( (int) get_the_ID() );
+
+		if ( ! $translation ) {
+			return $content;
+		}
+
+		$language = self::get_requested_language();
+
+		return sprintf(
+			'<div lang="%s" dir="%s">%s</div>',
+			esc_attr( $language ),
+			esc_attr( Content_Translator::get_language_direction( $language ) ),
+			Translation_Segments::patch( $content, $translation['segments'] )
+		);
+	}
+
+	/**
+	 * Replaces the post title with its translation.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param string $title   The post title.
+	 * @param int    $post_id The post ID.
+	 * @return string The translated title.
+	 */
+	public static function filter_title( $title, $post_id = 0 ) {
+		$translated = self::get_translated_title( (int) $post_id, (string) $title );
+
+		return null !== $translated ? esc_html( $translated ) : $title;
+	}
+
+	/**
+	 * Replaces the post title in the document title.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param array $parts The document title parts.
+	 * @return array The document title parts.
+	 */
+	public static function filter_document_title( array $parts ): array {
+		// Texturize like the_title, which the view script and the cached keys see.
+		$post_id    = get_queried_object_id();
+		$translated = self::get_translated_title( $post_id, wptexturize( (string) get_post_field( 'post_title', $post_id ) ) );
+
+		if ( null !== $translated ) {
+			$parts['title'] = $translated;
+		}
+
+		return $parts;
+	}
+
+	/**
+	 * Gets the translation of a post title.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param int    $post_id Post ID.
+	 * @param string $title   The title, as HTML.
+	 * @return string|null The translated title as plain text, or null.
+	 */
+	private static function get_translated_title( int $post_id, string $title ): ?string {
+		$translation = self::get_current_translation( $post_id );
+
+		if ( ! $translation ) {
+			return null;
+		}
+
+		$key = Translation_Segments::key(
+			html_entity_decode( wp_strip_all_tags( $title ), ENT_QUOTES | ENT_HTML5, 'UTF-8' )
+		);
+
+		return $translation['segments'][ $key ] ?? null;
+	}
+
+	/**
+	 * Sets the language of the document to that of a translated post.
+	 *
+	 * The text direction of the document is left alone, since it also
+	 * applies to the theme, which is not translated.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param string $output The language attributes of the html element.
+	 * @return string The language attributes.
+	 */
+	public static function filter_language_attributes( $output ) {
+		$language = self::get_current_language( get_queried_object_id() );
+
+		if ( ! $language ) {
+			return $output;
+		}
+
+		return (string) preg_replace( '/lang="[^"]*"/', 'lang="' . esc_attr( $language ) . '"', $output );
+	}
+
+	/**
+	 * Keeps the language in the canonical URL of a translated post, so it is
+	 * not treated as a duplicate of the original.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param string   $url  The canonical URL.
+	 * @param \WP_Post $post The post.
+	 * @return string The canonical URL.
+	 */
+	public static function filter_canonical_url( $url, $post ) {
+		$language = self::get_current_language( (int) $post->ID );
+
+		return $language ? add_query_arg( self::QUERY_VAR, $language, $url ) : $url;
+	}
+
+	/**
+	 * Outputs hreflang alternate links for every cached language of the
+	 * queried post.
+	 *
+	 * @since 1.1.0
+	 */
+	public static function output_alternate_links(): void {
+		if ( ! is_singular() ) {
+			return;
+		}
+
+		$post_id   = get_queried_object_id();
+		$languages = array_filter(
+			array_keys( Content_Translator::get_supported_languages() ),
+			static function ( $language ) use ( $post_id ) {
+				return null !== Content_Translator::get_cached_translation( $post_id, $language );
+			}
+		);
+
+		if ( ! $languages ) {
+			return;
+		}
+
+		$permalink = (string) get_permalink( $post_id );
+
+		printf(
+			'<link rel="alternate" hreflang="%s" href="%s" />' . "\n",
+			esc_attr( get_bloginfo( 'language' ) ),
+			esc_url( $permalink )
+		);
+
+		foreach ( $languages as $language ) {
+			printf(
+				'<link rel="alternate" hreflang="%s" href="%s" />' . "\n",
+				esc_attr( $language ),
+				esc_url( add_query_arg( self::QUERY_VAR, $language, $permalink ) )
+			);
+		}
+
+		printf(
+			'<link rel="alternate" hreflang="x-default" href="%s" />' . "\n",
+			esc_url( $permalink )
+		);
+	}
+}
@@ -0,0 +1,324 @@
+<?php
+/**
+ * Translation Glossary
+ *
+ * Site-wide terms with a fixed translation, or none at all.
+ *
+ * @package JP\WP_AI\Features\Content_Translator
+ */
+
+namespace JP\WP_AI\Features\Content_Translator;
+
+/**
+ * Keeps brand and product names consistent across translations.
+ *
+ * Each glossary entry is a term that is either never translated, or has
+ * forced translations per language. The terms found in the text are given
+ * to the model, and its translations are checked for them afterwards.
+ *
+ * The glossary is edited in its own section of the plugin settings page.
+ *
+ * @since 1.1.0
+ */
+class Translation_Glossary {
+	/**
+	 * Option holding the glossary entries.
+	 *
+	 * @since 1.1.0
+	 * @var string
+	 */
+	public const OPTION = 'jp_wp_ai_translation_glossary';
+
+	/**
+	 * Registers the hooks.
+	 *
+	 * @since 1.1.0
+	 */
+	public static function register(): void {
+		add_action( 'admin_init', array( self::class, 'register_settings' ) );
+	}
+
+	/**
+	 * Registers the glossary setting and its section on the settings page.
+	 *
+	 * @since 1.1.0
+	 */
+	public static function register_settings(): void {
+		register_setting(
+			'jp_wp_ai_settings',
+			self::OPTION,
+			array(
+				'type'              => 'array',
+				'sanitize_callback' => array( self::class, 'sanitize' ),
+				'default'           => array(),
+			)
+		);
+
+		add_settings_section(
+			'jp_wp_ai_translation_glossary_section',
+			__( 'Translation Glossary', 'jp-wp-ai' ),
+			array( self::class, 'render_section' ),
+			'jp-wp-ai-settings'
+		);
+
+		add_settings_field(
+			self::OPTION,
+			__( 'Terms', 'jp-wp-ai' ),
+			array( self::class, 'render_field' ),
+			'jp-wp-ai-settings',
+			'jp_wp_ai_translation_glossary_section'
+		);
+	}
+
+	/**
+	 * Renders the glossary section description.
+	 *
+	 * @since 1.1.0
+	 */
+	public static function render_section(): void {
+		?>
+		<p>
+			<?php esc_html_e( 'Terms the Content Translator must keep as written, such as brand and product names, or translate in a fixed way. Changes apply to new translations; regenerate existing ones from the Translations sidebar in the editor.', 'jp-wp-ai' ); ?>
+		</p>
+		<?php
+	}
+
+	/**
+	 * Renders the glossary table.
+	 *
+	 * @since 1.1.0
+	 */
+	public static function render_field(): void {
+		$entries = self::get_entries();
+		?>
+		<table class="widefat striped jp-wp-ai-glossary">
+			<thead>
+				<tr>
+					<th scope="col"><?php esc_html_e( 'Term', 'jp-wp-ai' ); ?></th>
+					<th scope="col"><?php esc_html_e( 'Never translate', 'jp-wp-ai' ); ?></th>
+					<th scope="col"><?php esc_html_e( 'Translations', 'jp-wp-ai' ); ?></th>
+					<th scope="col"><span class="screen-reader-text"><?php esc_html_e( 'Actions', 'jp-wp-ai' ); ?></span></th>
+				</tr>
+			</thead>
+			<tbody>
+				<?php
+				foreach ( $entries as $index => $entry ) {
+					self::render_row( (string) $index, $entry );
+				}
+				?>
+			</tbody>
+		</table>
+		<template id="jp-wp-ai-glossary-row">
+			<?php self::render_row( '__INDEX__', array() ); ?>
+		</template>
+		<p>
+			<button type="button" class="button jp-wp-ai-glossary-add">
+				<?php esc_html_e( 'Add Term', 'jp-wp-ai' ); ?>
+			</button>
+		</p>
+		<p class="description">
+			<?php esc_html_e( 'Terms are matched case-sensitively as whole words. Leave a language empty to let the model translate the term there.', 'jp-wp-ai' ); ?>
+		</p>
+		<?php
+	}
+
+	/**
+	 * Renders one row of the glossary table.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param string $index Row index in the field names.
+	 * @param array  $entry Glossary entry, or an empty array for a new row.
+	 */
+	private static function render_row( string $index, array $entry ): void {
+		$name = self::OPTION . '[' . $index . ']';
+		?>
+		<tr>
+			<td>
+				<input
+					type="text"
+					name="<?php echo esc_attr( $name . '[term]' ); ?>"
+					value="<?php echo esc_attr( $entry['term'] ?? '' ); ?>"
+					class="regular-text"
+					aria-label="<?php esc_attr_e( 'Term', 'jp-wp-ai' ); ?>"
+				/>
+			</td>
+			<td>
+				<input
+					type="checkbox"
+					name="<?php echo esc_attr( $name . '[never_translate]' ); ?>"
+					value="1"
+					class="jp-wp-ai-glossary-never"
+					aria-label="<?php esc_attr_e( 'Never translate', 'jp-wp-ai' ); ?>"
+					<?php checked( ! empty( $entry['never_translate'] ) ); ?>
+				/>
+			</td>
+			<td>
+				<div class="jp-wp-ai-glossary-translations" style="display: flex; flex-wrap: wrap; gap: 4px;"<?php echo ! empty( $entry['never_translate'] ) ? ' hidden' : ''; ?>>
+					<?php foreach ( Content_Translator::get_supported_languages() as $code => $language ) : ?>
+						<input
+							type="text"
+							name="<?php echo esc_attr( $name . '[translations][' . $code . ']' ); ?>"
+							value="<?php echo esc_attr( $entry['translations'][ $code ] ?? '' ); ?>"
+							placeholder="<?php echo esc_attr( $language ); ?>"
+							aria-label="<?php echo esc_attr( $language ); ?>"
+							lang="<?php echo esc_attr( $code ); ?>"
+							style="width: 9em;"
+						/>
+					<?php endforeach; ?>
+				</div>
+			</td>
+			<td>
+				<button type="button" class="button-link button-link-delete jp-wp-ai-glossary-remove">
+					<?php esc_html_e( 'Remove', 'jp-wp-ai' ); ?>
+				</button>
+			</td>
+		</tr>
+		<?php
+	}
+
+	/**
+	 * Sanitizes the glossary entries submitted on the settings page.
+	 *
+	 * Rows without a term are dropped.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param mixed $value Submitted value.
+	 * @return array[] Glossary entries, see get_entries().
+	 */
+	public static function sanitize( $value ): array {
+		$entries = array();
+
+		foreach ( (array) $value as $entry ) {
+			if ( ! is_array( $entry ) ) {
+				continue;
+			}
+
+			$term = sanitize_text_field( $entry['term'] ?? '' );
+
+			if ( '' === $term ) {
+				continue;
+			}
+
+			$translations = array();
+
+			foreach ( array_keys( Content_Translator::get_supported_languages() ) as $code ) {
+				$translation = sanitize_text_field( $entry['translations'][ $code ] ?? '' );
+
+				if ( '' !== $translation ) {
+					$translations[ $code ] = $translation;
+				}
+			}
+
+			$entries[] = array(
+				'term'            => $term,
+				'never_translate' => ! empty( $entry['never_translate'] ),
+				'translations'    => $translations,
+			);
+		}
+
+		return $entries;
+	}
+
+	/**
+	 * Gets the glossary entries.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @return array[] Entries with 'term', 'never_translate' and 'translations',
+	 *                 forced translations keyed by language code.
+	 */
+	public static function get_entries(): array {
+		$entries = get_option( self::OPTION, array() );
+
+		return is_array( $entries ) ? $entries : array();
+	}
+
+	/**
+	 * Gets the glossary terms that appear in texts, with how each one must
+	 * read in the translation.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param string[] $texts    Texts to translate.
+	 * @param string   $language Target language code.
+	 * @return array<string, string> Required translations keyed by term. Terms
+	 *                               that are never translated map to themselves.
+	 */
+	public static function get_terms( array $texts, string $language ): array {
+		$terms = array();
+
+		foreach ( self::get_entries() as $entry ) {
+			$term     = $entry['term'] ?? '';
+			$required = ! empty( $entry['never_translate'] ) ? $term : ( $entry['translations'][ $language ] ?? '' );
+
+			if ( '' === $term || '' === $required ) {
+				continue;
+			}
+
+			foreach ( $texts as $text ) {
+				if ( self::contains_term( $text, $term ) ) {
+					$terms[ $term ] = $required;
+					break;
+				}
+			}
+		}
+
+		return $terms;
+	}
+
+	/**
+	 * Finds translations that do not use the glossary.
+	 *
+	 * Forced translations are matched case-insensitively, since they may
+	 * start a sentence. Terms that are never translated must appear exactly.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param array<string, string> $sources      Source texts keyed by ID.
+	 * @param array<string, string> $translations Translations keyed by ID.
+	 * @param array<string, string> $terms        Terms from get_terms().
+	 * @param bool                  $exact_only   Whether to check only the terms
+	 *                                            that are never translated.
+	 * @return string[] IDs of the translations that miss a term.
+	 */
+	public static function find_violations( array $sources, array $translations, array $terms, bool $exact_only = false ): array {
+		$violations = array();
+
+		foreach ( $translations as $id => $translation ) {
+			foreach ( $terms as $term => $required ) {
+				$term     = (string) $term;
+				$is_exact = $term === $required;
+
+				if ( ( $exact_only && ! $is_exact ) || ! self::contains_term( $sources[ $id ] ?? '', $term ) ) {
+					continue;
+				}
+
+				$found = $is_exact
+					? false !== strpos( $translation, $required )
+					: false !== mb_stripos( $translation, $required );
+
+				if ( ! $found ) {
+					$violations[] = (string) $id;
+					break;
+				}
+			}
+		}
+
+		return $violations;
+	}
+
+	/**
+	 * Checks whether a text contains a term as a whole word.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param string $text Text.
+	 * @param string $term Term.
+	 * @return bool Whether the term appears in the text.
+	 */
+	private static function contains_term( string $text, string $term ): bool {
+		return 1 === preg_match( '/(?<![\p{L}\p{N}])' . preg_quote( $term, '/' ) . '(?![\p{L}\p{N}])/u', $text );
+	}
+}
@@ -0,0 +1,438 @@
+<?php
+/**
+ * Translation Limits
+ *
+ * Rate limits and spend caps for translations started by visitors.
+ *
+ * @package JP\WP_AI\Features\Content_Translator
+ */
+
+namespace JP\WP_AI\Features\Content_Translator;
+
+use JP\WP_AI\Services\Usage_Log;
+
+/**
+ * Keeps visitors from running up the API bill.
+ *
+ * Any visitor can ask the translator block for a language that is not
+ * cached yet, which costs an API request. Those requests are counted per
+ * IP address and per browser session in hourly windows, and refused once
+ * a window is full. When the estimated spend of the day or month reaches
+ * its cap, or the translator block a request comes from only offers
+ * translated languages, visitors are limited to the translations that are
+ * already cached.
+ *
+ * The limits apply inside the translate ability, so they hold however it
+ * is run, including over the REST API. Cached translations are never
+ * limited, and neither are users who can edit posts or the background
+ * refresh, which stops at the spend cap on its own. The limits are set in their own section of the plugin
+ * settings page.
+ *
+ * @since 1.1.0
+ */
+class Translation_Limits {
+	/**
+	 * Option holding the limits.
+	 *
+	 * @since 1.1.0
+	 * @var string
+	 */
+	public const OPTION = 'jp_wp_ai_translation_limits';
+
+	/**
+	 * Default limits. A limit or cap of 0 is off.
+	 *
+	 * @since 1.1.0
+	 * @var array
+	 */
+	private const DEFAULTS = array(
+		'ip_limit'       => 100,
+		'session_limit'  => 30,
+		'daily_budget'   => 0,
+		'monthly_budget' => 0,
+	);
+
+	/**
+	 * Prefix of the transients counting requests.
+	 *
+	 * @since 1.1.0
+	 * @var string
+	 */
+	private const COUNTER_PREFIX = 'jp_wp_ai_translation_rate_';
+
+	/**
+	 * Transient holding the spend of the day and month.
+	 *
+	 * @since 1.1.0
+	 * @var string
+	 */
+	private const SPEND_TRANSIENT = 'jp_wp_ai_translation_spend';
+
+	/**
+	 * Registers the hooks.
+	 *
+	 * @since 1.1.0
+	 */
+	public static function register(): void {
+		add_action( 'admin_init', array( self::class, 'register_settings' ) );
+	}
+
+	/**
+	 * Registers the limits setting and its section on the settings page.
+	 *
+	 * @since 1.1.0
+	 */
+	public static function register_settings(): void {
+		register_setting(
+			'jp_wp_ai_settings',
+			self::OPTION,
+			array(
+				'type'              => 'array',
+				'sanitize_callback' => array( self::class, 'sanitize' ),
+				'default'           => self::DEFAULTS,
+			)
+		);
+
+		add_settings_section(
+			'jp_wp_ai_translation_limits_section',
+			__( 'Translation Limits', 'jp-wp-ai' ),
+			array( self::class, 'render_section' ),
+			'jp-wp-ai-settings'
+		);
+
+		add_settings_field(
+			'jp_wp_ai_translation_rate_limits',
+			__( 'Rate limits', 'jp-wp-ai' ),
+			array( self::class, 'render_rate_fields' ),
+			'jp-wp-ai-settings',
+			'jp_wp_ai_translation_limits_section'
+		);
+
+		add_settings_field(
+			'jp_wp_ai_translation_budgets',
+			__( 'Spend caps', 'jp-wp-ai' ),
+			array( self::class, 'render_budget_fields' ),
+			'jp-wp-ai-settings',
+			'jp_wp_ai_translation_limits_section'
+		);
+	}
+
+	/**
+	 * Renders the limits section description.
+	 *
+	 * @since 1.1.0
+	 */
+	public static function render_section(): void {
+		?>
+		<p>
+			<?php esc_html_e( 'Limit the translations visitors can start with the Content Translator block. Translations that are already cached are always served, and users who can edit posts are never limited.', 'jp-wp-ai' ); ?>
+		</p>
+		<?php
+	}
+
+	/**
+	 * Renders the rate limit fields.
+	 *
+	 * @since 1.1.0
+	 */
+	public static function render_rate_fields(): void {
+		$settings = self::get_settings();
+		?>
+		<label>
+			<input type="number" min="0" step="1" class="small-text" name="<?php echo esc_attr( self::OPTION . '[ip_limit]' ); ?>" value="<?php echo esc_attr( $settings['ip_limit'] ); ?>" />
+			<?php esc_html_e( 'requests per hour from one IP address', 'jp-wp-ai' ); ?>
+		</label>
+		<br />
+		<label>
+			<input type="number" min="0" step="1" class="small-text" name="<?php echo esc_attr( self::OPTION . '[session_limit]' ); ?>" value="<?php echo esc_attr( $settings['session_limit'] ); ?>" />
+			<?php esc_html_e( 'requests per hour from one browser session', 'jp-wp-ai' ); ?>
+		</label>
+		<p class="description">
+			<?php esc_html_e( 'Only requests that need a new translation count, and a long page can take several. Use 0 for no limit.', 'jp-wp-ai' ); ?>
+		</p>
+		<?php
+	}
+
+	/**
+	 * Renders the spend cap fields.
+	 *
+	 * @since 1.1.0
+	 */
+	public static function render_budget_fields(): void {
+		$settings = self::get_settings();
+		?>
+		<label>
+			$ <input type="number" min="0" step="0.01" class="small-text" name="<?php echo esc_attr( self::OPTION . '[daily_budget]' ); ?>" value="<?php echo esc_attr( $settings['daily_budget'] ); ?>" />
+			<?php esc_html_e( 'per day', 'jp-wp-ai' ); ?>
+		</label>
+		<br />
+		<label>
+			$ <input type="number" min="0" step="0.01" class="small-text" name="<?php echo esc_attr( self::OPTION . '[monthly_budget]' ); ?>" value="<?php echo esc_attr( $settings['monthly_budget'] ); ?>" />
+			<?php esc_html_e( 'per month', 'jp-wp-ai' ); ?>
+		</label>
+		<p class="description">
+			<?php esc_html_e( 'Once the estimated cost of all AI requests, as shown in the usage dashboard below, reaches a cap, visitors only get the languages that are already translated until the next day or month. Use 0 for no cap.', 'jp-wp-ai' ); ?>
+		</p>
+		<?php
+	}
+
+	/**
+	 * Sanitizes the limits.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param mixed $value Submitted limits.
+	 * @return array Sanitized limits.
+	 */
+	public static function sanitize( $value ): array {
+		$value = is_array( $value ) ? $value : array();
+
+		return array(
+			'ip_limit'       => absint( $value['ip_limit'] ?? 0 ),
+			'session_limit'  => absint( $value['session_limit'] ?? 0 ),
+			'daily_budget'   => round( max( 0, (float) ( $value['daily_budget'] ?? 0 ) ), 2 ),
+			'monthly_budget' => round( max( 0, (float) ( $value['monthly_budget'] ?? 0 ) ), 2 ),
+		);
+	}
+
+	/**
+	 * Gets the limits.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @return array Limits keyed like DEFAULTS.
+	 */
+	public static function get_settings(): array {
+		$settings = get_option( self::OPTION, array() );
+
+		return wp_parse_args( is_array( $settings ) ? $settings : array(), self::DEFAULTS );
+	}
+
+	/**
+	 * Checks whether the current visitor may start a translation.
+	 *
+	 * The translate ability calls this right before the API would be
+	 * called. A request that is allowed is counted against the rate limits.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @return \WP_Error|null Error with the code 'throttled' or 'unavailable', or null when allowed.
+	 */
+	public static function check(): ?\WP_Error {
+		if ( current_user_can( 'edit_posts' ) || wp_doing_cron() ) {
+			return null;
+		}
+
+		if ( self::is_cached_only() || self::is_over_budget() ) {
+			return new \WP_Error(
+				'unavailable',
+				__( 'This language is not available right now. Please choose another language.', 'jp-wp-ai' )
+			);
+		}
+
+		$settings = self::get_settings();
+		$counters = array();
+
+		if ( $settings['ip_limit'] ) {
+			$ip = isset( $_SERVER['REMOTE_ADDR'] ) ? sanitize_text_field( wp_unslash( $_SERVER['REMOTE_ADDR'] ) ) : '';
+
+			$counters[ 'ip|' . $ip ] = $settings['ip_limit'];
+		}
+
+		// Without a session ID, the IP limit is all there is.
+		$session = self::get_session_id();
+
+		if ( $settings['session_limit'] && '' !== $session ) {
+			$counters[ 'session|' . $session ] = $settings['session_limit'];
+		}
+
+		// Count the request only once it passes every limit.
+		foreach ( $counters as $key => $limit ) {
+			if ( self::get_counter( $key )['count'] >= $limit ) {
+				return new \WP_Error(
+					'throttled',
+					__( 'Too many translation requests. Please wait a few minutes and try again.', 'jp-wp-ai' ),
+					array( 'status' => 429 )
+				);
+			}
+		}
+
+		foreach ( array_keys( $counters ) as $key ) {
+			$counter = self::get_counter( $key );
+			++$counter['count'];
+
+			set_transient( self::COUNTER_PREFIX . md5( $key ), $counter, max( 1, $counter['expires'] - time() ) );
+		}
+
+		return null;
+	}
+
+	/**
+	 * Sends a translation error as the AJAX response.
+	 *
+	 * The error code lets the view script tell limits from failures.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param \WP_Error $error Error to send.
+	 */
+	public static function send_error( \WP_Error $error ): void {
+		$data = $error->get_error_data();
+
+		wp_send_json_error(
+			array(
+				'message' => $error->get_error_message(),
+				'code'    => $error->get_error_code(),
+			),
+			is_array( $data ) && isset( $data['status'] ) ? (int) $data['status'] : null
+		);
+	}
+
+	/**
+	 * Checks whether a visitor request may schedule a refresh of stale
+	 * translations.
+	 *
+	 * Refreshes run in the background whoever scheduled them, so they are
+	 * left to saving the post while new translations are off.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @return bool Whether a refresh may be scheduled.
+	 */
+	public static function allows_refresh(): bool {
+		return ! self::is_cached_only() && ! self::is_over_budget();
+	}
+
+	/**
+	 * Gets the ID the view script sends to tell which translator block a
+	 * request comes from.
+	 *
+	 * The ID is made from the block's saved attributes, so the block can be
+	 * found again in the post or the templates.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param array $attributes Block attributes as saved, without defaults.
+	 * @return string Block ID.
+	 */
+	public static function get_block_id( array $attributes ): string {
+		return substr( md5( (string) wp_json_encode( $attributes ) ), 0, 12 );
+	}
+
+	/**
+	 * Checks whether the translator block a request comes from only offers
+	 * translated languages.
+	 *
+	 * The setting is read from the blocks of the post and the templates,
+	 * never from the request. When the block ID the view script sends
+	 * matches none of them, any block that only offers translated languages
+	 * turns new translations off.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @return bool Whether new translations are off.
+	 */
+	private static function is_cached_only(): bool {
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Checked by the AJAX handlers.
+		$post_id = isset( $_POST['post_id'] ) ? absint( $_POST['post_id'] ) : 0;
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Checked by the AJAX handlers.
+		$block_id = isset( $_POST['block_id'] ) ? sanitize_key( wp_unslash( $_POST['block_id'] ) ) : '';
+
+		$cached_only = false;
+
+		foreach ( Translated_Interface::get_translator_blocks( $post_id ? get_post( $post_id ) : null ) as $block ) {
+			$attributes = (array) ( $block['attrs'] ?? array() );
+
+			if ( '' !== $block_id && self::get_block_id( $attributes ) === $block_id ) {
+				return ! empty( $attributes['cachedOnly'] );
+			}
+
+			$cached_only = $cached_only || ! empty( $attributes['cachedOnly'] );
+		}
+
+		return $cached_only;
+	}
+
+	/**
+	 * Checks whether the spend of the day or month has reached its cap.
+	 *
+	 * The spend is read from the usage log at most once a minute.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @return bool Whether a cap is reached.
+	 */
+	public static function is_over_budget(): bool {
+		$settings = self::get_settings();
+		$caps     = array_filter(
+			array(
+				'day'   => (float) $settings['daily_budget'],
+				'month' => (float) $settings['monthly_budget'],
+			)
+		);
+
+		if ( ! $caps ) {
+			return false;
+		}
+
+		$spend = get_transient( self::SPEND_TRANSIENT );
+
+		if ( ! is_array( $spend ) ) {
+			// Days and months start in the site's timezone.
+			$spend = array(
+				'day'   => Usage_Log::get_totals( get_gmt_from_date( wp_date( 'Y-m-d 00:00:00' ) ) )['cost'] ?? 0,
+				'month' => Usage_Log::get_totals( get_gmt_from_date( wp_date( 'Y-m-01 00:00:00' ) ) )['cost'] ?? 0,
+			);
+
+			set_transient( self::SPEND_TRANSIENT, $spend, MINUTE_IN_SECONDS );
+		}
+
+		foreach ( $caps as $period => $cap ) {
+			if ( $spend[ $period ] >= $cap ) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+
+	/**
+	 * Gets a request counter and the end of its window.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param string $key Counter key.
+	 * @return array Counter with 'count' and 'expires' keys.
+	 */
+	private static function get_counter( string $key ): array {
+		$counter = get_transient( self::COUNTER_PREFIX . md5( $key ) );
+
+		if ( ! is_array( $counter ) || $counter['expires'] <= time() ) {
+			$counter = array(
+				'count'   => 0,
+				'expires' => time() + HOUR_IN_SECONDS,
+			);
+		}
+
+		return $counter;
+	}
+
+	/**
+	 * Gets the ID of the current browser session.
+	 *
+	 * The view script sends a random ID it keeps for the session. Logged-in
+	 * users are counted by their account instead.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @return string Session ID, or an empty string if there is none.
+	 */
+	private static function get_session_id(): string {
+		if ( is_user_logged_in() ) {
+			return 'user-' . get_current_user_id();
+		}
+
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Checked by the AJAX handlers.
+		return isset( $_POST['session'] ) ? substr( sanitize_key( wp_unslash( $_POST['session'] ) ), 0, 64 ) : '';
+	}
+}
@@ -0,0 +1,385 @@
+<?php
+/**
+ * Translation Manager
+ *
+ * REST API for managing the cached translations of a post in the editor.
+ *
+ * @package JP\WP_AI\Features\Content_Translator
+ */
+
+namespace JP\WP_AI\Features\Content_Translator;
+
+/**
+ * Lets publishers see which languages of a post are cached, generate,
+ * regenerate or delete them, and correct translated segments by hand.
+ *
+ * Corrected segments can be locked, so regenerating keeps them.
+ *
+ * @since 1.1.0
+ */
+class Translation_Manager {
+	/**
+	 * REST API namespace.
+	 *
+	 * @since 1.1.0
+	 * @var string
+	 */
+	private const REST_NAMESPACE = 'jp-wp-ai/v1';
+
+	/**
+	 * Number of segments translated per generate request.
+	 *
+	 * The editor repeats the request until no segments remain, so no single
+	 * request runs long enough to time out.
+	 *
+	 * @since 1.1.0
+	 * @var int
+	 */
+	private const BATCH_SIZE = 50;
+
+	/**
+	 * Registers the hooks.
+	 *
+	 * @since 1.1.0
+	 */
+	public static function register(): void {
+		add_action( 'rest_api_init', array( self::class, 'register_rest_routes' ) );
+	}
+
+	/**
+	 * Registers the REST API routes.
+	 *
+	 * @since 1.1.0
+	 */
+	public static function register_rest_routes(): void {
+		register_rest_route(
+			self::REST_NAMESPACE,
+			'/translations/(?P<post_id>\d+)',
+			array(
+				'methods'             => \WP_REST_Server::READABLE,
+				'callback'            => array( self::class, 'rest_get_statuses' ),
+				'permission_callback' => array( self::class, 'check_permission' ),
+			)
+		);
+
+		register_rest_route(
+			self::REST_NAMESPACE,
+			'/translations/(?P<post_id>\d+)/(?P<language>[a-z]{2})',
+			array(
+				array(
+					'methods'             => \WP_REST_Server::READABLE,
+					'callback'            => array( self::class, 'rest_get_translation' ),
+					'permission_callback' => array( self::class, 'check_permission' ),
+				),
+				array(
+					'methods'             => \WP_REST_Server::CREATABLE,
+					'callback'            => array( self::class, 'rest_generate_translation' ),
+					'permission_callback' => array( self::class, 'check_permission' ),
+					'args'                => array(
+						'regenerate' => array(
+							'type'    => 'boolean',
+							'default' => false,
+						),
+					),
+				),
+				array(
+					'methods'             => \WP_REST_Server::EDITABLE,
+					'callback'            => array( self::class, 'rest_update_translation' ),
+					'permission_callback' => array( self::class, 'check_permission' ),
+					'args'                => array(
+						'segments' => array(
+							'type'                 => 'object',
+							'required'             => true,
+							'additionalProperties' => array(
+								'type'       => 'object',
+								'properties' => array(
+									'translation' => array(
+										'type' => 'string',
+									),
+									'locked'      => array(
+										'type' => 'boolean',
+									),
+								),
+							),
+						),
+					),
+				),
+				array(
+					'methods'             => \WP_REST_Server::DELETABLE,
+					'callback'            => array( self::class, 'rest_delete_translation' ),
+					'permission_callback' => array( self::class, 'check_permission' ),
+				),
+			)
+		);
+	}
+
+	/**
+	 * Checks whether the user can edit the post.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param \WP_REST_Request $request The request.
+	 * @return bool Whether the user can manage the post's translations.
+	 */
+	public static function check_permission( \WP_REST_Request $request ): bool {
+		return current_user_can( 'edit_post', (int) $request['post_id'] );
+	}
+
+	/**
+	 * Lists the translation status of every supported language.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param \WP_REST_Request $request The request.
+	 * @return \WP_REST_Response|\WP_Error The statuses, or WP_Error.
+	 */
+	public static function rest_get_statuses( \WP_REST_Request $request ) {
+		$post = self::get_post( $request );
+
+		if ( is_wp_error( $post ) ) {
+			return $post;
+		}
+
+		$post_segments = Content_Translator::get_post_segments( $post );
+		$statuses      = array();
+
+		foreach ( array_keys( Content_Translator::get_supported_languages() ) as $language ) {
+			$statuses[] = self::get_status( $post, $language, $post_segments );
+		}
+
+		return rest_ensure_response( $statuses );
+	}
+
+	/**
+	 * Gets the segments of a post next to their translations.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param \WP_REST_Request $request The request.
+	 * @return \WP_REST_Response|\WP_Error The status and the segments, or WP_Error.
+	 */
+	public static function rest_get_translation( \WP_REST_Request $request ) {
+		$post = self::get_post( $request );
+
+		if ( is_wp_error( $post ) ) {
+			return $post;
+		}
+
+		$language      = $request['language'];
+		$post_segments = Content_Translator::get_post_segments( $post );
+		$translation   = Content_Translator::get_cached_translation( $post->ID, $language ) ?? array( 'segments' => array() );
+		$segments      = array();
+
+		foreach ( $post_segments as $key => $source ) {
+			$segments[] = array(
+				'key'         => (string) $key,
+				'source'      => $source,
+				'translation' => $translation['segments'][ $key ] ?? '',
+				'locked'      => isset( $translation['locked'][ $key ] ),
+			);
+		}
+
+		return rest_ensure_response(
+			array(
+				'status'   => self::get_status( $post, $language, $post_segments ),
+				'segments' => $segments,
+			)
+		);
+	}
+
+	/**
+	 * Translates the next batch of untranslated segments of a post.
+	 *
+	 * With `regenerate`, all unlocked translations are dropped first. A stale
+	 * translation that needs no new segments is brought up to date.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param \WP_REST_Request $request The request.
+	 * @return \WP_REST_Response|\WP_Error The status and the number of segments
+	 *                                    still to translate, or WP_Error.
+	 */
+	public static function rest_generate_translation( \WP_REST_Request $request ) {
+		$post = self::get_post( $request );
+
+		if ( is_wp_error( $post ) ) {
+			return $post;
+		}
+
+		$language      = $request['language'];
+		$post_segments = Content_Translator::get_post_segments( $post );
+		$translation   = Content_Translator::get_cached_translation( $post->ID, $language );
+
+		if ( $translation && $request['regenerate'] ) {
+			$translation['segments'] = array_intersect_key( $translation['segments'], $translation['locked'] ?? array() );
+
+			if ( $translation['segments'] ) {
+				update_post_meta( $post->ID, '_ai_translations_' . $language, $translation );
+			} else {
+				delete_post_meta( $post->ID, '_ai_translations_' . $language );
+			}
+		}
+
+		$missing = array_diff_key( $post_segments, $translation['segments'] ?? array() );
+
+		if ( $missing ) {
+			$result = Content_Translator::translate_missing_segments(
+				$post->ID,
+				$language,
+				array_slice( $missing, 0, self::BATCH_SIZE, true )
+			);
+
+			if ( is_wp_error( $result ) ) {
+				return $result;
+			}
+
+			$missing = array_diff_key( $post_segments, $result['segments'] );
+		} elseif ( $translation && Content_Translator::is_stale_translation( $post, $translation ) ) {
+			// Text was only removed since the translation was made.
+			update_post_meta( $post->ID, '_ai_translations_' . $language, Content_Translator::sync_translation_source( $post, $translation ) );
+		}
+
+		return rest_ensure_response(
+			array(
+				'status'    => self::get_status( $post, $language, $post_segments ),
+				'remaining' => count( $missing ),
+			)
+		);
+	}
+
+	/**
+	 * Saves hand-corrected segments and their locks.
+	 *
+	 * An empty translation removes the segment, so it is translated again.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param \WP_REST_Request $request The request.
+	 * @return \WP_REST_Response|\WP_Error The status, or WP_Error.
+	 */
+	public static function rest_update_translation( \WP_REST_Request $request ) {
+		$post = self::get_post( $request );
+
+		if ( is_wp_error( $post ) ) {
+			return $post;
+		}
+
+		$language      = $request['language'];
+		$post_segments = Content_Translator::get_post_segments( $post );
+		$translation   = Content_Translator::get_cached_translation( $post->ID, $language ) ?? array( 'segments' => array() );
+		$locked        = $translation['locked'] ?? array();
+
+		foreach ( (array) $request['segments'] as $key => $changes ) {
+			if ( ! isset( $post_segments[ $key ] ) ) {
+				continue;
+			}
+
+			if ( isset( $changes['translation'] ) ) {
+				$text = Translation_Segments::normalize( wp_strip_all_tags( $changes['translation'] ) );
+
+				if ( '' === $text ) {
+					unset( $translation['segments'][ $key ], $locked[ $key ] );
+					continue;
+				}
+
+				$translation['segments'][ $key ] = $text;
+			}
+
+			if ( isset( $changes['locked'] ) ) {
+				if ( $changes['locked'] && isset( $translation['segments'][ $key ] ) ) {
+					$locked[ $key ] = true;
+				} else {
+					unset( $locked[ $key ] );
+				}
+			}
+		}
+
+		$translation['locked'] = $locked;
+
+		if ( $translation['segments'] ) {
+			$translation['translated_at'] = $translation['translated_at'] ?? time();
+			update_post_meta( $post->ID, '_ai_translations_' . $language, $translation );
+		} else {
+			delete_post_meta( $post->ID, '_ai_translations_' . $language );
+		}
+
+		return rest_ensure_response( self::get_status( $post, $language, $post_segments ) );
+	}
+
+	/**
+	 * Deletes the cached translation of a post, including locked segments.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param \WP_REST_Request $request The request.
+	 * @return \WP_REST_Response|\WP_Error The status, or WP_Error.
+	 */
+	public static function rest_delete_translation( \WP_REST_Request $request ) {
+		$post = self::get_post( $request );
+
+		if ( is_wp_error( $post ) ) {
+			return $post;
+		}
+
+		delete_post_meta( $post->ID, '_ai_translations_' . $request['language'] );
+
+		return rest_ensure_response(
+			self::get_status( $post, $request['language'], Content_Translator::get_post_segments( $post ) )
+		);
+	}
+
+	/**
+	 * Gets the post and checks the language of a request.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param \WP_REST_Request $request The request.
+	 * @return \WP_Post|\WP_Error The post, or WP_Error.
+	 */
+	private static function get_post( \WP_REST_Request $request ) {
+		$post = get_post( (int) $request['post_id'] );
+
+		if ( ! $post ) {
+			return new \WP_Error(
+				'post_not_found',
+				__( 'Post not found.', 'jp-wp-ai' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		if ( isset( $request['language'] ) && ! isset( Content_Translator::get_supported_languages()[ $request['language'] ] ) ) {
+			return new \WP_Error(
+				'invalid_language',
+				__( 'Unsupported target language.', 'jp-wp-ai' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		return $post;
+	}
+
+	/**
+	 * Gets the translation status of a post in one language.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param \WP_Post              $post          The post.
+	 * @param string                $language      Language code.
+	 * @param array<string, string> $post_segments The post's current segments.
+	 * @return array Status with 'language', 'name', 'translated', 'total',
+	 *               'locked', 'stale' and 'translated_at'.
+	 */
+	private static function get_status( \WP_Post $post, string $language, array $post_segments ): array {
+		$translation = Content_Translator::get_cached_translation( $post->ID, $language );
+
+		return array(
+			'language'      => $language,
+			'name'          => Content_Translator::get_supported_languages()[ $language ],
+			'translated'    => $translation ? count( array_intersect_key( $post_segments, $translation['segments'] ) ) : 0,
+			'total'         => count( $post_segments ),
+			'locked'        => $translation ? count( $translation['locked'] ?? array() ) : 0,
+			'stale'         => $translation && Content_Translator::is_stale_translation( $post, $translation ),
+			'translated_at' => $translation['translated_at'] ?? null,
+		);
+	}
+}
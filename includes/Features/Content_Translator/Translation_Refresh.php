@@ -0,0 +1,145 @@
+<?php
+/**
+ * Translation Refresh
+ *
+ * Brings cached translations up to date after a post changes.
+ *
+ * @package JP\WP_AI\Features\Content_Translator
+ */
+
+namespace JP\WP_AI\Features\Content_Translator;
+
+/**
+ * Schedules a WP-Cron event when a post with cached translations is saved,
+ * which translates its new text and drops translations of removed text.
+ *
+ * Until the refresh has run, the translations are stale: they still serve
+ * the segments that did not change, and the view script shows a notice.
+ *
+ * @since 1.1.0
+ */
+class Translation_Refresh {
+	/**
+	 * Cron hook of the refresh event.
+	 *
+	 * @since 1.1.0
+	 * @var string
+	 */
+	public const CRON_HOOK = 'jp_wp_ai_refresh_translations';
+
+	/**
+	 * Number of segments translated per model request.
+	 *
+	 * @since 1.1.0
+	 * @var int
+	 */
+	private const BATCH_SIZE = 50;
+
+	/**
+	 * Registers the hooks.
+	 *
+	 * @since 1.1.0
+	 */
+	public static function register(): void {
+		add_action( 'wp_after_insert_post', array( self::class, 'handle_post_saved' ), 10, 2 );
+		add_action( self::CRON_HOOK, array( self::class, 'refresh_post' ) );
+	}
+
+	/**
+	 * Schedules a refresh when a saved post has stale translations.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param int      $post_id Post ID.
+	 * @param \WP_Post $post    The post.
+	 */
+	public static function handle_post_saved( $post_id, $post ): void {
+		if ( wp_is_post_revision( $post ) || wp_is_post_autosave( $post ) || ! is_post_publicly_viewable( $post ) ) {
+			return;
+		}
+
+		if ( self::get_stale_languages( $post ) ) {
+			self::schedule( (int) $post_id );
+		}
+	}
+
+	/**
+	 * Schedules a refresh of the translations of a post, unless one is
+	 * already scheduled.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param int $post_id Post ID.
+	 */
+	public static function schedule( int $post_id ): void {
+		if ( ! wp_next_scheduled( self::CRON_HOOK, array( $post_id ) ) ) {
+			wp_schedule_single_event( time(), self::CRON_HOOK, array( $post_id ) );
+		}
+	}
+
+	/**
+	 * Refreshes the stale translations of a post.
+	 *
+	 * Stops at the first failure, or once the spend cap of Translation_Limits
+	 * is reached. The translation stays stale then, and the next visitor
+	 * request or save schedules another refresh.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param int $post_id Post ID.
+	 */
+	public static function refresh_post( $post_id ): void {
+		$post = get_post( (int) $post_id );
+
+		if ( ! $post ) {
+			return;
+		}
+
+		foreach ( self::get_stale_languages( $post ) as $language ) {
+			$translation = Content_Translator::get_cached_translation( $post->ID, $language );
+			$missing     = array_diff_key( Content_Translator::get_post_segments( $post ), $translation['segments'] ?? array() );
+
+			if ( ! $missing ) {
+				// Text was only removed, so there is nothing to translate.
+				update_post_meta(
+					$post->ID,
+					'_ai_translations_' . $language,
+					Content_Translator::sync_translation_source( $post, (array) $translation )
+				);
+				continue;
+			}
+
+			foreach ( array_chunk( $missing, self::BATCH_SIZE, true ) as $batch ) {
+				if ( Translation_Limits::is_over_budget() ) {
+					return;
+				}
+
+				if ( is_wp_error( Content_Translator::translate_missing_segments( $post->ID, $language, $batch ) ) ) {
+					return;
+				}
+			}
+		}
+	}
+
+	/**
+	 * Gets the languages of a post whose translations are stale.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param \WP_Post $post The post.
+	 * @return string[] Language codes.
+	 */
+	private static function get_stale_languages( \WP_Post $post ): array {
+		$languages = array();
+
+		foreach ( array_keys( Content_Translator::get_supported_languages() ) as $language ) {
+			$translation = Content_Translator::get_cached_translation( $post->ID, $language );
+
+			if ( $translation && Content_Translator::is_stale_translation( $post, $translation ) ) {
+				$languages[] = $language;
+			}
+		}
+
+		return $languages;
+	}
+}
@@ -0,0 +1,509 @@
+<?php
+/**
+ * Translation Regions
+ *
+ * The parts of a page the Content Translator translates.
+ *
+ * @package JP\WP_AI\Features\Content_Translator
+ */
+
+namespace JP\WP_AI\Features\Content_Translator;
+
+/**
+ * Defines the page regions a translator block can translate, and which
+ * texts may be translated in each.
+ *
+ * The content and meta regions belong to the post, and share its cached
+ * translation. Comments are cached per comment, and widgets and navigation
+ * site-wide, since they are the same on every page.
+ *
+ * The view script finds the regions by CSS selectors, which themes can
+ * change with the `jp_wp_ai_translation_regions` filter and each block
+ * instance in its settings.
+ *
+ * @since 1.1.0
+ */
+class Translation_Regions {
+	/**
+	 * Regions, in the order they are translated.
+	 *
+	 * @since 1.1.0
+	 * @var string[]
+	 */
+	public const REGIONS = array( 'content', 'meta', 'comments', 'widgets', 'navigation' );
+
+	/**
+	 * Option holding the cached widget and navigation translations, keyed by
+	 * region and language.
+	 *
+	 * @since 1.1.0
+	 * @var string
+	 */
+	private const SITE_OPTION = 'jp_wp_ai_site_translations';
+
+	/**
+	 * Transient holding the widget and navigation segments, keyed by region.
+	 *
+	 * @since 1.1.0
+	 * @var string
+	 */
+	private const SITE_TRANSIENT = 'jp_wp_ai_site_segments';
+
+	/**
+	 * Default selectors of each region. The content region is the first
+	 * element matching any selector, in order of preference; the other
+	 * regions are every element matching one.
+	 *
+	 * @since 1.1.0
+	 * @var array<string, string[]>
+	 */
+	private const DEFAULT_SELECTORS = array(
+		'content'    => array( '.entry-content', '.post-content', '.wp-block-post-content', 'article .content', 'main article', 'article', 'main' ),
+		'meta'       => array( '.entry-meta', '.entry-footer', '.post-meta', '.entry-summary', '.wp-block-post-excerpt', '.wp-block-post-terms', '.wp-block-post-date' ),
+		'comments'   => array( '.comment-list', '.commentlist', '.wp-block-comment-template' ),
+		'widgets'    => array( '.widget-area', '.widget' ),
+		'navigation' => array( '.wp-block-navigation', '.main-navigation', '.menu' ),
+	);
+
+	/**
+	 * Registers the hooks.
+	 *
+	 * @since 1.1.0
+	 */
+	public static function register(): void {
+		add_action( 'wp_update_nav_menu', array( self::class, 'flush_site_segments' ) );
+		add_action( 'save_post_wp_navigation', array( self::class, 'flush_site_segments' ) );
+		add_action( 'updated_option', array( self::class, 'handle_option_updated' ) );
+	}
+
+	/**
+	 * Gets the selectors of each region.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @return array<string, string[]> Selectors keyed by region.
+	 */
+	public static function get_selectors(): array {
+		/**
+		 * Filters the CSS selectors the Content Translator finds page regions by.
+		 *
+		 * The content region is the first element matching any selector, in
+		 * order. The other regions are every element matching one of theirs.
+		 * Translator blocks can override the selectors in their settings.
+		 *
+		 * @since 1.1.0
+		 *
+		 * @param array<string, string[]> $selectors Selectors keyed by region: 'content',
+		 *                                           'meta', 'comments', 'widgets' and
+		 *                                           'navigation'.
+		 */
+		$selectors = apply_filters( 'jp_wp_ai_translation_regions', self::DEFAULT_SELECTORS );
+
+		$regions = array();
+
+		foreach ( self::REGIONS as $region ) {
+			$regions[ $region ] = array_values( array_filter( (array) ( $selectors[ $region ] ?? array() ), 'is_string' ) );
+		}
+
+		return $regions;
+	}
+
+	/**
+	 * Gets the regions a block instance translates, with their selectors.
+	 *
+	 * The content region is always translated.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param array $attributes Block attributes.
+	 * @return array<string, string[]> Selectors keyed by region.
+	 */
+	public static function get_block_regions( array $attributes ): array {
+		$enabled = array_merge( array( 'content' ), (array) ( $attributes['regions'] ?? array() ) );
+		$custom  = (array) ( $attributes['regionSelectors'] ?? array() );
+		$regions = array();
+
+		foreach ( self::get_selectors() as $region => $selectors ) {
+			if ( ! in_array( $region, $enabled, true ) ) {
+				continue;
+			}
+
+			$selector           = is_string( $custom[ $region ] ?? null ) ? trim( $custom[ $region ] ) : '';
+			$regions[ $region ] = '' !== $selector ? array( $selector ) : $selectors;
+		}
+
+		return $regions;
+	}
+
+	/**
+	 * Gets the segments of the meta region of a post: its excerpt, terms
+	 * and date.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param \WP_Post $post The post.
+	 * @return array<string, string> Normalized texts keyed by segment key.
+	 */
+	public static function get_meta_segments( \WP_Post $post ): array {
+		$html = '<p>' . get_the_excerpt( $post ) . '</p><p>' . esc_html( (string) get_the_date( '', $post ) ) . '</p>';
+
+		foreach ( get_object_taxonomies( $post->post_type, 'objects' ) as $taxonomy ) {
+			if ( ! $taxonomy->public ) {
+				continue;
+			}
+
+			foreach ( (array) get_the_terms( $post, $taxonomy->name ) as $term ) {
+				if ( $term instanceof \WP_Term ) {
+					$html .= '<p>' . esc_html( $term->name ) . '</p>';
+				}
+			}
+		}
+
+		return Translation_Segments::extract( $html );
+	}
+
+	/**
+	 * Translates the comments of a post, caching each comment's translation
+	 * in its own meta.
+	 *
+	 * Only approved comments of the post are translated.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param \WP_Post              $post        The post.
+	 * @param string                $language    Language code.
+	 * @param array<string, string> $requested   Texts keyed by the view script's IDs.
+	 * @param array<string, int>    $comment_ids Comment IDs keyed by the same IDs.
+	 * @return array|\WP_Error Translations keyed by the requested IDs under
+	 *                         'segments', and 'cached', or WP_Error.
+	 */
+	public static function translate_comments( \WP_Post $post, string $language, array $requested, array $comment_ids ) {
+		$sources      = array();
+		$translations = array();
+		$missing      = array();
+
+		foreach ( $requested as $id => $text ) {
+			$comment_id = absint( $comment_ids[ $id ] ?? 0 );
+
+			if ( ! isset( $sources[ $comment_id ] ) ) {
+				$comment = get_comment( $comment_id );
+
+				$sources[ $comment_id ]      = $comment && (int) $comment->comment_post_ID === $post->ID && '1' === $comment->comment_approved
+					? self::get_comment_segments( $comment )
+					: array();
+				$translations[ $comment_id ] = self::get_comment_translation( $comment_id, $language );
+			}
+
+			$key = Translation_Segments::key( $text );
+
+			if ( isset( $sources[ $comment_id ][ $key ] ) && ! isset( $translations[ $comment_id ][ $key ] ) ) {
+				$missing[ $comment_id . ':' . $key ] = $sources[ $comment_id ][ $key ];
+			}
+		}
+
+		if ( $missing ) {
+			$result = self::translate( $missing, $language, $post->ID );
+
+			if ( is_wp_error( $result ) ) {
+				return $result;
+			}
+
+			$updated = array();
+
+			foreach ( $result as $missing_key => $translation ) {
+				list( $comment_id, $key ) = explode( ':', (string) $missing_key, 2 );
+
+				$translations[ $comment_id ][ $key ] = $translation;
+				$updated[ $comment_id ]              = true;
+			}
+
+			foreach ( array_keys( $updated ) as $comment_id ) {
+				update_comment_meta(
+					$comment_id,
+					'_ai_translations_' . $language,
+					array(
+						// Drop translations of text the comment no longer has.
+						'segments'      => array_intersect_key( $translations[ $comment_id ], $sources[ $comment_id ] ),
+						'translated_at' => time(),
+					)
+				);
+			}
+		}
+
+		$segments = array();
+
+		foreach ( $requested as $id => $text ) {
+			$comment_id = absint( $comment_ids[ $id ] ?? 0 );
+			$key        = Translation_Segments::key( $text );
+
+			if ( isset( $sources[ $comment_id ][ $key ], $translations[ $comment_id ][ $key ] ) ) {
+				$segments[ $id ] = $translations[ $comment_id ][ $key ];
+			}
+		}
+
+		return array(
+			'segments' => $segments,
+			'cached'   => empty( $missing ),
+		);
+	}
+
+	/**
+	 * Translates the widgets or navigation, caching the translations
+	 * site-wide.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param string                $region    'widgets' or 'navigation'.
+	 * @param string                $language  Language code.
+	 * @param array<string, string> $requested Texts keyed by the view script's IDs.
+	 * @return array|\WP_Error Translations keyed by the requested IDs under
+	 *                         'segments', and 'cached', or WP_Error.
+	 */
+	public static function translate_site_region( string $region, string $language, array $requested ) {
+		$sources = self::get_site_segments( $region );
+		$cache   = get_option( self::SITE_OPTION, array() );
+		$cached  = is_array( $cache[ $region ][ $language ] ?? null ) ? $cache[ $region ][ $language ] : array();
+		$missing = array();
+
+		foreach ( $requested as $text ) {
+			$key = Translation_Segments::key( $text );
+
+			if ( isset( $sources[ $key ] ) && ! isset( $cached[ $key ] ) ) {
+				$missing[ $key ] = $sources[ $key ];
+			}
+		}
+
+		if ( $missing ) {
+			$result = self::translate( $missing, $language );
+
+			if ( is_wp_error( $result ) ) {
+				return $result;
+			}
+
+			// Chunks of a region are translated in parallel, so merge with the
+			// cache as it is now rather than as it was before the request.
+			wp_cache_delete( self::SITE_OPTION, 'options' );
+
+			$cache  = get_option( self::SITE_OPTION, array() );
+			$cached = is_array( $cache[ $region ][ $language ] ?? null ) ? $cache[ $region ][ $language ] : array();
+
+			// Drop translations of menu items and widgets that are gone.
+			$cached = array_intersect_key( $result + $cached, $sources );
+
+			$cache[ $region ][ $language ] = $cached;
+			update_option( self::SITE_OPTION, $cache, false );
+		}
+
+		$segments = array();
+
+		foreach ( $requested as $id => $text ) {
+			$key = Translation_Segments::key( $text );
+
+			if ( isset( $sources[ $key ], $cached[ $key ] ) ) {
+				$segments[ $id ] = $cached[ $key ];
+			}
+		}
+
+		return array(
+			'segments' => $segments,
+			'cached'   => empty( $missing ),
+		);
+	}
+
+	/**
+	 * Forgets the widget and navigation segments, so they are collected
+	 * again from the current menus and widgets.
+	 *
+	 * @since 1.1.0
+	 */
+	public static function flush_site_segments(): void {
+		delete_transient( self::SITE_TRANSIENT );
+	}
+
+	/**
+	 * Flushes the widget and navigation segments when widgets change.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param string $option Name of the updated option.
+	 */
+	public static function handle_option_updated( $option ): void {
+		if ( 'sidebars_widgets' === $option || 0 === strpos( (string) $option, 'widget_' ) ) {
+			self::flush_site_segments();
+		}
+	}
+
+	/**
+	 * Gets the cached translation of a comment.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param int    $comment_id Comment ID.
+	 * @param string $language   Language code.
+	 * @return array<string, string> Translations keyed by segment key.
+	 */
+	private static function get_comment_translation( int $comment_id, string $language ): array {
+		$translation = get_comment_meta( $comment_id, '_ai_translations_' . $language, true );
+
+		return is_array( $translation['segments'] ?? null ) ? $translation['segments'] : array();
+	}
+
+	/**
+	 * Gets the translatable segments of a comment's text.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param \WP_Comment $comment The comment.
+	 * @return array<string, string> Normalized texts keyed by segment key.
+	 */
+	private static function get_comment_segments( \WP_Comment $comment ): array {
+		/** This filter is documented in wp-includes/comment-template.php */
+		return Translation_Segments::extract( apply_filters( 'comment_text', get_comment_text( $comment ), $comment, array() ) );
+	}
+
+	/**
+	 * Gets the translatable segments of the widgets or the navigation.
+	 *
+	 * Rendering every sidebar is slow, so the segments are cached until
+	 * menus or widgets change, or for an hour at most.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param string $region 'widgets' or 'navigation'.
+	 * @return array<string, string> Normalized texts keyed by segment key.
+	 */
+	private static function get_site_segments( string $region ): array {
+		$cached = get_transient( self::SITE_TRANSIENT );
+		$cached = is_array( $cached ) ? $cached : array();
+
+		if ( ! isset( $cached[ $region ] ) ) {
+			$html = 'widgets' === $region ? self::render_widgets() : self::render_navigation();
+
+			$cached[ $region ] = Translation_Segments::extract( $html );
+			set_transient( self::SITE_TRANSIENT, $cached, HOUR_IN_SECONDS );
+		}
+
+		return $cached[ $region ];
+	}
+
+	/**
+	 * Renders the widgets of every active sidebar.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @return string Widgets HTML.
+	 */
+	private static function render_widgets(): string {
+		ob_start();
+
+		foreach ( array_keys( wp_get_sidebars_widgets() ) as $sidebar ) {
+			if ( 'wp_inactive_widgets' !== $sidebar && is_active_sidebar( $sidebar ) ) {
+				dynamic_sidebar( $sidebar );
+			}
+		}
+
+		return (string) ob_get_clean();
+	}
+
+	/**
+	 * Renders the labels of the classic menus and navigation blocks.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @return string Navigation labels as HTML.
+	 */
+	private static function render_navigation(): string {
+		$labels = array();
+
+		foreach ( wp_get_nav_menus() as $menu ) {
+			foreach ( (array) wp_get_nav_menu_items( $menu->term_id ) as $item ) {
+				$labels[] = $item->title;
+				$labels[] = esc_html( $item->attr_title );
+			}
+		}
+
+		$navigations = get_posts(
+			array(
+				'post_type'   => 'wp_navigation',
+				'post_status' => 'publish',
+				'numberposts' => -1,
+			)
+		);
+
+		foreach ( $navigations as $navigation ) {
+			$labels = array_merge( $labels, self::find_navigation_labels( parse_blocks( $navigation->post_content ) ) );
+		}
+
+		return '<p>' . implode( '</p><p>', $labels ) . '</p>';
+	}
+
+	/**
+	 * Finds the labels of navigation blocks and their inner blocks.
+	 *
+	 * Page lists show the titles of the published pages.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param array[] $blocks Parsed blocks.
+	 * @return string[] Labels as HTML.
+	 */
+	private static function find_navigation_labels( array $blocks ): array {
+		$labels = array();
+
+		foreach ( $blocks as $block ) {
+			foreach ( array( 'label', 'description' ) as $attribute ) {
+				if ( ! empty( $block['attrs'][ $attribute ] ) && is_string( $block['attrs'][ $attribute ] ) ) {
+					$labels[] = $block['attrs'][ $attribute ];
+				}
+			}
+
+			if ( ! empty( $block['attrs']['title'] ) && is_string( $block['attrs']['title'] ) ) {
+				$labels[] = esc_html( $block['attrs']['title'] );
+			}
+
+			if ( 'core/page-list' === $block['blockName'] ) {
+				foreach ( get_pages() as $page ) {
+					$labels[] = get_the_title( $page );
+				}
+			}
+
+			if ( ! empty( $block['innerBlocks'] ) ) {
+				$labels = array_merge( $labels, self::find_navigation_labels( $block['innerBlocks'] ) );
+			}
+		}
+
+		return $labels;
+	}
+
+	/**
+	 * Translates texts with the content translation ability.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param array<string, string> $texts    Texts keyed by ID.
+	 * @param string                $language Language code.
+	 * @param int                   $post_id  Post the texts belong to, or 0 for
+	 *                                        the site's regions.
+	 * @return array<string, string>|\WP_Error Translations keyed by ID, or WP_Error.
+	 */
+	private static function translate( array $texts, string $language, int $post_id = 0 ) {
+		$ability = wp_get_ability( 'ai/translate-content' );
+
+		if ( ! $ability ) {
+			return new \WP_Error(
+				'ability_not_found',
+				__( 'Content translation ability not found.', 'jp-wp-ai' )
+			);
+		}
+
+		$result = $ability->execute(
+			array(
+				'segments'    => $texts,
+				'target_lang' => $language,
+				'post_id'     => $post_id,
+			)
+		);
+
+		return is_wp_error( $result ) ? $result : $result['segments'];
+	}
+}
@@ -0,0 +1,255 @@
+<?php
+/**
+ * Translation Segments
+ *
+ * Splits rendered HTML into translatable text segments and patches
+ * translations back in.
+ *
+ * @package JP\WP_AI\Features\Content_Translator
+ */
+
+namespace JP\WP_AI\Features\Content_Translator;
+
+/**
+ * Works on text nodes and translatable attributes, so markup, embeds and
+ * interactive blocks are never sent to the model or rewritten.
+ *
+ * Segments are keyed by a hash of their normalized text, which the view
+ * script computes the same way from the live DOM. The rules here must stay
+ * in line with `collectSegments()` in `src/content-translator/view.js`.
+ *
+ * @since 1.1.0
+ */
+class Translation_Segments {
+	/**
+	 * Attributes whose values are translated.
+	 *
+	 * @since 1.1.0
+	 * @var string[]
+	 */
+	public const ATTRIBUTES = array( 'alt', 'title', 'aria-label', 'placeholder' );
+
+	/**
+	 * Elements whose contents are never translated.
+	 *
+	 * Code is kept as written.
+	 *
+	 * @since 1.1.0
+	 * @var string[]
+	 */
+	private const SKIPPED_ELEMENTS = array( 'script', 'style', 'noscript', 'template', 'textarea', 'code', 'pre' );
+
+	/**
+	 * Class name of the Content Translator block, which is left alone.
+	 *
+	 * @since 1.1.0
+	 * @var string
+	 */
+	private const TRANSLATOR_CLASS_NAME = 'wp-block-jp-wp-ai-content-translator';
+
+	/**
+	 * ID of the element wrapping HTML fragments while they are parsed.
+	 *
+	 * @since 1.1.0
+	 * @var string
+	 */
+	private const ROOT_ID = 'jp-wp-ai-translation-root';
+
+	/**
+	 * Normalizes segment text: collapses whitespace and trims it.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param string $text Text.
+	 * @return string Normalized text.
+	 */
+	public static function normalize( string $text ): string {
+		return trim( (string) preg_replace( '/[\s\x{00a0}]+/u', ' ', $text ) );
+	}
+
+	/**
+	 * Gets the cache key of a segment.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param string $text Segment text.
+	 * @return string The key.
+	 */
+	public static function key( string $text ): string {
+		return md5( self::normalize( $text ) );
+	}
+
+	/**
+	 * Checks whether text is worth translating, meaning it has letters.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param string $text Normalized text.
+	 * @return bool Whether the text is translatable.
+	 */
+	public static function is_translatable( string $text ): bool {
+		return 1 === preg_match( '/\p{L}/u', $text );
+	}
+
+	/**
+	 * Extracts the translatable segments of an HTML fragment.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param string $html HTML fragment.
+	 * @return array<string, string> Normalized texts keyed by segment key.
+	 */
+	public static function extract( string $html ): array {
+		$segments = array();
+		$root     = self::load( $html );
+
+		if ( $root ) {
+			self::walk(
+				$root,
+				static function ( string $text ) use ( &$segments ) {
+					$segments[ self::key( $text ) ] = self::normalize( $text );
+					return null;
+				}
+			);
+		}
+
+		return $segments;
+	}
+
+	/**
+	 * Replaces the translatable segments of an HTML fragment.
+	 *
+	 * Segments without a translation are left as they are.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param string                $html         HTML fragment.
+	 * @param array<string, string> $translations Translations keyed by segment key.
+	 * @return string The translated HTML.
+	 */
+	public static function patch( string $html, array $translations ): string {
+		$root = self::load( $html );
+
+		if ( ! $root ) {
+			return $html;
+		}
+
+		self::walk(
+			$root,
+			static function ( string $text ) use ( $translations ) {
+				return $translations[ self::key( $text ) ] ?? null;
+			}
+		);
+
+		$output = '';
+
+		foreach ( $root->childNodes as $child ) {
+			$output .= $root->ownerDocument->saveHTML( $child );
+		}
+
+		return $output;
+	}
+
+	/**
+	 * Parses an HTML fragment.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param string $html HTML fragment.
+	 * @return \DOMElement|null Element wrapping the fragment, or null on failure.
+	 */
+	private static function load( string $html ): ?\DOMElement {
+		if ( '' === trim( $html ) ) {
+			return null;
+		}
+
+		$document        = new \DOMDocument();
+		$internal_errors = libxml_use_internal_errors( true );
+
+		// The XML declaration makes libxml read the fragment as UTF-8.
+		$loaded = $document->loadHTML(
+			'<?xml encoding="utf-8" ?><div id="' . self::ROOT_ID . '">' . $html . '</div>',
+			LIBXML_HTML_NOIMPLIED | LIBXML_HTML_NODEFDTD
+		);
+
+		libxml_clear_errors();
+		libxml_use_internal_errors( $internal_errors );
+
+		return $loaded ? $document->getElementById( self::ROOT_ID ) : null;
+	}
+
+	/**
+	 * Visits the translatable text nodes and attributes below a node.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param \DOMNode $node     The node to walk.
+	 * @param callable $callback Called with the text of each segment. A string
+	 *                           return value replaces the segment text.
+	 */
+	private static function walk( \DOMNode $node, callable $callback ): void {
+		foreach ( iterator_to_array( $node->childNodes ) as $child ) {
+			if ( $child instanceof \DOMText && ! $child instanceof \DOMCdataSection ) {
+				$text = self::normalize( $child->nodeValue ?? '' );
+
+				if ( self::is_translatable( $text ) ) {
+					$replacement = $callback( $text );
+
+					if ( is_string( $replacement ) ) {
+						// Keep the surrounding whitespace, it separates inline elements.
+						preg_match( '/^(\s*).*?(\s*)$/us', $child->nodeValue, $matches );
+						$child->nodeValue = ( $matches[1] ?? '' ) . $replacement . ( $matches[2] ?? '' );
+					}
+				}
+				continue;
+			}
+
+			if ( ! $child instanceof \DOMElement || self::is_skipped( $child ) ) {
+				continue;
+			}
+
+			foreach ( self::ATTRIBUTES as $attribute ) {
+				if ( ! $child->hasAttribute( $attribute ) ) {
+					continue;
+				}
+
+				$text = self::normalize( $child->getAttribute( $attribute ) );
+
+				if ( self::is_translatable( $text ) ) {
+					$replacement = $callback( $text );
+
+					if ( is_string( $replacement ) ) {
+						$child->setAttribute( $attribute, $replacement );
+					}
+				}
+			}
+
+			self::walk( $child, $callback );
+		}
+	}
+
+	/**
+	 * Checks whether an element and its contents are left untranslated.
+	 *
+	 * Besides code and the translator block itself, this covers elements
+	 * marked with the HTML `translate="no"` attribute, which the editor's
+	 * "Do not translate" format adds.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param \DOMElement $element The element.
+	 * @return bool Whether the element is skipped.
+	 */
+	private static function is_skipped( \DOMElement $element ): bool {
+		if (
+			in_array( strtolower( $element->tagName ), self::SKIPPED_ELEMENTS, true ) ||
+			'no' === strtolower( $element->getAttribute( 'translate' ) )
+		) {
+			return true;
+		}
+
+		$class_names = preg_split( '/\s+/', $element->getAttribute( 'class' ) );
+
+		return in_array( self::TRANSLATOR_CLASS_NAME, (array) $class_names, true );
+	}
+}
@@ -16,12 +16,13 @@ namespace JP\WP_AI\Services;
  */
 class OpenAI_Client {
 	/**
-	 * OpenAI API base URL.
+	 * OpenAI API base URL, used unless another OpenAI-compatible endpoint
+	 * is configured.
 	 *
 	 * @since 1.0.0
 	 * @var string
 	 */
-	private const API_BASE_URL = 'https://api.openai.com/v1';
+	public const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
 
 	/**
 	 * Option name for storing API key.
@@ -31,6 +32,92 @@ class OpenAI_Client {
 	 */
 	private const API_KEY_OPTION = 'jp_wp_ai_openai_api_key';
 
+	/**
+	 * Option name for storing the API base URL.
+	 *
+	 * @since 1.1.0
+	 * @var string
+	 */
+	public const BASE_URL_OPTION = 'jp_wp_ai_openai_base_url';
+
+	/**
+	 * Option name for storing the model of each feature.
+	 *
+	 * @since 1.1.0
+	 * @var string
+	 */
+	public const MODELS_OPTION = 'jp_wp_ai_models';
+
+	/**
+	 * Models used when none is configured, keyed by feature.
+	 *
+	 * @since 1.1.0
+	 * @var array<string, string>
+	 */
+	public const DEFAULT_MODELS = array(
+		'alt_text'    => 'gpt-4o-mini',
+		'summary'     => 'gpt-4.1-nano',
+		'translation' => 'gpt-4.1-nano',
+	);
+
+	/**
+	 * Option name for storing the edited prompt templates.
+	 *
+	 * @since 1.1.0
+	 * @var string
+	 */
+	public const PROMPTS_OPTION = 'jp_wp_ai_prompts';
+
+	/**
+	 * Prompt templates used when none is configured, keyed by feature.
+	 *
+	 * Placeholders in braces are replaced when the prompt is sent, see
+	 * render_prompt().
+	 *
+	 * @since 1.1.0
+	 * @var array<string, string>
+	 */
+	public const DEFAULT_PROMPTS = array(
+		'alt_text'    => "Generate a concise, descriptive alt text for this image suitable for screen readers. Focus on the main subject and important details. Keep it under 125 characters. Do not include phrases like \"image of\" or \"picture of\". Return only the alt text, nothing else.\n\nContext about the image, if any: {context}",
+		'summary'     => "{style} Return only the summary, nothing else.\n\nContent:\n{content}",
+		'translation' => "Translate the values of the following JSON object from {source_lang} to {target_lang}. The values are the text fragments of one web page in reading order, so translate each one in the context of its neighbours. Keep the keys unchanged and do not merge, split, add or drop entries. Keep leading and trailing punctuation, and any HTML markup. Provide natural, contextually appropriate translations.\n\n{glossary}Return only a JSON object with the same keys.\n\n{content}",
+	);
+
+	/**
+	 * Summary style instructions, keyed by style.
+	 *
+	 * A `%d` placeholder is replaced with the requested length in words.
+	 *
+	 * @since 1.1.0
+	 * @var array
+	 */
+	private const SUMMARY_STYLES = array(
+		'excerpt'          => 'Summarize the following content in approximately %d words. Create a clear, neutral, concise summary that captures the main points.',
+		'meta_description' => 'Write an SEO meta description for the following content. It must be at most 155 characters long, describe the content accurately and make people want to read it. Do not wrap it in quotation marks.',
+		'social'           => 'Write a social media post that makes people want to read the following content. Keep it under 280 characters. If the content needs more room, write a short thread of up to 4 posts instead, each under 280 characters, separated by a blank line.',
+		'takeaways'        => 'List the key takeaways of the following content as 3 to 6 bullet points using approximately %d words in total. Put each point on its own line, starting with "- ".',
+		'executive'        => 'Write an executive summary of the following content in approximately %d words for a busy decision maker. Lead with the main conclusion, then the most important supporting points.',
+	);
+
+	/**
+	 * Language names used in translation prompts, keyed by ISO 639-1 code.
+	 *
+	 * @since 1.1.0
+	 * @var array
+	 */
+	private const LANGUAGE_NAMES = array(
+		'es' => 'Spanish',
+		'fr' => 'French',
+		'de' => 'German',
+		'ja' => 'Japanese',
+		'zh' => 'Chinese',
+		'pt' => 'Portuguese',
+		'it' => 'Italian',
+		'ru' => 'Russian',
+		'ar' => 'Arabic',
+		'hi' => 'Hindi',
+	);
+
 	/**
 	 * Gets the stored API key.
 	 *
@@ -66,6 +153,71 @@ class OpenAI_Client {
 		return ! empty( self::get_api_key() );
 	}
 
+	/**
+	 * Gets the base URL of the OpenAI-compatible API.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @return string Base URL without a trailing slash.
+	 */
+	public static function get_base_url(): string {
+		$base_url = get_option( self::BASE_URL_OPTION, '' );
+
+		return untrailingslashit( ! empty( $base_url ) ? $base_url : self::DEFAULT_BASE_URL );
+	}
+
+	/**
+	 * Gets the model a feature uses.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param string $feature Feature: 'alt_text', 'summary' or 'translation'.
+	 * @return string Model ID.
+	 */
+	public static function get_model( string $feature ): string {
+		$models = get_option( self::MODELS_OPTION, array() );
+
+		return ! empty( $models[ $feature ] ) && is_string( $models[ $feature ] )
+			? $models[ $feature ]
+			: self::DEFAULT_MODELS[ $feature ];
+	}
+
+	/**
+	 * Gets the prompt template a feature uses.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param string $feature Feature: 'alt_text', 'summary' or 'translation'.
+	 * @return string Prompt template.
+	 */
+	public static function get_prompt_template( string $feature ): string {
+		$prompts  = get_option( self::PROMPTS_OPTION, array() );
+		$template = ! empty( $prompts[ $feature ] ) && is_string( $prompts[ $feature ] )
+			? $prompts[ $feature ]
+			: self::DEFAULT_PROMPTS[ $feature ];
+
+		/**
+		 * Filters the prompt template of a feature.
+		 *
+		 * @since 1.1.0
+		 *
+		 * @param string $template Prompt template with placeholders in braces.
+		 * @param string $feature  Feature: 'alt_text', 'summary' or 'translation'.
+		 */
+		return (string) apply_filters( 'jp_wp_ai_prompt_template', $template, $feature );
+	}
+
+	/**
+	 * Gets the language names used in translation prompts.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @return array<string, string> English language names keyed by code.
+	 */
+	public static function get_language_names(): array {
+		return self::LANGUAGE_NAMES;
+	}
+
 	/**
 	 * Tests the API connection.
 	 *
@@ -74,7 +226,25 @@ class OpenAI_Client {
 	 * @return true|\WP_Error True on success, WP_Error on failure.
 	 */
 	public static function test_connection() {
-		if ( ! self::has_api_key() ) {
+		$models = self::list_models();
+
+		return is_wp_error( $models ) ? $models : true;
+	}
+
+	/**
+	 * Lists the models the API offers.
+	 *
+	 * The base URL and API key default to the configured ones, so settings
+	 * can be tried before they are saved.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param string $base_url Base URL to try, or an empty string.
+	 * @param string $api_key  API key to try, or an empty string.
+	 * @return string[]|\WP_Error Sorted model IDs, or WP_Error on failure.
+	 */
+	public static function list_models( string $base_url = '', string $api_key = '' ) {
+		if ( '' === $api_key && ! self::has_api_key() ) {
 			return new \WP_Error(
 				'no_api_key',
 				__( 'No API key configured.', 'jp-wp-ai' )
@@ -84,20 +254,28 @@ class OpenAI_Client {
 		$response = self::make_request(
 			'/models',
 			array(),
-			'GET'
+			'GET',
+			array(
+				'base_url' => $base_url,
+				'api_key'  => $api_key,
+			)
 		);
 
 		if ( is_wp_error( $response ) ) {
 			return $response;
 		}
 
-		return true;
+		$models = array_filter( array_column( (array) ( $response['data'] ?? array() ), 'id' ), 'is_string' );
+		sort( $models );
+
+		return array_values( array_unique( $models ) );
 	}
 
 	/**
 	 * Generates alt text for an image using GPT-4 Vision.
 	 *
 	 * @since 1.0.0
+	 * @since 1.1.0 Uses the alt text prompt template.
 	 *
 	 * @param string $image_url The URL of the image to analyze.
 	 * @param string $context   Optional context about the image.
@@ -117,18 +295,15 @@ class OpenAI_Client {
 			return $processed_url;
 		}
 
-		$prompt  = 'Generate a concise, descriptive alt text for this image suitable for screen readers. ';
-		$prompt .= 'Focus on the main subject and important details. Keep it under 125 characters. ';
-		$prompt .= 'Do not include phrases like "image of" or "picture of". ';
-
-		if ( ! empty( $context ) ) {
-			$prompt .= 'Context: ' . $context . ' ';
-		}
-
-		$prompt .= 'Return only the alt text, nothing else.';
+		$prompt = self::render_prompt(
+			'alt_text',
+			array(
+				'context' => $context,
+			)
+		);
 
 		$body = array(
-			'model'      => 'gpt-4o-mini',
+			'model'      => self::get_model( 'alt_text' ),
 			'messages'   => array(
 				array(
 					'role'    => 'user',
@@ -149,7 +324,9 @@ class OpenAI_Client {
 			'max_tokens' => 100,
 		);
 
+		$started  = microtime( true );
 		$response = self::make_request( '/chat/completions', $body );
+		self::report_request( 'alt_text', $body, $response, $started );
 
 		if ( is_wp_error( $response ) ) {
 			return $response;
@@ -239,16 +416,35 @@ class OpenAI_Client {
 		return 'data:' . $mime_type . ';base64,' . $base64;
 	}
 
+	/**
+	 * Gets the supported summary styles.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @return string[] Style identifiers.
+	 */
+	public static function get_summary_styles(): array {
+		return array_keys( self::SUMMARY_STYLES );
+	}
+
 	/**
 	 * Generates a summary of content using GPT-4.
 	 *
 	 * @since 1.0.0
+	 * @since 1.1.0 Added the `$style`, `$variants` and `$on_delta` parameters, and
+	 *              uses the summary prompt template.
 	 *
-	 * @param string $content    The content to summarize.
-	 * @param int    $max_length Maximum length of summary in words (default 50).
-	 * @return array|\WP_Error Array with 'summary' and 'word_count' on success, WP_Error on failure.
+	 * @param string        $content    The content to summarize.
+	 * @param int           $max_length Maximum length of summary in words (default 50).
+	 *                                  Ignored by the character-limited styles.
+	 * @param string        $style      Summary style, one of get_summary_styles() (default 'excerpt').
+	 * @param int           $variants   Number of alternative summaries to generate (default 1).
+	 * @param callable|null $on_delta   Optional. When set, the summaries are streamed and
+	 *                                  each text fragment is passed to this callback as it
+	 *                                  arrives, along with the index of its variant.
+	 * @return array|\WP_Error Array with 'summary', 'word_count' and 'variants' on success, WP_Error on failure.
 	 */
-	public static function summarize_content( string $content, int $max_length = 50 ) {
+	public static function summarize_content( string $content, int $max_length = 50, string $style = 'excerpt', int $variants = 1, ?callable $on_delta = null ) {
 		if ( ! self::has_api_key() ) {
 			return new \WP_Error(
 				'no_api_key',
@@ -268,38 +464,69 @@ class OpenAI_Client {
 			);
 		}
 
-		$prompt = sprintf(
-			'Summarize the following content in approximately %d words. Create a clear, concise summary that captures the main points. Return only the summary, nothing else.\n\nContent:\n%s',
-			$max_length,
-			$clean_content
+		if ( ! isset( self::SUMMARY_STYLES[ $style ] ) ) {
+			return new \WP_Error(
+				'invalid_style',
+				__( 'Unsupported summary style.', 'jp-wp-ai' )
+			);
+		}
+
+		$prompt = self::render_prompt(
+			'summary',
+			array(
+				'style'      => sprintf( self::SUMMARY_STYLES[ $style ], $max_length ),
+				'max_length' => (string) $max_length,
+				'content'    => $clean_content,
+			)
+		);
+
+		// Character-limited styles need a fixed budget instead of one based on words.
+		$max_tokens = array(
+			'meta_description' => 100,
+			'social'           => 500,
 		);
 
 		$body = array(
-			'model'       => 'gpt-4.1-nano',
+			'model'       => self::get_model( 'summary' ),
 			'messages'    => array(
 				array(
 					'role'    => 'user',
 					'content' => $prompt,
 				),
 			),
-			'max_tokens'  => $max_length * 2, // Rough estimate: 1 word ≈ 1.3 tokens.
+			'max_tokens'  => $max_tokens[ $style ] ?? $max_length * 2, // Rough estimate: 1 word ≈ 1.3 tokens.
 			'temperature' => 0.7,
+			'n'           => max( 1, $variants ),
 		);
 
-		$response = self::make_request( '/chat/completions', $body );
+		$started = microtime( true );
+
+		if ( $on_delta ) {
+			$response = self::make_streaming_request( '/chat/completions', $body, $on_delta );
+		} else {
+			$response = self::make_request( '/chat/completions', $body );
+		}
+
+		self::report_request( 'summary', $body, $response, $started );
 
 		if ( is_wp_error( $response ) ) {
 			return $response;
 		}
 
-		$summary = $response['choices'][0]['message']['content'] ?? '';
-		$summary = trim( $summary );
+		$summaries = array();
+
+		foreach ( $response['choices'] ?? array() as $choice ) {
+			$summaries[] = trim( $choice['message']['content'] ?? '' );
+		}
+
+		$summary = $summaries[0] ?? '';
 
 		$word_count = str_word_count( $summary );
 
 		return array(
 			'summary'    => $summary,
 			'word_count' => $word_count,
+			'variants'   => $summaries,
 		);
 	}
 
@@ -307,92 +534,200 @@ class OpenAI_Client {
 	 * Translates content into a target language using GPT-4.
 	 *
 	 * @since 1.0.0
+	 * @since 1.1.0 Uses the translation prompt template, through translate_segments().
 	 *
 	 * @param array  $content     Array with 'title', 'content', and 'excerpt' keys.
 	 * @param string $target_lang Target language code (ISO 639-1).
 	 * @param string $source_lang Source language code (default 'auto').
+	 * @param array  $glossary    Optional. How terms must read in the translation,
+	 *                            keyed by term. Since 1.1.0.
 	 * @return array|\WP_Error Array with translated content on success, WP_Error on failure.
 	 */
-	public static function translate_content( array $content, string $target_lang, string $source_lang = 'auto' ) {
-		if ( ! self::has_api_key() ) {
-			return new \WP_Error(
-				'no_api_key',
-				__( 'OpenAI API key is not configured. Please configure it in Settings → JP WP AI.', 'jp-wp-ai' )
-			);
+	public static function translate_content( array $content, string $target_lang, string $source_lang = 'auto', array $glossary = array() ) {
+		$fields = array();
+
+		foreach ( array( 'title', 'content', 'excerpt' ) as $field ) {
+			if ( ! empty( $content[ $field ] ) && is_string( $content[ $field ] ) ) {
+				$fields[ $field ] = $content[ $field ];
+			}
 		}
 
-		// Language name mapping for better prompts.
-		$language_names = array(
-			'es' => 'Spanish',
-			'fr' => 'French',
-			'de' => 'German',
-			'ja' => 'Japanese',
-			'zh' => 'Chinese',
-			'pt' => 'Portuguese',
-			'it' => 'Italian',
-			'ru' => 'Russian',
-			'ar' => 'Arabic',
-			'hi' => 'Hindi',
-		);
+		$translation = self::translate_segments( $fields, $target_lang, $source_lang, $glossary );
 
-		$target_language_name = $language_names[ $target_lang ] ?? $target_lang;
+		if ( is_wp_error( $translation ) ) {
+			return $translation;
+		}
 
-		// Build the translation prompt.
-		$source_info = 'auto' === $source_lang ? '' : ' from ' . ( $language_names[ $source_lang ] ?? $source_lang );
-		$prompt      = sprintf(
-			"Translate the following content%s to %s. Maintain all HTML formatting, links, and structure. Provide natural, contextually appropriate translations.\n\n",
-			$source_info,
-			$target_language_name
+		return array(
+			'title'   => $translation['title'] ?? '',
+			'content' => $translation['content'] ?? '',
+			'excerpt' => $translation['excerpt'] ?? '',
 		);
+	}
 
-		$prompt .= "Return the translation as a JSON object with these keys: title, content, excerpt\n\n";
-
-		if ( ! empty( $content['title'] ) ) {
-			$prompt .= "Title:\n" . $content['title'] . "\n\n";
+	/**
+	 * Translates text segments of a web page into a target language.
+	 *
+	 * Segments are translated in one request, in order, so each one is
+	 * translated in the context of the others.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param array<string, string> $segments    Texts to translate, keyed by ID.
+	 * @param string                $target_lang Target language code (ISO 639-1).
+	 * @param string                $source_lang Source language code (default 'auto').
+	 * @param array<string, string> $glossary    Optional. How terms must read in the
+	 *                                           translation, keyed by term.
+	 * @return array<string, string>|\WP_Error Translations keyed by segment ID. Segments
+	 *                                         the model left out are missing.
+	 */
+	public static function translate_segments( array $segments, string $target_lang, string $source_lang = 'auto', array $glossary = array() ) {
+		if ( ! self::has_api_key() ) {
+			return new \WP_Error(
+				'no_api_key',
+				__( 'OpenAI API key is not configured. Please configure it in Settings → JP WP AI.', 'jp-wp-ai' )
+			);
 		}
 
-		if ( ! empty( $content['content'] ) ) {
-			$prompt .= "Content:\n" . $content['content'] . "\n\n";
+		if ( empty( $segments ) ) {
+			return array();
 		}
 
-		if ( ! empty( $content['excerpt'] ) ) {
-			$prompt .= "Excerpt:\n" . $content['excerpt'] . "\n\n";
-		}
+		$prompt = self::render_prompt(
+			'translation',
+			array(
+				'source_lang' => 'auto' === $source_lang ? 'its original language' : ( self::LANGUAGE_NAMES[ $source_lang ] ?? $source_lang ),
+				'target_lang' => self::LANGUAGE_NAMES[ $target_lang ] ?? $target_lang,
+				'glossary'    => self::get_glossary_instructions( $glossary ),
+				'content'     => wp_json_encode( $segments, JSON_UNESCAPED_UNICODE ),
+			)
+		);
 
 		$body = array(
-			'model'       => 'gpt-4.1-nano',
-			'messages'    => array(
+			'model'           => self::get_model( 'translation' ),
+			'messages'        => array(
 				array(
 					'role'    => 'user',
 					'content' => $prompt,
 				),
 			),
-			'temperature' => 0.3,
+			'temperature'     => 0.3,
 			'response_format' => array(
 				'type' => 'json_object',
 			),
 		);
 
+		$started  = microtime( true );
 		$response = self::make_request( '/chat/completions', $body );
+		self::report_request( 'translation', $body, $response, $started );
 
 		if ( is_wp_error( $response ) ) {
 			return $response;
 		}
 
-		$translation_json = $response['choices'][0]['message']['content'] ?? '';
-		$translation      = json_decode( $translation_json, true );
+		$translation = json_decode( $response['choices'][0]['message']['content'] ?? '', true );
 
-		if ( null === $translation ) {
+		if ( ! is_array( $translation ) ) {
 			return new \WP_Error(
 				'invalid_translation',
 				__( 'Failed to parse translation response.', 'jp-wp-ai' )
 			);
 		}
 
-		return array(
-			'title'   => $translation['title'] ?? '',
-			'content' => $translation['content'] ?? '',
-			'excerpt' => $translation['excerpt'] ?? '',
+		$translations = array();
+
+		foreach ( $segments as $id => $text ) {
+			if ( isset( $translation[ $id ] ) && is_string( $translation[ $id ] ) ) {
+				$translations[ $id ] = $translation[ $id ];
+			}
+		}
+
+		return $translations;
+	}
+
+	/**
+	 * Fills in the prompt template of a feature.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param string                $feature Feature: 'alt_text', 'summary' or 'translation'.
+	 * @param array<string, string> $values  Placeholder values keyed by name, without braces.
+	 * @return string The prompt.
+	 */
+	private static function render_prompt( string $feature, array $values ): string {
+		$replacements = array();
+
+		foreach ( $values as $name => $value ) {
+			$replacements[ '{' . $name . '}' ] = $value;
+		}
+
+		// strtr() replaces each placeholder once, so values that contain
+		// placeholders, like a post about prompts, are left alone.
+		return trim( strtr( self::get_prompt_template( $feature ), $replacements ) );
+	}
+
+	/**
+	 * Builds the prompt lines that make the model follow a glossary.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param array<string, string> $glossary How terms must read in the translation,
+	 *                                        keyed by term.
+	 * @return string Prompt lines, or an empty string without a glossary.
+	 */
+	private static function get_glossary_instructions( array $glossary ): string {
+		if ( empty( $glossary ) ) {
+			return '';
+		}
+
+		$instructions = "Follow this glossary. Wherever a term on the left appears, write it exactly as shown on the right, and never translate terms that map to themselves:\n";
+
+		foreach ( $glossary as $term => $translation ) {
+			$instructions .= sprintf( "- %s => %s\n", $term, $translation );
+		}
+
+		return $instructions . "\n";
+	}
+
+	/**
+	 * Reports a chat completion request with the tokens it used.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param string          $feature  Feature: 'alt_text', 'summary' or 'translation'.
+	 * @param array           $body     The request body.
+	 * @param array|\WP_Error $response Response data, or WP_Error on failure.
+	 * @param float           $started  Time the request started, from microtime( true ).
+	 */
+	private static function report_request( string $feature, array $body, $response, float $started ): void {
+		$usage = is_wp_error( $response ) ? array() : (array) ( $response['usage'] ?? array() );
+
+		/**
+		 * Fires after a chat completion request to the API.
+		 *
+		 * @since 1.1.0
+		 *
+		 * @param array $request {
+		 *     The request.
+		 *
+		 *     @type string $feature           Feature: 'alt_text', 'summary' or 'translation'.
+		 *     @type string $model             Model ID.
+		 *     @type int    $prompt_tokens     Prompt tokens used.
+		 *     @type int    $completion_tokens Completion tokens used.
+		 *     @type int    $latency_ms        Time the request took, in milliseconds.
+		 *     @type string $error             Error code of a failed request, or an empty string.
+		 * }
+		 */
+		do_action(
+			'jp_wp_ai_api_request',
+			array(
+				'feature'           => $feature,
+				'model'             => $body['model'],
+				'prompt_tokens'     => (int) ( $usage['prompt_tokens'] ?? 0 ),
+				'completion_tokens' => (int) ( $usage['completion_tokens'] ?? 0 ),
+				'latency_ms'        => (int) round( ( microtime( true ) - $started ) * 1000 ),
+				'error'             => is_wp_error( $response ) ? $response->get_error_code() : '',
+			)
 		);
 	}
 
@@ -401,13 +736,141 @@ class OpenAI_Client {
 	 *
 	 * @since 1.0.0
 	 *
-	 * @param string $endpoint The API endpoint (e.g., '/chat/completions').
-	 * @param array  $body     The request body.
-	 * @param string $method   HTTP method (default 'POST').
+	 * @param string $endpoint   The API endpoint (e.g., '/chat/completions').
+	 * @param array  $body       The request body.
+	 * @param string $method     HTTP method (default 'POST').
+	 * @param array  $connection Optional 'base_url' and 'api_key' to use
+	 *                           instead of the configured ones.
 	 * @return array|\WP_Error Response data on success, WP_Error on failure.
 	 */
-	private static function make_request( string $endpoint, array $body = array(), string $method = 'POST' ) {
-		$api_key = self::get_api_key();
+	private static function make_request( string $endpoint, array $body = array(), string $method = 'POST', array $connection = array() ) {
+		$response = self::send_request( $endpoint, $body, $method, $connection );
+
+		if ( is_wp_error( $response ) ) {
+			return $response;
+		}
+
+		$data = json_decode( wp_remote_retrieve_body( $response ), true );
+
+		if ( null === $data ) {
+			return new \WP_Error(
+				'invalid_response',
+				__( 'Invalid JSON response from OpenAI API.', 'jp-wp-ai' )
+			);
+		}
+
+		return $data;
+	}
+
+	/**
+	 * Makes a streaming chat completion request to the OpenAI API.
+	 *
+	 * The API answers with server-sent events. They are read as the HTTP
+	 * transport receives them, through the Requests progress hook, and each
+	 * content fragment is passed to `$on_delta` with the index of its choice.
+	 * The return value has the same shape as a regular completion response,
+	 * with the message content of each choice assembled from the fragments
+	 * and the usage the API reports at the end. Usage is only asked of the
+	 * OpenAI API itself, since other compatible servers may reject the
+	 * option; without it, the request is logged with no tokens.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param string   $endpoint The API endpoint (e.g., '/chat/completions').
+	 * @param array    $body     The request body.
+	 * @param callable $on_delta Callback receiving each content fragment and choice index.
+	 * @return array|\WP_Error Response data on success, WP_Error on failure.
+	 */
+	private static function make_streaming_request( string $endpoint, array $body, callable $on_delta ) {
+		$body['stream'] = true;
+
+		if ( self::DEFAULT_BASE_URL === self::get_base_url() ) {
+			$body['stream_options'] = array( 'include_usage' => true );
+		}
+
+		$buffer  = '';
+		$content = array();
+		$usage   = array();
+
+		$on_progress = static function ( $data ) use ( &$buffer, &$content, &$usage, $on_delta ) {
+			$buffer   = str_replace( "\r\n", "\n", $buffer . $data );
+			$position = strpos( $buffer, "\n\n" );
+
+			// Events end with a blank line; a partial event waits for the next chunk.
+			while ( false !== $position ) {
+				$event  = substr( $buffer, 0, $position );
+				$buffer = substr( $buffer, $position + 2 );
+
+				foreach ( explode( "\n", $event ) as $line ) {
+					if ( 0 !== strpos( $line, 'data:' ) ) {
+						continue;
+					}
+
+					$chunk = json_decode( trim( substr( $line, 5 ) ), true );
+
+					// The last chunk has the usage of the whole request and no choices.
+					if ( ! empty( $chunk['usage'] ) ) {
+						$usage = $chunk['usage'];
+					}
+
+					foreach ( $chunk['choices'] ?? array() as $choice ) {
+						$index = (int) ( $choice['index'] ?? 0 );
+						$delta = $choice['delta']['content'] ?? '';
+
+						if ( '' !== $delta ) {
+							$content[ $index ] = ( $content[ $index ] ?? '' ) . $delta;
+							$on_delta( $delta, $index );
+						}
+					}
+				}
+
+				$position = strpos( $buffer, "\n\n" );
+			}
+		};
+
+		add_action( 'requests-request.progress', $on_progress );
+		$response = self::send_request( $endpoint, $body );
+		remove_action( 'requests-request.progress', $on_progress );
+
+		if ( is_wp_error( $response ) ) {
+			return $response;
+		}
+
+		ksort( $content );
+
+		$choices = array();
+
+		foreach ( $content as $index => $message ) {
+			$choices[] = array(
+				'index'   => $index,
+				'message' => array(
+					'role'    => 'assistant',
+					'content' => $message,
+				),
+			);
+		}
+
+		return array(
+			'choices' => $choices,
+			'usage'   => $usage,
+		);
+	}
+
+	/**
+	 * Sends a request to the OpenAI API and checks the response status.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param string $endpoint   The API endpoint (e.g., '/chat/completions').
+	 * @param array  $body       The request body.
+	 * @param string $method     HTTP method (default 'POST').
+	 * @param array  $connection Optional 'base_url' and 'api_key' to use
+	 *                           instead of the configured ones.
+	 * @return array|\WP_Error The raw HTTP response on success, WP_Error on failure.
+	 */
+	private static function send_request( string $endpoint, array $body = array(), string $method = 'POST', array $connection = array() ) {
+		$api_key  = ! empty( $connection['api_key'] ) ? $connection['api_key'] : self::get_api_key();
+		$base_url = ! empty( $connection['base_url'] ) ? untrailingslashit( $connection['base_url'] ) : self::get_base_url();
 
 		if ( empty( $api_key ) ) {
 			return new \WP_Error(
@@ -416,7 +879,7 @@ class OpenAI_Client {
 			);
 		}
 
-		$url = self::API_BASE_URL . $endpoint;
+		$url = $base_url . $endpoint;
 
 		$args = array(
 			'method'  => $method,
@@ -445,10 +908,9 @@ class OpenAI_Client {
 		}
 
 		$status_code = wp_remote_retrieve_response_code( $response );
-		$body        = wp_remote_retrieve_body( $response );
-		$data        = json_decode( $body, true );
 
 		if ( $status_code < 200 || $status_code >= 300 ) {
+			$data          = json_decode( wp_remote_retrieve_body( $response ), true );
 			$error_message = $data['error']['message'] ?? __( 'Unknown API error', 'jp-wp-ai' );
 
 			return new \WP_Error(
@@ -462,13 +924,6 @@ class OpenAI_Client {
 			);
 		}
 
-		if ( null === $data ) {
-			return new \WP_Error(
-				'invalid_response',
-				__( 'Invalid JSON response from OpenAI API.', 'jp-wp-ai' )
-			);
-		}
-
-		return $data;
+		return $response;
 	}
 }
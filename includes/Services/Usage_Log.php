@@ -0,0 +1,499 @@
+<?php
+/**
+ * Usage Log
+ *
+ * Records the API requests of the plugin's features and what they cost.
+ *
+ * @package JP\WP_AI\Services
+ */
+
+namespace JP\WP_AI\Services;
+
+/**
+ * Logs each API request with its feature, model, tokens, cost and latency,
+ * and each request served from a cache, in a custom table.
+ *
+ * OpenAI_Client reports its requests through the `jp_wp_ai_api_request`
+ * action. Code that runs a feature for a post wraps the run in for_post(),
+ * so the requests it causes are attributed to that post.
+ *
+ * @since 1.1.0
+ */
+class Usage_Log {
+	/**
+	 * Table name, without the database prefix.
+	 *
+	 * @since 1.1.0
+	 * @var string
+	 */
+	private const TABLE = 'jp_wp_ai_usage';
+
+	/**
+	 * Version of the table schema.
+	 *
+	 * @since 1.1.0
+	 * @var string
+	 */
+	private const SCHEMA_VERSION = '1';
+
+	/**
+	 * Option holding the installed schema version.
+	 *
+	 * @since 1.1.0
+	 * @var string
+	 */
+	private const SCHEMA_OPTION = 'jp_wp_ai_usage_schema';
+
+	/**
+	 * Cron hook that deletes old log entries.
+	 *
+	 * @since 1.1.0
+	 * @var string
+	 */
+	private const PRUNE_HOOK = 'jp_wp_ai_prune_usage';
+
+	/**
+	 * Prices of known models in US dollars per million tokens, as prompt and
+	 * completion prices.
+	 *
+	 * @since 1.1.0
+	 * @var array<string, float[]>
+	 */
+	private const MODEL_PRICES = array(
+		'gpt-4o'       => array( 2.50, 10.00 ),
+		'gpt-4o-mini'  => array( 0.15, 0.60 ),
+		'gpt-4.1'      => array( 2.00, 8.00 ),
+		'gpt-4.1-mini' => array( 0.40, 1.60 ),
+		'gpt-4.1-nano' => array( 0.10, 0.40 ),
+	);
+
+	/**
+	 * Registers the hooks.
+	 *
+	 * @since 1.1.0
+	 */
+	public static function register(): void {
+		add_action( 'init', array( __CLASS__, 'maybe_install' ) );
+		add_action( 'jp_wp_ai_api_request', array( __CLASS__, 'record' ) );
+		add_action( self::PRUNE_HOOK, array( __CLASS__, 'prune' ) );
+	}
+
+	/**
+	 * Creates or updates the log table when the schema changed, and schedules
+	 * the daily pruning.
+	 *
+	 * @since 1.1.0
+	 */
+	public static function maybe_install(): void {
+		if ( ! wp_next_scheduled( self::PRUNE_HOOK ) ) {
+			wp_schedule_event( time() + HOUR_IN_SECONDS, 'daily', self::PRUNE_HOOK );
+		}
+
+		if ( get_option( self::SCHEMA_OPTION ) === self::SCHEMA_VERSION ) {
+			return;
+		}
+
+		global $wpdb;
+
+		require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+
+		dbDelta(
+			'CREATE TABLE ' . self::get_table() . " (
+				id bigint(20) unsigned NOT NULL AUTO_INCREMENT,
+				created_at datetime NOT NULL,
+				feature varchar(32) NOT NULL,
+				model varchar(100) NOT NULL DEFAULT '',
+				post_id bigint(20) unsigned NOT NULL DEFAULT 0,
+				user_id bigint(20) unsigned NOT NULL DEFAULT 0,
+				visitor varchar(32) NOT NULL DEFAULT '',
+				prompt_tokens int(10) unsigned NOT NULL DEFAULT 0,
+				completion_tokens int(10) unsigned NOT NULL DEFAULT 0,
+				cost decimal(12,6) NOT NULL DEFAULT 0,
+				latency_ms int(10) unsigned NOT NULL DEFAULT 0,
+				cache_hit tinyint(1) NOT NULL DEFAULT 0,
+				error varchar(64) NOT NULL DEFAULT '',
+				PRIMARY KEY  (id),
+				KEY created_at (created_at),
+				KEY post_id (post_id)
+			) {$wpdb->get_charset_collate()};"
+		);
+
+		update_option( self::SCHEMA_OPTION, self::SCHEMA_VERSION );
+	}
+
+	/**
+	 * Stops the daily pruning when the plugin is deactivated.
+	 *
+	 * @since 1.1.0
+	 */
+	public static function deactivate(): void {
+		wp_clear_scheduled_hook( self::PRUNE_HOOK );
+	}
+
+	/**
+	 * Removes the log table and its schema version when the plugin is
+	 * deleted.
+	 *
+	 * @since 1.1.0
+	 */
+	public static function uninstall(): void {
+		global $wpdb;
+
+		self::deactivate();
+
+		$wpdb->query( $wpdb->prepare( 'DROP TABLE IF EXISTS %i', self::get_table() ) ); // phpcs:ignore WordPress.DB.DirectDatabaseQuery -- Custom table.
+		delete_option( self::SCHEMA_OPTION );
+	}
+
+	/**
+	 * Gets the name of the log table.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @return string Table name with the database prefix.
+	 */
+	private static function get_table(): string {
+		global $wpdb;
+
+		return $wpdb->prefix . self::TABLE;
+	}
+
+	/**
+	 * Records an API request or a request served from a cache.
+	 *
+	 * The user, or an anonymous visitor ID for logged-out visitors, and the
+	 * cost are added here.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param array $entry {
+	 *     Log entry.
+	 *
+	 *     @type string $feature           Feature: 'alt_text', 'summary' or 'translation'.
+	 *     @type string $model             Model ID. Empty for cache hits.
+	 *     @type int    $post_id           Post the request was for, or 0.
+	 *     @type int    $prompt_tokens     Prompt tokens used.
+	 *     @type int    $completion_tokens Completion tokens used.
+	 *     @type int    $latency_ms        Time the request took, in milliseconds.
+	 *     @type bool   $cache_hit         Whether the request was served from a cache.
+	 *     @type string $error             Error code of a failed request.
+	 * }
+	 */
+	public static function record( array $entry ): void {
+		global $wpdb;
+
+		$entry = wp_parse_args(
+			$entry,
+			array(
+				'feature'           => '',
+				'model'             => '',
+				'post_id'           => 0,
+				'prompt_tokens'     => 0,
+				'completion_tokens' => 0,
+				'latency_ms'        => 0,
+				'cache_hit'         => false,
+				'error'             => '',
+			)
+		);
+
+		/**
+		 * Filters a usage log entry before it is saved.
+		 *
+		 * for_post() uses this filter to attribute requests to a post.
+		 *
+		 * @since 1.1.0
+		 *
+		 * @param array $entry Log entry, see Usage_Log::record().
+		 */
+		$entry   = apply_filters( 'jp_wp_ai_usage_entry', $entry );
+		$user_id = get_current_user_id();
+
+		$wpdb->insert( // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery -- Custom table.
+			self::get_table(),
+			array(
+				'created_at'        => current_time( 'mysql', true ),
+				'feature'           => substr( (string) $entry['feature'], 0, 32 ),
+				'model'             => substr( (string) $entry['model'], 0, 100 ),
+				'post_id'           => absint( $entry['post_id'] ),
+				'user_id'           => $user_id,
+				'visitor'           => $user_id ? '' : self::get_visitor_id(),
+				'prompt_tokens'     => absint( $entry['prompt_tokens'] ),
+				'completion_tokens' => absint( $entry['completion_tokens'] ),
+				'cost'              => self::get_cost( (string) $entry['model'], absint( $entry['prompt_tokens'] ), absint( $entry['completion_tokens'] ) ),
+				'latency_ms'        => absint( $entry['latency_ms'] ),
+				'cache_hit'         => $entry['cache_hit'] ? 1 : 0,
+				'error'             => substr( (string) $entry['error'], 0, 64 ),
+			),
+			array( '%s', '%s', '%s', '%d', '%d', '%s', '%d', '%d', '%f', '%d', '%d', '%s' )
+		);
+	}
+
+	/**
+	 * Runs a callback with the requests it causes attributed to a post.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param int      $post_id  Post ID. 0 runs the callback as it is.
+	 * @param callable $callback Callback to run.
+	 * @return mixed The callback's return value.
+	 */
+	public static function for_post( int $post_id, callable $callback ) {
+		if ( ! $post_id ) {
+			return $callback();
+		}
+
+		$attribute = static function ( array $entry ) use ( $post_id ): array {
+			$entry['post_id'] = $entry['post_id'] ? $entry['post_id'] : $post_id;
+
+			return $entry;
+		};
+
+		add_filter( 'jp_wp_ai_usage_entry', $attribute );
+
+		try {
+			return $callback();
+		} finally {
+			remove_filter( 'jp_wp_ai_usage_entry', $attribute );
+		}
+	}
+
+	/**
+	 * Gets an anonymous ID for the current logged-out visitor.
+	 *
+	 * The ID is a keyed hash of the IP address and user agent, so visitors
+	 * can be told apart without storing either.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @return string Visitor ID.
+	 */
+	public static function get_visitor_id(): string {
+		$ip         = isset( $_SERVER['REMOTE_ADDR'] ) ? sanitize_text_field( wp_unslash( $_SERVER['REMOTE_ADDR'] ) ) : '';
+		$user_agent = isset( $_SERVER['HTTP_USER_AGENT'] ) ? sanitize_text_field( wp_unslash( $_SERVER['HTTP_USER_AGENT'] ) ) : '';
+
+		return substr( wp_hash( $ip . '|' . $user_agent ), 0, 16 );
+	}
+
+	/**
+	 * Calculates the cost of a request.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param string $model             Model ID.
+	 * @param int    $prompt_tokens     Prompt tokens used.
+	 * @param int    $completion_tokens Completion tokens used.
+	 * @return float Cost in US dollars. 0 for models without a known price.
+	 */
+	private static function get_cost( string $model, int $prompt_tokens, int $completion_tokens ): float {
+		/**
+		 * Filters the model prices used to calculate costs.
+		 *
+		 * Add the models of other APIs here to track their cost. Costs are
+		 * calculated when a request is logged, so price changes do not
+		 * alter past entries.
+		 *
+		 * @since 1.1.0
+		 *
+		 * @param array<string, float[]> $prices Prompt and completion prices in
+		 *                                       US dollars per million tokens,
+		 *                                       keyed by model ID.
+		 */
+		$prices = apply_filters( 'jp_wp_ai_model_prices', self::MODEL_PRICES );
+
+		if ( ! isset( $prices[ $model ] ) ) {
+			return 0.0;
+		}
+
+		return ( $prompt_tokens * $prices[ $model ][0] + $completion_tokens * $prices[ $model ][1] ) / 1000000;
+	}
+
+	/**
+	 * Deletes log entries older than the retention period.
+	 *
+	 * @since 1.1.0
+	 */
+	public static function prune(): void {
+		global $wpdb;
+
+		/**
+		 * Filters how many days usage log entries are kept.
+		 *
+		 * @since 1.1.0
+		 *
+		 * @param int $days Number of days. Default 365.
+		 */
+		$days = absint( apply_filters( 'jp_wp_ai_usage_retention_days', 365 ) );
+
+		if ( ! $days ) {
+			return;
+		}
+
+		$wpdb->query( // phpcs:ignore WordPress.DB.DirectDatabaseQuery -- Custom table.
+			$wpdb->prepare(
+				'DELETE FROM %i WHERE created_at < %s',
+				self::get_table(),
+				gmdate( 'Y-m-d H:i:s', time() - $days * DAY_IN_SECONDS )
+			)
+		);
+	}
+
+	/**
+	 * Gets the totals of a period.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param string $since Start of the period, as a GMT MySQL datetime.
+	 * @return array Totals: 'requests', 'cache_hits', 'errors', 'prompt_tokens',
+	 *               'completion_tokens', 'cost' and 'latency_ms', the average
+	 *               latency of the API requests.
+	 */
+	public static function get_totals( string $since ): array {
+		global $wpdb;
+
+		$totals = $wpdb->get_row( // phpcs:ignore WordPress.DB.DirectDatabaseQuery -- Custom table.
+			$wpdb->prepare(
+				'SELECT ' . self::get_aggregates() . ', AVG( CASE WHEN cache_hit = 0 THEN latency_ms END ) AS latency_ms FROM %i WHERE created_at >= %s',
+				self::get_table(),
+				$since
+			),
+			ARRAY_A
+		);
+
+		// Sums over no entries are NULL.
+		return array_map( 'floatval', (array) $totals );
+	}
+
+	/**
+	 * Gets the totals of each day of a period, in the site's time zone.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param string $since Start of the period, as a GMT MySQL datetime.
+	 * @return array[] Totals keyed by date (Y-m-d), see get_totals(). Days
+	 *                 without entries are left out.
+	 */
+	public static function get_daily( string $since ): array {
+		global $wpdb;
+
+		$rows = $wpdb->get_results( // phpcs:ignore WordPress.DB.DirectDatabaseQuery -- Custom table.
+			$wpdb->prepare(
+				'SELECT DATE( DATE_ADD( created_at, INTERVAL %d SECOND ) ) AS day, ' . self::get_aggregates() . ' FROM %i WHERE created_at >= %s GROUP BY day ORDER BY day',
+				(int) ( (float) get_option( 'gmt_offset' ) * HOUR_IN_SECONDS ),
+				self::get_table(),
+				$since
+			),
+			ARRAY_A
+		);
+
+		$days = array();
+
+		foreach ( $rows as $row ) {
+			$day = $row['day'];
+			unset( $row['day'] );
+			$days[ $day ] = array_map( 'floatval', $row );
+		}
+
+		return $days;
+	}
+
+	/**
+	 * Gets the totals of each feature in a period.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param string $since Start of the period, as a GMT MySQL datetime.
+	 * @return array[] Totals keyed by feature, see get_totals().
+	 */
+	public static function get_by_feature( string $since ): array {
+		global $wpdb;
+
+		$rows = $wpdb->get_results( // phpcs:ignore WordPress.DB.DirectDatabaseQuery -- Custom table.
+			$wpdb->prepare(
+				'SELECT feature, ' . self::get_aggregates() . ' FROM %i WHERE created_at >= %s GROUP BY feature ORDER BY cost DESC, requests DESC',
+				self::get_table(),
+				$since
+			),
+			ARRAY_A
+		);
+
+		$features = array();
+
+		foreach ( $rows as $row ) {
+			$feature = $row['feature'];
+			unset( $row['feature'] );
+			$features[ $feature ] = array_map( 'floatval', $row );
+		}
+
+		return $features;
+	}
+
+	/**
+	 * Gets the totals of the posts that cost the most in a period.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param string $since Start of the period, as a GMT MySQL datetime.
+	 * @param int    $limit Maximum number of posts (default 20).
+	 * @return array[] Totals keyed by post ID, see get_totals().
+	 */
+	public static function get_by_post( string $since, int $limit = 20 ): array {
+		global $wpdb;
+
+		$rows = $wpdb->get_results( // phpcs:ignore WordPress.DB.DirectDatabaseQuery -- Custom table.
+			$wpdb->prepare(
+				'SELECT post_id, ' . self::get_aggregates() . ' FROM %i WHERE created_at >= %s AND post_id > 0 GROUP BY post_id ORDER BY cost DESC, requests DESC LIMIT %d',
+				self::get_table(),
+				$since,
+				$limit
+			),
+			ARRAY_A
+		);
+
+		$posts = array();
+
+		foreach ( $rows as $row ) {
+			$post_id = (int) $row['post_id'];
+			unset( $row['post_id'] );
+			$posts[ $post_id ] = array_map( 'floatval', $row );
+		}
+
+		return $posts;
+	}
+
+	/**
+	 * Gets log entries of a period, oldest first.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @param string $since  Start of the period, as a GMT MySQL datetime.
+	 * @param int    $offset Number of entries to skip.
+	 * @param int    $limit  Maximum number of entries.
+	 * @return array[] Log entries with the columns of the table.
+	 */
+	public static function get_entries( string $since, int $offset, int $limit ): array {
+		global $wpdb;
+
+		return $wpdb->get_results( // phpcs:ignore WordPress.DB.DirectDatabaseQuery -- Custom table.
+			$wpdb->prepare(
+				'SELECT * FROM %i WHERE created_at >= %s ORDER BY id LIMIT %d, %d',
+				self::get_table(),
+				$since,
+				$offset,
+				$limit
+			),
+			ARRAY_A
+		);
+	}
+
+	/**
+	 * Gets the SQL aggregates shared by the totals queries.
+	 *
+	 * @since 1.1.0
+	 *
+	 * @return string SQL select expressions.
+	 */
+	private static function get_aggregates(): string {
+		return 'SUM( cache_hit = 0 ) AS requests, SUM( cache_hit ) AS cache_hits, SUM( error <> \'\' ) AS errors, '
+			. 'SUM( prompt_tokens ) AS prompt_tokens, SUM( completion_tokens ) AS completion_tokens, SUM( cost ) AS cost';
+	}
+}
@@ -41,9 +41,16 @@ function load() {
 
 	// Initialize settings page for API key configuration.
 	Admin\Settings_Page::register();
+
+	// Log API usage and show it on the settings page.
+	Services\Usage_Log::register();
+	Admin\Usage_Dashboard::register();
 }
 add_action( 'plugins_loaded', __NAMESPACE__ . '\load' );
 
+// Stop the usage log pruning. Deleting the plugin removes the log, see uninstall.php.
+register_deactivation_hook( __FILE__, array( Services\Usage_Log::class, 'deactivate' ) );
+
 /**
  * Displays admin notice about missing AI plugin dependency.
  *
@@ -71,8 +78,18 @@ function display_dependency_notice(): void {
 function register_experiments( Experiment_Registry $registry ): void {
 	// Load experiment classes.
 	require_once JP_WP_AI_DIR . 'includes/Features/Alt_Text_Generator/Alt_Text_Generator.php';
+	require_once JP_WP_AI_DIR . 'includes/Features/Alt_Text_Generator/Alt_Text_Batch.php';
+	require_once JP_WP_AI_DIR . 'includes/Features/Alt_Text_Generator/Alt_Text_Queue.php';
 	require_once JP_WP_AI_DIR . 'includes/Features/Content_Summarizer/Content_Summarizer.php';
 	require_once JP_WP_AI_DIR . 'includes/Features/Content_Translator/Content_Translator.php';
+	require_once JP_WP_AI_DIR . 'includes/Features/Content_Translator/Translation_Segments.php';
+	require_once JP_WP_AI_DIR . 'includes/Features/Content_Translator/Translated_View.php';
+	require_once JP_WP_AI_DIR . 'includes/Features/Content_Translator/Translation_Manager.php';
+	require_once JP_WP_AI_DIR . 'includes/Features/Content_Translator/Translation_Refresh.php';
+	require_once JP_WP_AI_DIR . 'includes/Features/Content_Translator/Translation_Glossary.php';
+	require_once JP_WP_AI_DIR . 'includes/Features/Content_Translator/Translated_Interface.php';
+	require_once JP_WP_AI_DIR . 'includes/Features/Content_Translator/Translation_Regions.php';
+	require_once JP_WP_AI_DIR . 'includes/Features/Content_Translator/Translation_Limits.php';
 
 	// Register our experiments.
 	$registry->register_experiment( new Features\Alt_Text_Generator\Alt_Text_Generator() );
@@ -82,7 +99,9 @@ function register_experiments( Experiment_Registry $registry ): void {
 
 // Load required classes.
 require_once JP_WP_AI_DIR . 'includes/Services/OpenAI_Client.php';
+require_once JP_WP_AI_DIR . 'includes/Services/Usage_Log.php';
 require_once JP_WP_AI_DIR . 'includes/Admin/Settings_Page.php';
+require_once JP_WP_AI_DIR . 'includes/Admin/Usage_Dashboard.php';
 
 // Register ability category.
 add_action(
@@ -0,0 +1,33 @@
+/**
+ * Alt Text Generator - Ability API helpers
+ *
+ * Shared wrapper around the generate-alt-text ability endpoint.
+ */
+
+import { __ } from '@wordpress/i18n';
+import apiFetch from '@wordpress/api-fetch';
+
+/**
+ * Runs the ai/generate-alt-text ability.
+ *
+ * @param {Object} input               Ability input.
+ * @param {string} input.image_url     URL of the image to describe.
+ * @param {number} input.attachment_id Optional attachment ID. When set, the
+ *                                     ability also saves the alt text on the
+ *                                     attachment.
+ * @param {string} input.context       Optional context to improve accuracy.
+ * @return {Promise<string>} The generated alt text.
+ */
+export const generateAltText = async (input) => {
+	const response = await apiFetch({
+		path: '/wp-abilities/v1/abilities/ai/generate-alt-text/run',
+		method: 'POST',
+		data: { input },
+	});
+
+	if (!response || !response.alt_text) {
+		throw new Error(__('Failed to generate alt text', 'ai'));
+	}
+
+	return response.alt_text;
+};
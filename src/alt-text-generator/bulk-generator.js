@@ -0,0 +1,386 @@
+/**
+ * Alt Text Generator - Bulk Generation Sidebar
+ *
+ * Finds every image in the post that is missing alt text, generates
+ * suggestions with bounded concurrency and lets the editor accept or
+ * reject each one before it is written to the block.
+ */
+
+import { __, sprintf } from '@wordpress/i18n';
+import { registerPlugin } from '@wordpress/plugins';
+import { PluginSidebar, PluginSidebarMoreMenuItem } from '@wordpress/editor';
+import { PanelBody, Button, Notice, Spinner } from '@wordpress/components';
+import { useSelect, useDispatch, select } from '@wordpress/data';
+import { useState, useRef, useMemo } from '@wordpress/element';
+
+import { generateAltText } from './api';
+
+/**
+ * Maximum number of ability requests running at the same time.
+ */
+const CONCURRENCY = 3;
+
+/**
+ * Recursively collects image references from a block tree.
+ *
+ * Galleries created before WordPress 5.9 keep their images in the `images`
+ * attribute instead of inner image blocks, so each entry gets its own item.
+ *
+ * @param {Array} blocks Blocks to walk.
+ * @param {Array} images Accumulator.
+ * @return {Array} Image items.
+ */
+const collectImages = (blocks, images = []) => {
+	blocks.forEach((block) => {
+		const { clientId, name, attributes } = block;
+
+		if (name === 'core/image' && attributes.url) {
+			images.push({
+				key: clientId,
+				clientId,
+				name,
+				url: attributes.url,
+				id: attributes.id,
+				alt: attributes.alt,
+			});
+		} else if (
+			name === 'core/media-text' &&
+			attributes.mediaType === 'image' &&
+			attributes.mediaUrl
+		) {
+			images.push({
+				key: clientId,
+				clientId,
+				name,
+				url: attributes.mediaUrl,
+				id: attributes.mediaId,
+				alt: attributes.mediaAlt,
+			});
+		} else if (name === 'core/gallery' && attributes.images?.length) {
+			attributes.images.forEach((image, index) => {
+				images.push({
+					key: `${clientId}-${index}`,
+					clientId,
+					name,
+					index,
+					url: image.url || image.fullUrl,
+					id: image.id,
+					alt: image.alt,
+				});
+			});
+		}
+
+		if (block.innerBlocks?.length) {
+			collectImages(block.innerBlocks, images);
+		}
+	});
+
+	return images;
+};
+
+/**
+ * Builds the attribute update that writes alt text for an image item.
+ *
+ * @param {Object} image Image item from collectImages().
+ * @param {string} alt   Alt text to write.
+ * @return {Object|null} Attributes to update, or null if the block is gone.
+ */
+const getAltAttributes = (image, alt) => {
+	const block = select('core/block-editor').getBlock(image.clientId);
+
+	if (!block) {
+		return null;
+	}
+
+	switch (image.name) {
+		case 'core/media-text':
+			return { mediaAlt: alt };
+		case 'core/gallery':
+			return {
+				images: block.attributes.images.map((item, index) =>
+					index === image.index ? { ...item, alt } : item
+				),
+			};
+		default:
+			return { alt };
+	}
+};
+
+/**
+ * Runs a worker over items with at most `limit` calls in flight.
+ *
+ * @param {Array}    items     Items to process.
+ * @param {number}   limit     Maximum concurrent workers.
+ * @param {Function} worker    Async function called with each item.
+ * @param {Object}   cancelRef Ref whose `current` flag stops new work.
+ * @return {Promise} Resolves when every started worker has finished.
+ */
+const runQueue = async (items, limit, worker, cancelRef) => {
+	let next = 0;
+
+	const runners = Array.from(
+		{ length: Math.min(limit, items.length) },
+		async () => {
+			while (next < items.length && !cancelRef.current) {
+				const item = items[next++];
+				await worker(item);
+			}
+		}
+	);
+
+	await Promise.all(runners);
+};
+
+const BulkAltTextPanel = () => {
+	const [queue, setQueue] = useState([]);
+	const [results, setResults] = useState({});
+	const [isRunning, setIsRunning] = useState(false);
+	const cancelRef = useRef(false);
+
+	const blocks = useSelect((selectStore) => {
+		return selectStore('core/block-editor').getBlocks();
+	}, []);
+
+	const missingImages = useMemo(
+		() =>
+			collectImages(blocks).filter(
+				(image) => !image.alt || image.alt.trim() === ''
+			),
+		[blocks]
+	);
+
+	const { updateBlockAttributes, selectBlock } =
+		useDispatch('core/block-editor');
+
+	const setResult = (key, result) => {
+		setResults((current) => ({
+			...current,
+			[key]: { ...current[key], ...result },
+		}));
+	};
+
+	const handleGenerate = async () => {
+		const images = missingImages;
+
+		cancelRef.current = false;
+		setQueue(images);
+		setResults(
+			images.reduce((acc, image) => {
+				acc[image.key] = { status: 'queued' };
+				return acc;
+			}, {})
+		);
+		setIsRunning(true);
+
+		await runQueue(
+			images,
+			CONCURRENCY,
+			async (image) => {
+				setResult(image.key, { status: 'generating' });
+
+				try {
+					// The attachment ID is left out on purpose so the
+					// Media Library is not updated before the suggestion
+					// is accepted.
+					const altText = await generateAltText({
+						image_url: image.url,
+					});
+					setResult(image.key, {
+						status: 'ready',
+						suggestion: altText,
+					});
+				} catch (err) {
+					console.error('Alt text generation error:', err);
+					setResult(image.key, {
+						status: 'error',
+						error: err.message || __('An error occurred', 'ai'),
+					});
+				}
+			},
+			cancelRef
+		);
+
+		setIsRunning(false);
+	};
+
+	const handleStop = () => {
+		cancelRef.current = true;
+	};
+
+	const handleAccept = (image) => {
+		const attributes = getAltAttributes(
+			image,
+			results[image.key].suggestion
+		);
+
+		if (!attributes) {
+			setResult(image.key, {
+				status: 'error',
+				error: __('The block no longer exists.', 'ai'),
+			});
+			return;
+		}
+
+		updateBlockAttributes(image.clientId, attributes);
+		setResult(image.key, { status: 'accepted' });
+	};
+
+	const handleReject = (image) => {
+		setResult(image.key, { status: 'rejected' });
+	};
+
+	const handleAcceptAll = () => {
+		queue
+			.filter((image) => results[image.key]?.status === 'ready')
+			.forEach(handleAccept);
+	};
+
+	const finishedCount = queue.filter((image) =>
+		['ready', 'error', 'accepted', 'rejected'].includes(
+			results[image.key]?.status
+		)
+	).length;
+
+	const readyCount = queue.filter(
+		(image) => results[image.key]?.status === 'ready'
+	).length;
+
+	const statusLabels = {
+		queued: __('Queued', 'ai'),
+		generating: __('Generating...', 'ai'),
+		accepted: __('Applied', 'ai'),
+		rejected: __('Rejected', 'ai'),
+	};
+
+	return (
+		<PanelBody title={__('Missing Alt Text', 'ai')} initialOpen={true}>
+			<p>
+				{missingImages.length
+					? sprintf(
+							/* translators: %d: Number of images. */
+							__('%d image(s) in this post have no alt text.', 'ai'),
+							missingImages.length
+					  )
+					: __('Every image in this post has alt text.', 'ai')}
+			</p>
+
+			<div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+				<Button
+					variant="primary"
+					onClick={handleGenerate}
+					disabled={isRunning || !missingImages.length}
+					isBusy={isRunning}
+				>
+					{__('Generate missing alt text', 'ai')}
+				</Button>
+				{isRunning && (
+					<Button variant="secondary" onClick={handleStop}>
+						{__('Stop', 'ai')}
+					</Button>
+				)}
+				{!isRunning && readyCount > 1 && (
+					<Button variant="secondary" onClick={handleAcceptAll}>
+						{__('Accept all', 'ai')}
+					</Button>
+				)}
+			</div>
+
+			{queue.length > 0 && (
+				<p style={{ marginTop: '10px' }}>
+					{sprintf(
+						/* translators: 1: Finished images, 2: Total images. */
+						__('%1$d of %2$d processed', 'ai'),
+						finishedCount,
+						queue.length
+					)}
+				</p>
+			)}
+
+			{queue.map((image) => {
+				const result = results[image.key] || {};
+
+				return (
+					<div
+						key={image.key}
+						style={{
+							display: 'flex',
+							gap: '10px',
+							padding: '10px 0',
+							borderTop: '1px solid #ddd',
+						}}
+					>
+						<button
+							type="button"
+							onClick={() => selectBlock(image.clientId)}
+							style={{ padding: 0, border: 0, background: 'none', cursor: 'pointer' }}
+							aria-label={__('Select image block', 'ai')}
+						>
+							<img
+								src={image.url}
+								alt=""
+								style={{ width: '48px', height: '48px', objectFit: 'cover' }}
+							/>
+						</button>
+						<div style={{ flex: 1, minWidth: 0 }}>
+							{result.status === 'generating' && <Spinner />}
+							{statusLabels[result.status] && (
+								<p style={{ margin: 0, color: '#757575' }}>
+									{statusLabels[result.status]}
+								</p>
+							)}
+							{result.status === 'error' && (
+								<Notice status="error" isDismissible={false}>
+									{result.error}
+								</Notice>
+							)}
+							{result.status === 'ready' && (
+								<>
+									<p style={{ margin: '0 0 8px' }}>
+										{result.suggestion}
+									</p>
+									<div style={{ display: 'flex', gap: '8px' }}>
+										<Button
+											variant="secondary"
+											size="small"
+											onClick={() => handleAccept(image)}
+										>
+											{__('Accept', 'ai')}
+										</Button>
+										<Button
+											variant="tertiary"
+											size="small"
+											onClick={() => handleReject(image)}
+										>
+											{__('Reject', 'ai')}
+										</Button>
+									</div>
+								</>
+							)}
+						</div>
+					</div>
+				);
+			})}
+		</PanelBody>
+	);
+};
+
+const BulkAltTextSidebar = () => {
+	return (
+		<>
+			<PluginSidebarMoreMenuItem target="ai-bulk-alt-text" icon="format-gallery">
+				{__('AI Alt Text', 'ai')}
+			</PluginSidebarMoreMenuItem>
+			<PluginSidebar
+				name="ai-bulk-alt-text"
+				title={__('AI Alt Text', 'ai')}
+				icon="format-gallery"
+			>
+				<BulkAltTextPanel />
+			</PluginSidebar>
+		</>
+	);
+};
+
+registerPlugin('ai-bulk-alt-text', {
+	render: BulkAltTextSidebar,
+});
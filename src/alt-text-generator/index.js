@@ -1,37 +1,50 @@
 /**
  * Alt Text Generator - Block Editor Integration
  *
- * Adds "Generate Alt Text" button to Image block toolbar.
+ * Adds "Generate Alt Text" button to Image block toolbar with a popover
+ * to review, edit or regenerate the suggestion before it is applied, and
+ * shows the status of alt text generated for new uploads in the sidebar.
  */
 
 import { __ } from '@wordpress/i18n';
 import { addFilter } from '@wordpress/hooks';
 import { createHigherOrderComponent } from '@wordpress/compose';
-import { BlockControls } from '@wordpress/block-editor';
-import { ToolbarGroup, ToolbarButton } from '@wordpress/components';
-import { useState } from '@wordpress/element';
-import apiFetch from '@wordpress/api-fetch';
+import { BlockControls, InspectorControls } from '@wordpress/block-editor';
+import {
+	ToolbarGroup,
+	ToolbarButton,
+	Popover,
+	TextareaControl,
+	TextControl,
+	Button,
+	Notice,
+	PanelBody,
+	Spinner,
+} from '@wordpress/components';
+import { useSelect, useDispatch } from '@wordpress/data';
+import { useState, useEffect, useRef } from '@wordpress/element';
 
-// Import media library script for classic media modal.
-import './media-library';
+import { generateAltText } from './api';
+
+// Import the bulk generation sidebar.
+import './bulk-generator';
 
 /**
- * Add Generate Alt Text button to Image block toolbar.
+ * Toolbar button and review popover for a single Image block.
+ *
+ * Suggestions are only written to the block when accepted, so the change
+ * lands in the undo history as one step and never replaces hand-written
+ * alt text without review.
  */
-const withAltTextGenerator = createHigherOrderComponent((BlockEdit) => {
-	return (props) => {
-		const { name, attributes, setAttributes, isSelected } = props;
-
-		// Only apply to image blocks.
-		if (name !== 'core/image') {
-			return <BlockEdit {...props} />;
-		}
+const AltTextGeneratorControls = ({ attributes, setAttributes, isSelected }) => {
+	const [isGenerating, setIsGenerating] = useState(false);
+	const [error, setError] = useState(null);
+	const [suggestion, setSuggestion] = useState(null);
+	const [hint, setHint] = useState('');
+	const [popoverAnchor, setPopoverAnchor] = useState(null);
 
-		const [isGenerating, setIsGenerating] = useState(false);
-		const [error, setError] = useState(null);
-
-	const handleGenerateAltText = async () => {
-		const { id, url } = attributes;
+	const requestSuggestion = async (context = '') => {
+		const { url } = attributes;
 
 		if (!url) {
 			setError(__('No image selected', 'ai'));
@@ -42,22 +55,14 @@ const withAltTextGenerator = createHigherOrderComponent((BlockEdit) => {
 		setError(null);
 
 		try {
-			const response = await apiFetch({
-				path: '/wp-abilities/v1/abilities/ai/generate-alt-text/run',
-				method: 'POST',
-				data: {
-					input: {
-						image_url: url,
-						attachment_id: id || 0,
-					},
-				},
+			// The attachment ID is not sent so the ability does not save the
+			// suggestion to the Media Library before it has been reviewed.
+			const altText = await generateAltText({
+				image_url: url,
+				context,
 			});
 
-			if (response && response.alt_text) {
-				setAttributes({ alt: response.alt_text });
-			} else {
-				setError(__('Failed to generate alt text', 'ai'));
-			}
+			setSuggestion(altText);
 		} catch (err) {
 			console.error('Alt text generation error:', err);
 			setError(err.message || __('An error occurred', 'ai'));
@@ -66,30 +71,191 @@ const withAltTextGenerator = createHigherOrderComponent((BlockEdit) => {
 		}
 	};
 
-		return (
-			<>
-				<BlockEdit {...props} />
-				{isSelected && attributes.url && (
-					<BlockControls group="other">
-						<ToolbarGroup>
-							<ToolbarButton
-								icon="admin-customizer"
-								label={__('Generate Alt Text', 'ai')}
-								onClick={handleGenerateAltText}
+	const handleClose = () => {
+		setSuggestion(null);
+		setHint('');
+		setError(null);
+	};
+
+	const handleAccept = () => {
+		setAttributes({ alt: suggestion.trim() });
+		handleClose();
+	};
+
+	if (!isSelected || !attributes.url) {
+		return null;
+	}
+
+	return (
+		<>
+			<BlockControls group="other">
+				<ToolbarGroup>
+					<ToolbarButton
+						ref={setPopoverAnchor}
+						icon="admin-customizer"
+						label={__('Generate Alt Text', 'ai')}
+						onClick={() => requestSuggestion()}
+						disabled={isGenerating}
+					>
+						{isGenerating && suggestion === null
+							? __('Generating...', 'ai')
+							: __('Generate Alt Text', 'ai')}
+					</ToolbarButton>
+				</ToolbarGroup>
+			</BlockControls>
+			{suggestion !== null && (
+				<Popover
+					anchor={popoverAnchor}
+					placement="bottom-start"
+					onClose={handleClose}
+					focusOnMount="firstElement"
+				>
+					<div style={{ padding: '16px', width: '320px' }}>
+						<p style={{ margin: '0 0 4px', fontWeight: 600 }}>
+							{__('Current alt text', 'ai')}
+						</p>
+						<p style={{ margin: '0 0 16px', color: '#757575' }}>
+							{attributes.alt || __('(none)', 'ai')}
+						</p>
+						<TextareaControl
+							label={__('Suggested alt text', 'ai')}
+							value={suggestion}
+							onChange={setSuggestion}
+							rows={3}
+						/>
+						<TextControl
+							label={__('Hint for regeneration', 'ai')}
+							value={hint}
+							onChange={setHint}
+							help={__(
+								'Optional extra context, e.g. the product name or what to focus on.',
+								'ai'
+							)}
+						/>
+						{error && (
+							<Notice status="error" isDismissible={false}>
+								{error}
+							</Notice>
+						)}
+						<div style={{ display: 'flex', gap: '8px', marginTop: '12px' }}>
+							<Button
+								variant="primary"
+								onClick={handleAccept}
+								disabled={isGenerating || suggestion.trim() === ''}
+							>
+								{__('Accept', 'ai')}
+							</Button>
+							<Button
+								variant="secondary"
+								onClick={() => requestSuggestion(hint)}
 								disabled={isGenerating}
+								isBusy={isGenerating}
 							>
-								{isGenerating
-									? __('Generating...', 'ai')
-									: __('Generate Alt Text', 'ai')}
-							</ToolbarButton>
-						</ToolbarGroup>
-					</BlockControls>
-				)}
-				{error && isSelected && (
-					<div style={{ padding: '10px', color: 'red', fontSize: '12px' }}>
-						{error}
+								{__('Regenerate', 'ai')}
+							</Button>
+							<Button variant="tertiary" onClick={handleClose}>
+								{__('Cancel', 'ai')}
+							</Button>
+						</div>
 					</div>
+				</Popover>
+			)}
+			{error && suggestion === null && (
+				<div style={{ padding: '10px', color: 'red', fontSize: '12px' }}>
+					{error}
+				</div>
+			)}
+		</>
+	);
+};
+
+/**
+ * How often the status of a pending image is checked again, in milliseconds.
+ */
+const STATUS_POLL_INTERVAL = 10000;
+
+/**
+ * Sidebar status of the alt text generated in the background for an
+ * uploaded image, see Alt_Text_Queue.
+ *
+ * When the queue finishes while the editor is open, the alt text is filled
+ * in, unless the block got alt text in the meantime.
+ */
+const AltTextQueueStatus = ({ attributes, setAttributes }) => {
+	const { id, alt } = attributes;
+	// The Image block loads the same record, so this adds no request.
+	const media = useSelect(
+		(selectStore) => (id ? selectStore('core').getMedia(id, { context: 'view' }) : null),
+		[id]
+	);
+	const { invalidateResolution } = useDispatch('core');
+	const status = media?.jp_wp_ai_alt_text?.status || '';
+	const previousStatus = useRef(status);
+
+	useEffect(() => {
+		if (status !== 'pending') {
+			return undefined;
+		}
+
+		const timer = setInterval(() => {
+			invalidateResolution('getMedia', [id, { context: 'view' }]);
+		}, STATUS_POLL_INTERVAL);
+
+		return () => clearInterval(timer);
+	}, [id, status, invalidateResolution]);
+
+	useEffect(() => {
+		if (previousStatus.current === 'pending' && status === 'generated' && !alt && media.alt_text) {
+			setAttributes({ alt: media.alt_text });
+		}
+
+		previousStatus.current = status;
+	}, [status, alt, media, setAttributes]);
+
+	if (!status) {
+		return null;
+	}
+
+	return (
+		<InspectorControls>
+			<PanelBody title={__('AI Alt Text', 'ai')}>
+				{status === 'pending' && (
+					<p style={{ display: 'flex', alignItems: 'center', margin: 0 }}>
+						<Spinner />
+						{__('Alt text is being generated in the background.', 'ai')}
+					</p>
 				)}
+				{status === 'generated' && (
+					<Notice status="success" isDismissible={false}>
+						{__('Alt text was generated automatically. Check that it describes the image.', 'ai')}
+					</Notice>
+				)}
+				{status === 'failed' && (
+					<Notice status="error" isDismissible={false}>
+						<p>{media.jp_wp_ai_alt_text.error || __('Alt text could not be generated.', 'ai')}</p>
+						<p>{__('Use "Generate Alt Text" in the toolbar to try again.', 'ai')}</p>
+					</Notice>
+				)}
+			</PanelBody>
+		</InspectorControls>
+	);
+};
+
+/**
+ * Add Generate Alt Text button to Image block toolbar.
+ */
+const withAltTextGenerator = createHigherOrderComponent((BlockEdit) => {
+	return (props) => {
+		// Only apply to image blocks.
+		if (props.name !== 'core/image') {
+			return <BlockEdit {...props} />;
+		}
+
+		return (
+			<>
+				<BlockEdit {...props} />
+				<AltTextGeneratorControls {...props} />
+				<AltTextQueueStatus {...props} />
 			</>
 		);
 	};
@@ -100,4 +266,3 @@ addFilter(
 	'ai/alt-text-generator',
 	withAltTextGenerator
 );
-
@@ -1,14 +1,387 @@
 /**
  * Alt Text Generator - Media Library Integration
  *
- * Adds "Generate Alt Text" functionality to the Media Library.
+ * Adds "Generate Alt Text" functionality to the Media Library: the attachment
+ * edit screen, the attachment details sidebar in the grid and media modal,
+ * a bulk button for the grid's bulk select mode, progress reporting for
+ * the list table bulk actions and the status of alt text generated for new
+ * uploads.
  */
 
 (function ($) {
 	'use strict';
 
+	const settings = window.aiAltTextGenerator || {};
+	const strings  = settings.strings || {};
+
+	/**
+	 * How often a pending attachment is checked again, in milliseconds.
+	 */
+	const STATUS_POLL_INTERVAL = 10000;
+
+	/**
+	 * Replaces %1$d style placeholders in a localized string.
+	 */
+	function format( message, ...values ) {
+		return values.reduce(
+			function (result, value, index) {
+				return result.replace( '%' + ( index + 1 ) + '$d', value );
+			},
+			message
+		);
+	}
+
+	/**
+	 * Extracts an error message from a failed AJAX response.
+	 */
+	function getErrorMessage( xhr ) {
+		return xhr.responseJSON?.data?.message || strings.unexpectedError;
+	}
+
+	/**
+	 * Requests alt text for a single attachment.
+	 *
+	 * The server saves the alt text on the attachment before responding.
+	 */
+	function requestAltText( attachmentId ) {
+		return $.ajax(
+			{
+				url: ajaxurl,
+				type: 'POST',
+				data: {
+					action: 'ai_generate_alt_text',
+					nonce: settings.nonce || '',
+					attachment_id: attachmentId,
+				},
+			}
+		);
+	}
+
+	/**
+	 * Runs a batch job one attachment at a time until it is done.
+	 *
+	 * @param {string}   jobId      The batch job ID.
+	 * @param {Function} onProgress Called with the progress data after each step.
+	 * @return {Promise} Resolves with the final progress data.
+	 */
+	function processBatch( jobId, onProgress ) {
+		return $.ajax(
+			{
+				url: ajaxurl,
+				type: 'POST',
+				data: {
+					action: 'ai_alt_text_batch_process',
+					nonce: settings.nonce || '',
+					job_id: jobId,
+				},
+			}
+		).then(
+			function (response) {
+				if ( ! response.success) {
+					return $.Deferred().reject( { responseJSON: response } );
+				}
+
+				onProgress( response.data );
+
+				return response.data.done ? response.data : processBatch( jobId, onProgress );
+			}
+		);
+	}
+
+	/**
+	 * Starts a batch job for the given attachments and runs it.
+	 */
+	function startBatch( attachmentIds, overwrite, onProgress ) {
+		return $.ajax(
+			{
+				url: ajaxurl,
+				type: 'POST',
+				data: {
+					action: 'ai_alt_text_batch_start',
+					nonce: settings.nonce || '',
+					attachment_ids: attachmentIds,
+					overwrite: overwrite ? 1 : 0,
+				},
+			}
+		).then(
+			function (response) {
+				if ( ! response.success) {
+					return $.Deferred().reject( { responseJSON: response } );
+				}
+
+				onProgress( response.data );
+
+				return processBatch( response.data.job_id, onProgress );
+			}
+		);
+	}
+
+	/**
+	 * Updates the Backbone model of an attachment after its alt text changed.
+	 */
+	function updateAttachmentModel( item ) {
+		if ( 'generated' !== item?.status || ! window.wp?.media?.attachment) {
+			return;
+		}
+
+		// The server drops the automatic generation status along with it.
+		wp.media.attachment( item.attachment_id ).set(
+			{
+				alt: item.alt_text,
+				jpWpAiAltText: { status: '', error: '' },
+			}
+		);
+	}
+
+	/**
+	 * Builds the badge for the automatic generation status of an attachment.
+	 *
+	 * @param {Object} altText Status data, see Alt_Text_Queue::get_status().
+	 * @return {jQuery|null} The badge, or null if the attachment was never queued.
+	 */
+	function buildStatusBadge( altText ) {
+		const badges = {
+			pending: [ '#666', strings.badgePending ],
+			generated: [ 'green', strings.badgeGenerated ],
+			failed: [ 'red', strings.badgeFailed ],
+		};
+
+		if ( ! altText || ! badges[ altText.status ] ) {
+			return null;
+		}
+
+		return $( '<span class="ai-alt-text-badge" style="display: block; margin-bottom: 4px;"></span>' )
+			.css( 'color', badges[ altText.status ][0] )
+			.attr( 'title', altText.error )
+			.text( badges[ altText.status ][1] );
+	}
+
+	/**
+	 * Fetches a pending attachment again until the queue is done with it,
+	 * as long as its details are shown.
+	 *
+	 * @param {Object} view Attachment details view.
+	 */
+	function watchPendingStatus( view ) {
+		const model = view.model;
+
+		if ( model.jpWpAiStatusTimer || 'pending' !== model.get( 'jpWpAiAltText' )?.status ) {
+			return;
+		}
+
+		model.jpWpAiStatusTimer = setTimeout(
+			function () {
+				model.jpWpAiStatusTimer = null;
+
+				if ( ! $.contains( document.body, view.el ) ) {
+					return;
+				}
+
+				model.fetch().always(
+					function () {
+						watchPendingStatus( view );
+					}
+				);
+			},
+			STATUS_POLL_INTERVAL
+		);
+	}
+
+	/**
+	 * Extends the media views, if they are loaded on this screen.
+	 */
+	function extendMediaViews() {
+		const media = window.wp?.media;
+
+		if ( ! media?.view?.Attachment?.Details || ! media.view.AttachmentsBrowser) {
+			return;
+		}
+
+		// Add a button below the alt text field of the attachment details
+		// sidebar. The two column grid view calls this render method too.
+		const Details        = media.view.Attachment.Details;
+		const originalRender = Details.prototype.render;
+
+		Details.prototype.render = function () {
+			originalRender.apply( this, arguments );
+
+			if ( 'image' === this.model.get( 'type' ) ) {
+				const $setting = $( '<span class="setting ai-alt-text-setting"><span class="name"></span></span>' );
+				const $badge   = buildStatusBadge( this.model.get( 'jpWpAiAltText' ) );
+
+				if ( $badge ) {
+					$setting.append( $badge );
+				}
+
+				$( '<button type="button" class="button ai-generate-alt-text"></button>' )
+					.attr( 'data-attachment-id', this.model.get( 'id' ) )
+					.text( strings.generate )
+					.appendTo( $setting );
+				$setting.append( '<span class="ai-alt-text-status"></span>' );
+
+				this.$( '.setting[data-setting="alt"]' ).after( $setting );
+
+				// Show the badge of the finished job, and the alt text it saved.
+				this.stopListening( this.model, 'change:jpWpAiAltText', this.render );
+				this.listenTo( this.model, 'change:jpWpAiAltText', this.render );
+				watchPendingStatus( this );
+			}
+
+			return this;
+		};
+
+		// Add a bulk button to the grid toolbar, shown in bulk select mode.
+		const GenerateSelectedButton = media.view.Button.extend(
+			{
+				className: 'media-button ai-generate-alt-text-selected',
+
+				initialize: function () {
+					media.view.Button.prototype.initialize.apply( this, arguments );
+
+					this.controller.on( 'selection:toggle select:activate', this.toggleDisabled, this );
+					this.controller.on( 'select:activate select:deactivate', this.render, this );
+				},
+
+				render: function () {
+					media.view.Button.prototype.render.apply( this, arguments );
+
+					// Only offered while the grid is in bulk select mode.
+					this.$el.toggleClass( 'hidden', ! this.controller.isModeActive( 'select' ) );
+
+					return this;
+				},
+
+				toggleDisabled: function () {
+					this.model.set( 'disabled', this.isRunning || ! this.controller.state().get( 'selection' ).length );
+				},
+
+				click: function () {
+					if (this.model.get( 'disabled' )) {
+						return;
+					}
+
+					const selection = this.controller.state().get( 'selection' );
+					const images    = selection.filter(
+						function (attachment) {
+							return 'image' === attachment.get( 'type' );
+						}
+					);
+
+					if ( ! images.length) {
+						return;
+					}
+
+					const hasAlt = images.some(
+						function (attachment) {
+							return '' !== ( attachment.get( 'alt' ) || '' ).trim();
+						}
+					);
+					// Confirming replaces existing alt text; cancelling skips those images.
+					const overwrite = hasAlt && window.confirm( strings.confirmOverwrite );
+					const button    = this;
+
+					this.isRunning = true;
+					this.toggleDisabled();
+
+					startBatch(
+						images.map(
+							function (attachment) {
+								return attachment.get( 'id' );
+							}
+						),
+						overwrite,
+						function (progress) {
+							updateAttachmentModel( progress.item );
+							button.model.set( 'text', format( strings.batchProgress, progress.processed, progress.total ) );
+						}
+					).then(
+						function (progress) {
+							window.alert( format( strings.batchComplete, progress.generated, progress.skipped, progress.failed ) );
+						},
+						function (xhr) {
+							window.alert( getErrorMessage( xhr ) );
+						}
+					).always(
+						function () {
+							button.isRunning = false;
+							button.model.set( 'text', strings.generateSelected );
+							button.toggleDisabled();
+						}
+					);
+				},
+			}
+		);
+
+		const AttachmentsBrowser    = media.view.AttachmentsBrowser;
+		const originalCreateToolbar = AttachmentsBrowser.prototype.createToolbar;
+
+		AttachmentsBrowser.prototype.createToolbar = function () {
+			originalCreateToolbar.apply( this, arguments );
+
+			if ( this.controller.isModeActive( 'grid' ) ) {
+				this.toolbar.set(
+					'aiGenerateAltText',
+					new GenerateSelectedButton(
+						{
+							text: strings.generateSelected,
+							controller: this.controller,
+							disabled: true,
+							priority: -75,
+						}
+					).render()
+				);
+			}
+		};
+	}
+
+	/**
+	 * Runs a batch job started from the list table bulk actions.
+	 */
+	function runListTableBatch( jobId ) {
+		const $notice   = $( '<div class="notice notice-info ai-alt-text-batch-notice"><p></p><progress value="0" max="1" style="width: 100%;"></progress></div>' );
+		const $message  = $notice.find( 'p' );
+		const $progress = $notice.find( 'progress' );
+
+		$notice.insertAfter( $( '.wp-header-end' ).first() );
+		$message.text( strings.processing );
+
+		// Drop the job from the URL so reloading the page does not resume it.
+		if (window.history?.replaceState) {
+			const url = new URL( window.location.href );
+			url.searchParams.delete( 'jp_wp_ai_alt_text_job' );
+			window.history.replaceState( null, '', url.toString() );
+		}
+
+		processBatch(
+			jobId,
+			function (progress) {
+				$progress.attr( { value: progress.processed, max: progress.total || 1 } );
+				$message.text( format( strings.batchProgress, progress.processed, progress.total ) );
+			}
+		).then(
+			function (progress) {
+				$notice.removeClass( 'notice-info' ).addClass( progress.failed ? 'notice-warning' : 'notice-success' );
+				$progress.remove();
+				$message.text( format( strings.batchComplete, progress.generated, progress.skipped, progress.failed ) );
+			},
+			function (xhr) {
+				$notice.removeClass( 'notice-info' ).addClass( 'notice-error' );
+				$progress.remove();
+				$message.text( getErrorMessage( xhr ) );
+			}
+		);
+	}
+
+	// Extend the media views right away, before the grid or modal is created
+	// on DOM ready.
+	extendMediaViews();
+
 	$( document ).ready(
 		function () {
+			if (settings.batchJob) {
+				runListTableBatch( settings.batchJob );
+			}
+
 			// Handle generate button click in media library.
 			$( document ).on(
 				'click',
@@ -19,50 +392,49 @@
 					const $button      = $( this );
 					const $status      = $button.siblings( '.ai-alt-text-status' );
 					const attachmentId = $button.data( 'attachment-id' );
-					const $altField    = $button.closest( 'tr' ).find( 'input[id^="attachments-"][id$="-image_alt"]' );
+					const $altField    = $button.closest( 'tr' ).length
+						? $button.closest( 'tr' ).find( 'input[id^="attachments-"][id$="-image_alt"]' )
+						: $button.closest( '.attachment-info, .attachment-details' ).find( '.setting[data-setting="alt"] textarea' );
 
 					if ( ! attachmentId) {
-						$status.html( '<span style="color: red;">Invalid attachment ID.</span>' );
+						$status.html( $( '<span style="color: red;"></span>' ).text( strings.invalidId ) );
 						return;
 					}
 
 					// Update button state.
-					$button.prop( 'disabled', true ).text( 'Generating...' );
-					$status.html( '<span style="color: #666;">Processing...</span>' );
+					$button.prop( 'disabled', true ).text( strings.generating );
+					$status.html( $( '<span style="color: #666;"></span>' ).text( strings.processing ) );
 
 					// Make AJAX request.
-					$.ajax(
-						{
-							url: ajaxurl,
-							type: 'POST',
-							data: {
-								action: 'ai_generate_alt_text',
-								nonce: window.aiAltTextGenerator?.nonce || '',
-								attachment_id: attachmentId,
-							},
-							success: function (response) {
-								if (response.success && response.data.alt_text) {
-									// Update the alt text field.
-									$altField.val( response.data.alt_text );
-									$status.html( '<span style="color: green;">✓ Generated!</span>' );
-
-									// Trigger change event to mark field as modified.
-									$altField.trigger( 'change' );
-								} else {
-									const message = response.data?.message || 'Failed to generate alt text.';
-									$status.html( '<span style="color: red;">' + message + '</span>' );
-								}
-							},
-							error: function (xhr) {
-								let message = 'An unexpected error occurred.';
-								if (xhr.responseJSON?.data?.message) {
-									message = xhr.responseJSON.data.message;
-								}
-								$status.html( '<span style="color: red;">' + message + '</span>' );
-							},
-							complete: function () {
-								$button.prop( 'disabled', false ).text( 'Generate Alt Text' );
-							},
+					requestAltText( attachmentId ).done(
+						function (response) {
+							if (response.success && response.data.alt_text) {
+								// Update the alt text field.
+								$altField.val( response.data.alt_text );
+								$status.html( $( '<span style="color: green;"></span>' ).text( strings.generated ) );
+
+								// Trigger change event to mark field as modified.
+								$altField.trigger( 'change' );
+
+								updateAttachmentModel(
+									{
+										status: 'generated',
+										attachment_id: attachmentId,
+										alt_text: response.data.alt_text,
+									}
+								);
+							} else {
+								const message = response.data?.message || strings.failed;
+								$status.html( $( '<span style="color: red;"></span>' ).text( message ) );
+							}
+						}
+					).fail(
+						function (xhr) {
+							$status.html( $( '<span style="color: red;"></span>' ).text( getErrorMessage( xhr ) ) );
+						}
+					).always(
+						function () {
+							$button.prop( 'disabled', false ).text( strings.generate );
 						}
 					);
 				}
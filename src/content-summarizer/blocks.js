@@ -0,0 +1,161 @@
+/**
+ * Content Summarizer - Summary blocks
+ *
+ * Builds the block markup for an inserted summary and finds summaries that
+ * were inserted before.
+ */
+
+import { __ } from '@wordpress/i18n';
+import { createBlock } from '@wordpress/blocks';
+import { escapeHTML } from '@wordpress/escape-html';
+
+/**
+ * Class name that tags the group block holding an inserted summary.
+ */
+export const SUMMARY_CLASS_NAME = 'jp-wp-ai-summary';
+
+/**
+ * Matches a bullet or numbered list marker at the start of a line.
+ */
+const LIST_ITEM_PATTERN = /^\s*(?:[-*•]|\d+[.)])\s+/;
+
+/**
+ * Class name that tags the group block holding a recap of selected blocks.
+ */
+export const RECAP_CLASS_NAME = 'jp-wp-ai-recap';
+
+/**
+ * Creates the content blocks for a summary.
+ *
+ * Summaries written as a list become a list block, anything else one
+ * paragraph per text block.
+ *
+ * @param {string} summary The summary text.
+ * @return {Object} The blocks and whether the summary is a list.
+ */
+const createContentBlocks = (summary) => {
+	const lines = summary
+		.split('\n')
+		.map((line) => line.trim())
+		.filter(Boolean);
+	const isList =
+		lines.length > 1 && lines.every((line) => LIST_ITEM_PATTERN.test(line));
+
+	if (isList) {
+		return {
+			isList,
+			blocks: [
+				createBlock(
+					'core/list',
+					{},
+					lines.map((line) =>
+						createBlock('core/list-item', {
+							content: escapeHTML(line.replace(LIST_ITEM_PATTERN, '')),
+						})
+					)
+				),
+			],
+		};
+	}
+
+	return {
+		isList,
+		blocks: summary
+			.split(/\n\s*\n/)
+			.map((paragraph) => paragraph.trim())
+			.filter(Boolean)
+			.map((paragraph) =>
+				createBlock('core/paragraph', {
+					content: escapeHTML(paragraph).replace(/\n/g, '<br>'),
+				})
+			),
+	};
+};
+
+/**
+ * Creates the tagged group block for a summary.
+ *
+ * Summaries written as a list get a "Key takeaways" heading, anything else a
+ * "Summary" heading.
+ *
+ * @param {string} summary The summary text.
+ * @return {Object} The group block.
+ */
+export const createSummaryBlock = (summary) => {
+	const { isList, blocks } = createContentBlocks(summary);
+
+	const innerBlocks = [
+		createBlock('core/heading', {
+			level: 2,
+			content: isList
+				? __('Key takeaways', 'ai')
+				: __('Summary', 'ai'),
+		}),
+		...blocks,
+	];
+
+	return createBlock(
+		'core/group',
+		{
+			className: SUMMARY_CLASS_NAME,
+			metadata: { name: __('AI Summary', 'ai') },
+			layout: { type: 'constrained' },
+			style: {
+				border: { width: '1px', style: 'solid', radius: '4px' },
+				spacing: {
+					padding: {
+						top: '1.5em',
+						right: '1.5em',
+						bottom: '1.5em',
+						left: '1.5em',
+					},
+				},
+			},
+		},
+		innerBlocks
+	);
+};
+
+/**
+ * Creates the group block for a recap of some of the post's blocks.
+ *
+ * Unlike the post summary it has no heading and is not replaced when the
+ * post summary is inserted again.
+ *
+ * @param {string} summary The recap text.
+ * @return {Object} The group block.
+ */
+export const createRecapBlock = (summary) =>
+	createBlock(
+		'core/group',
+		{
+			className: RECAP_CLASS_NAME,
+			metadata: { name: __('AI Recap', 'ai') },
+			layout: { type: 'constrained' },
+		},
+		createContentBlocks(summary).blocks
+	);
+
+/**
+ * Recursively finds a summary block inserted earlier.
+ *
+ * @param {Array} blocks Blocks to search.
+ * @return {Object|undefined} The summary group block, if any.
+ */
+export const findSummaryBlock = (blocks) => {
+	for (const block of blocks) {
+		const classNames = (block.attributes.className || '').split(/\s+/);
+
+		if (block.name === 'core/group' && classNames.includes(SUMMARY_CLASS_NAME)) {
+			return block;
+		}
+
+		const innerMatch = findSummaryBlock(block.innerBlocks || []);
+
+		if (innerMatch) {
+			return innerMatch;
+		}
+	}
+
+	return undefined;
+};
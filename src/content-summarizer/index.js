@@ -4,29 +4,61 @@
  * Adds sidebar panel for content summarization.
  */
 
-import { __ } from '@wordpress/i18n';
+import { __, sprintf } from '@wordpress/i18n';
 import { registerPlugin } from '@wordpress/plugins';
 import { PluginSidebar, PluginSidebarMoreMenuItem } from '@wordpress/editor';
-import { PanelBody, Button, TextControl, Notice } from '@wordpress/components';
+import {
+	PanelBody,
+	Button,
+	TextControl,
+	SelectControl,
+	RangeControl,
+	ToggleControl,
+	Notice,
+} from '@wordpress/components';
 import { useSelect, useDispatch } from '@wordpress/data';
-import { useState } from '@wordpress/element';
+import { useState, useRef, useMemo } from '@wordpress/element';
 import { serialize } from '@wordpress/blocks';
 import apiFetch from '@wordpress/api-fetch';
 
+import { streamSummary } from './stream';
+import { createSummaryBlock, findSummaryBlock } from './blocks';
+import MetaTargets from './meta-targets';
+import './selection-summary';
+
+const { styles = {}, maxVariants = 3 } = window.aiContentSummarizer || {};
+
+/**
+ * Styles with a fixed character limit, where a word count does not apply.
+ */
+const CHARACTER_LIMITED_STYLES = ['meta_description', 'social'];
+
 const ContentSummarizerPanel = () => {
 	const [maxLength, setMaxLength] = useState(50);
-	const [summary, setSummary] = useState('');
+	const [style, setStyle] = useState('excerpt');
+	const [variantCount, setVariantCount] = useState(1);
+	const [variants, setVariants] = useState([]);
+	const [selectedVariant, setSelectedVariant] = useState(0);
 	const [isGenerating, setIsGenerating] = useState(false);
 	const [error, setError] = useState(null);
+	const [isStreaming, setIsStreaming] = useState(true);
+	const [placement, setPlacement] = useState('top');
+	const abortControllerRef = useRef(null);
 
 	// Get current post content.
 	const blocks = useSelect((select) => {
 		return select('core/block-editor').getBlocks();
 	}, []);
+	const postId = useSelect((select) => select('core/editor').getCurrentPostId(), []);
 
 	const { editPost } = useDispatch('core/editor');
-	const { insertBlocks } = useDispatch('core/block-editor');
-	const { createBlock } = wp.blocks;
+	const { insertBlocks, replaceBlock } = useDispatch('core/block-editor');
+	const { getSelectedBlockClientId, getBlockRootClientId, getBlockIndex } =
+		useSelect((select) => select('core/block-editor'), []);
+
+	const existingSummaryBlock = useMemo(() => findSummaryBlock(blocks), [blocks]);
+
+	const summary = variants[selectedVariant] || '';
 
 	const handleGenerateSummary = async () => {
 		// Serialize blocks to HTML content.
@@ -39,7 +71,13 @@ const ContentSummarizerPanel = () => {
 
 		setIsGenerating(true);
 		setError(null);
-		setSummary('');
+		setVariants([]);
+		setSelectedVariant(0);
+
+		if (isStreaming) {
+			await generateStreamingSummary(content);
+			return;
+		}
 
 		try {
 			const response = await apiFetch({
@@ -49,12 +87,15 @@ const ContentSummarizerPanel = () => {
 					input: {
 						content: content,
 						max_length: parseInt(maxLength, 10),
+						style,
+						variants: variantCount,
+						post_id: Number(postId) || 0,
 					},
 				},
 			});
 
 			if (response && response.summary) {
-				setSummary(response.summary);
+				setVariants(response.variants || [response.summary]);
 			} else {
 				setError(__('Failed to generate summary', 'ai'));
 			}
@@ -66,6 +107,45 @@ const ContentSummarizerPanel = () => {
 		}
 	};
 
+	const generateStreamingSummary = async (content) => {
+		const abortController = new AbortController();
+		abortControllerRef.current = abortController;
+
+		try {
+			const result = await streamSummary({
+				content,
+				maxLength: parseInt(maxLength, 10),
+				style,
+				variants: variantCount,
+				postId,
+				signal: abortController.signal,
+				onDelta: (text, index) =>
+					setVariants((current) => {
+						const next = [...current];
+						next[index] = (next[index] || '') + text;
+						return next;
+					}),
+			});
+
+			setVariants(result.variants || [result.summary]);
+		} catch (err) {
+			// Stopping keeps the partial summary that has arrived so far.
+			if (err.name !== 'AbortError') {
+				console.error('Summary generation error:', err);
+				setError(err.message || __('An error occurred', 'ai'));
+			}
+		} finally {
+			abortControllerRef.current = null;
+			setIsGenerating(false);
+		}
+	};
+
+	const handleStop = () => {
+		if (abortControllerRef.current) {
+			abortControllerRef.current.abort();
+		}
+	};
+
 	const handleCopyToClipboard = () => {
 		navigator.clipboard.writeText(summary).then(() => {
 			// Could add a temporary success message here.
@@ -78,12 +158,61 @@ const ContentSummarizerPanel = () => {
 		alert(__('Summary set as post excerpt!', 'ai'));
 	};
 
-	const handleInsertAtTop = () => {
-		const paragraphBlock = createBlock('core/paragraph', {
-			content: summary,
-		});
-		insertBlocks(paragraphBlock, 0);
-		alert(__('Summary inserted at the top!', 'ai'));
+	/**
+	 * Gets the root and index where a new summary block goes.
+	 *
+	 * @return {Object|null} Insertion point, or null if it cannot be found.
+	 */
+	const getInsertionPoint = () => {
+		switch (placement) {
+			case 'after-first-paragraph': {
+				const index = blocks.findIndex(
+					(block) => block.name === 'core/paragraph'
+				);
+				return { rootClientId: undefined, index: index + 1 };
+			}
+			case 'selected': {
+				const clientId = getSelectedBlockClientId();
+
+				if (!clientId) {
+					return null;
+				}
+
+				return {
+					rootClientId: getBlockRootClientId(clientId) || undefined,
+					index: getBlockIndex(clientId) + 1,
+				};
+			}
+			case 'end':
+				return { rootClientId: undefined, index: blocks.length };
+			default:
+				return { rootClientId: undefined, index: 0 };
+		}
+	};
+
+	const handleInsertSummary = () => {
+		const summaryBlock = createSummaryBlock(summary);
+
+		// Re-running the summarizer replaces the summary inserted earlier.
+		if (existingSummaryBlock) {
+			replaceBlock(existingSummaryBlock.clientId, summaryBlock);
+			alert(__('Summary block updated!', 'ai'));
+			return;
+		}
+
+		const insertionPoint = getInsertionPoint();
+
+		if (!insertionPoint) {
+			setError(__('Select a block to insert the summary after.', 'ai'));
+			return;
+		}
+
+		insertBlocks(
+			summaryBlock,
+			insertionPoint.index,
+			insertionPoint.rootClientId
+		);
+		alert(__('Summary inserted!', 'ai'));
 	};
 
 	return (
@@ -95,26 +224,61 @@ const ContentSummarizerPanel = () => {
 				)}
 			</p>
 
-			<TextControl
-				label={__('Summary Length (words)', 'ai')}
-				type="number"
-				min={10}
-				max={200}
-				value={maxLength}
-				onChange={(value) => setMaxLength(value)}
-				help={__('Approximate number of words in the summary.', 'ai')}
+			<SelectControl
+				label={__('Summary Style', 'ai')}
+				value={style}
+				options={Object.entries(styles).map(([value, label]) => ({
+					value,
+					label,
+				}))}
+				onChange={setStyle}
+			/>
+
+			{!CHARACTER_LIMITED_STYLES.includes(style) && (
+				<TextControl
+					label={__('Summary Length (words)', 'ai')}
+					type="number"
+					min={10}
+					max={200}
+					value={maxLength}
+					onChange={(value) => setMaxLength(value)}
+					help={__('Approximate number of words in the summary.', 'ai')}
+				/>
+			)}
+
+			<RangeControl
+				label={__('Variants', 'ai')}
+				value={variantCount}
+				onChange={(value) => setVariantCount(value || 1)}
+				min={1}
+				max={maxVariants}
+				help={__('Generate several versions to pick from.', 'ai')}
 			/>
 
-			<Button
-				variant="primary"
-				onClick={handleGenerateSummary}
+			<ToggleControl
+				label={__('Stream the summary as it is written', 'ai')}
+				checked={isStreaming}
+				onChange={setIsStreaming}
 				disabled={isGenerating}
-				isBusy={isGenerating}
-			>
-				{isGenerating
-					? __('Generating...', 'ai')
-					: __('Generate Summary', 'ai')}
-			</Button>
+			/>
+
+			<div style={{ display: 'flex', gap: '8px' }}>
+				<Button
+					variant="primary"
+					onClick={handleGenerateSummary}
+					disabled={isGenerating}
+					isBusy={isGenerating}
+				>
+					{isGenerating
+						? __('Generating...', 'ai')
+						: __('Generate Summary', 'ai')}
+				</Button>
+				{isGenerating && isStreaming && (
+					<Button variant="secondary" onClick={handleStop}>
+						{__('Stop', 'ai')}
+					</Button>
+				)}
+			</div>
 
 			{error && (
 				<Notice status="error" isDismissible={false} style={{ marginTop: '10px' }}>
@@ -122,31 +286,108 @@ const ContentSummarizerPanel = () => {
 				</Notice>
 			)}
 
-			{summary && (
+			{variants.length > 0 && (
 				<div style={{ marginTop: '15px' }}>
-					<h4>{__('Generated Summary:', 'ai')}</h4>
+					<h4>
+						{variants.length > 1
+							? __('Generated Summaries:', 'ai')
+							: __('Generated Summary:', 'ai')}
+					</h4>
 					<div
 						style={{
-							padding: '10px',
-							background: '#f0f0f1',
-							borderRadius: '4px',
+							display: 'flex',
+							flexWrap: 'wrap',
+							gap: '8px',
 							marginBottom: '10px',
 						}}
 					>
-						{summary}
+						{variants.map((variant, index) => (
+							<div
+								key={index}
+								style={{
+									flex: '1 1 200px',
+									padding: '10px',
+									background: '#f0f0f1',
+									borderRadius: '4px',
+									border:
+										variants.length > 1 && index === selectedVariant
+											? '2px solid var(--wp-admin-theme-color, #3858e9)'
+											: '2px solid transparent',
+									whiteSpace: 'pre-line',
+								}}
+							>
+								{variant}
+								<p style={{ margin: '8px 0 0', color: '#757575', fontSize: '12px' }}>
+									{sprintf(
+										/* translators: 1: Number of words, 2: Number of characters. */
+										__('%1$d words, %2$d characters', 'ai'),
+										variant.trim().split(/\s+/).filter(Boolean).length,
+										variant.length
+									)}
+								</p>
+								{variants.length > 1 && !isGenerating && (
+									<Button
+										variant="link"
+										onClick={() => setSelectedVariant(index)}
+										disabled={index === selectedVariant}
+									>
+										{index === selectedVariant
+											? __('Selected', 'ai')
+											: __('Use this one', 'ai')}
+									</Button>
+								)}
+							</div>
+						))}
 					</div>
 
-					<div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
-						<Button variant="secondary" onClick={handleCopyToClipboard}>
-							{__('Copy', 'ai')}
-						</Button>
-						<Button variant="secondary" onClick={handleSetAsExcerpt}>
-							{__('Set as Excerpt', 'ai')}
-						</Button>
-						<Button variant="secondary" onClick={handleInsertAtTop}>
-							{__('Insert at Top', 'ai')}
-						</Button>
-					</div>
+					{!isGenerating && (
+						<div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+							<Button variant="secondary" onClick={handleCopyToClipboard}>
+								{__('Copy', 'ai')}
+							</Button>
+							<Button variant="secondary" onClick={handleSetAsExcerpt}>
+								{__('Set as Excerpt', 'ai')}
+							</Button>
+						</div>
+					)}
+
+					{!isGenerating && <MetaTargets summary={summary} />}
+
+					{!isGenerating && (
+						<div style={{ marginTop: '15px' }}>
+							{existingSummaryBlock ? (
+								<p>
+									{__(
+										'This post already has a summary block. Inserting will update it.',
+										'ai'
+									)}
+								</p>
+							) : (
+								<SelectControl
+									label={__('Insert Position', 'ai')}
+									value={placement}
+									options={[
+										{ value: 'top', label: __('Top of the post', 'ai') },
+										{
+											value: 'after-first-paragraph',
+											label: __('After the first paragraph', 'ai'),
+										},
+										{
+											value: 'selected',
+											label: __('After the selected block', 'ai'),
+										},
+										{ value: 'end', label: __('End of the post', 'ai') },
+									]}
+									onChange={setPlacement}
+								/>
+							)}
+							<Button variant="secondary" onClick={handleInsertSummary}>
+								{existingSummaryBlock
+									? __('Update Summary Block', 'ai')
+									: __('Insert Summary Block', 'ai')}
+							</Button>
+						</div>
+					)}
 				</div>
 			)}
 		</PanelBody>
@@ -0,0 +1,131 @@
+/**
+ * Content Summarizer - SEO and Open Graph targets
+ *
+ * Buttons that write the selected summary into description post meta, for
+ * every target field registered in the editor's post meta, or into the
+ * editor store of the SEO plugin that owns the field.
+ */
+
+import { __, sprintf } from '@wordpress/i18n';
+import { Button } from '@wordpress/components';
+import { useSelect, useDispatch, dispatch } from '@wordpress/data';
+
+const { metaTargets = [] } = window.aiContentSummarizer || {};
+
+/**
+ * Shortens text to a character limit at a word boundary.
+ *
+ * @param {string} text  Text to shorten.
+ * @param {number} limit Maximum number of characters, including the ellipsis.
+ * @return {string} Shortened text.
+ */
+const trimToLimit = (text, limit) => {
+	const clipped = text.slice(0, limit - 1);
+	const lastSpace = clipped.lastIndexOf(' ');
+
+	return (lastSpace > 0 ? clipped.slice(0, lastSpace) : clipped) + '…';
+};
+
+/**
+ * Gets the store action that sets an SEO plugin field.
+ *
+ * @param {Object} target Target, see get_meta_targets().
+ * @return {Function|null} The action, or null if the store does not have it.
+ */
+const getStoreAction = (target) => {
+	try {
+		const actions = dispatch(target.store);
+
+		return actions && typeof actions[target.action] === 'function'
+			? actions[target.action]
+			: null;
+	} catch (error) {
+		// The SEO plugin is not loaded in this editor.
+		return null;
+	}
+};
+
+const MetaTargets = ({ summary }) => {
+	const meta = useSelect(
+		(select) => select('core/editor').getEditedPostAttribute('meta'),
+		[]
+	);
+	const { editPost } = useDispatch('core/editor');
+
+	// Only offer fields the editor can actually save.
+	const targets = metaTargets.filter((target) =>
+		target.store
+			? getStoreAction(target)
+			: meta && Object.prototype.hasOwnProperty.call(meta, target.key)
+	);
+
+	if (!targets.length) {
+		return null;
+	}
+
+	const text = summary.replace(/\s+/g, ' ').trim();
+
+	const handleSet = (target, value) => {
+		if (target.store) {
+			// The SEO plugin saves the field from its store along with the post.
+			const action = getStoreAction(target);
+			action(target.argument ? { [target.argument]: value } : value);
+		} else {
+			editPost({ meta: { [target.key]: value } });
+		}
+
+		alert(
+			sprintf(
+				/* translators: %s: Field label. */
+				__('Summary set as %s!', 'ai'),
+				target.label
+			)
+		);
+	};
+
+	return (
+		<div style={{ marginTop: '15px' }}>
+			<h4>{__('SEO & Social', 'ai')}</h4>
+			{targets.map((target) => {
+				const isTooLong = text.length > target.limit;
+
+				return (
+					<div key={target.key} style={{ marginBottom: '10px' }}>
+						<p style={{ margin: '0 0 4px' }}>
+							<strong>{target.label}</strong>{' '}
+							<span style={{ color: isTooLong ? '#cc1818' : '#757575' }}>
+								{sprintf(
+									/* translators: 1: Summary length, 2: Field character limit. */
+									__('%1$d / %2$d characters', 'ai'),
+									text.length,
+									target.limit
+								)}
+							</span>
+						</p>
+						<div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+							<Button
+								variant="secondary"
+								onClick={() => handleSet(target, text)}
+								disabled={isTooLong}
+							>
+								{__('Set', 'ai')}
+							</Button>
+							{isTooLong && (
+								<Button
+									variant="tertiary"
+									onClick={() =>
+										handleSet(target, trimToLimit(text, target.limit))
+									}
+								>
+									{__('Trim to fit and set', 'ai')}
+								</Button>
+							)}
+						</div>
+					</div>
+				);
+			})}
+		</div>
+	);
+};
+
+export default MetaTargets;
@@ -0,0 +1,131 @@
+/**
+ * Content Summarizer - Selected blocks
+ *
+ * Adds a block settings menu action that summarizes only the selected blocks
+ * and inserts the recap right after them.
+ */
+
+import { __, _n, sprintf } from '@wordpress/i18n';
+import { registerPlugin } from '@wordpress/plugins';
+import { BlockSettingsMenuControls } from '@wordpress/block-editor';
+import { MenuItem } from '@wordpress/components';
+import { select, dispatch } from '@wordpress/data';
+import { serialize } from '@wordpress/blocks';
+import apiFetch from '@wordpress/api-fetch';
+
+import { createRecapBlock } from './blocks';
+
+/**
+ * Notice ID shared by the progress, success and error notices.
+ */
+const NOTICE_ID = 'ai-summarize-selection';
+
+/**
+ * Client IDs of blocks whose recap is being generated.
+ */
+const pendingClientIds = new Set();
+
+/**
+ * Summarizes blocks and inserts the recap after the last of them.
+ *
+ * Works on the stores directly rather than component state, because the menu
+ * closes, and the menu item unmounts, while the request is running.
+ *
+ * @param {string[]} clientIds Client IDs of the selected blocks, in order.
+ */
+const summarizeBlocks = async (clientIds) => {
+	const blockEditor = select('core/block-editor');
+	const { createInfoNotice, createSuccessNotice, createErrorNotice } =
+		dispatch('core/notices');
+
+	const content = serialize(blockEditor.getBlocksByClientId(clientIds));
+
+	if (!content.trim()) {
+		createErrorNotice(__('The selected blocks have no content to summarize.', 'ai'), {
+			id: NOTICE_ID,
+			type: 'snackbar',
+		});
+		return;
+	}
+
+	clientIds.forEach((clientId) => pendingClientIds.add(clientId));
+	createInfoNotice(__('Summarizing the selected blocks…', 'ai'), {
+		id: NOTICE_ID,
+		type: 'snackbar',
+	});
+
+	try {
+		const response = await apiFetch({
+			path: '/wp-abilities/v1/abilities/ai/summarize-content/run',
+			method: 'POST',
+			data: {
+				input: {
+					content,
+					max_length: 50,
+					style: 'excerpt',
+					post_id: Number(select('core/editor').getCurrentPostId()) || 0,
+				},
+			},
+		});
+
+		if (!response || !response.summary) {
+			throw new Error(__('Failed to generate summary', 'ai'));
+		}
+
+		// Look the position up again, the blocks may have moved meanwhile.
+		const lastClientId = clientIds[clientIds.length - 1];
+		const rootClientId = blockEditor.getBlockRootClientId(lastClientId);
+		const index = blockEditor.getBlockIndex(lastClientId);
+
+		if (index === -1) {
+			throw new Error(
+				__('The selected blocks were removed before the summary was ready.', 'ai')
+			);
+		}
+
+		dispatch('core/block-editor').insertBlocks(
+			createRecapBlock(response.summary),
+			index + 1,
+			rootClientId
+		);
+		createSuccessNotice(__('Recap inserted after the selected blocks.', 'ai'), {
+			id: NOTICE_ID,
+			type: 'snackbar',
+		});
+	} catch (err) {
+		console.error('Summary generation error:', err);
+		createErrorNotice(err.message || __('An error occurred', 'ai'), {
+			id: NOTICE_ID,
+			type: 'snackbar',
+		});
+	} finally {
+		clientIds.forEach((clientId) => pendingClientIds.delete(clientId));
+	}
+};
+
+const SummarizeSelectionMenuItem = () => (
+	<BlockSettingsMenuControls>
+		{({ selectedClientIds, onClose }) => (
+			<MenuItem
+				icon="admin-customizer"
+				disabled={selectedClientIds.some((clientId) =>
+					pendingClientIds.has(clientId)
+				)}
+				onClick={() => {
+					summarizeBlocks(selectedClientIds);
+					onClose();
+				}}
+			>
+				{sprintf(
+					/* translators: %d: Number of selected blocks. */
+					_n('Summarize block', 'Summarize %d blocks', selectedClientIds.length, 'ai'),
+					selectedClientIds.length
+				)}
+			</MenuItem>
+		)}
+	</BlockSettingsMenuControls>
+);
+
+registerPlugin('ai-summarize-selection', {
+	render: SummarizeSelectionMenuItem,
+});
@@ -0,0 +1,125 @@
+/**
+ * Content Summarizer - Streaming client
+ *
+ * Reads the server-sent events of the streaming summary endpoint.
+ */
+
+import { __ } from '@wordpress/i18n';
+import apiFetch from '@wordpress/api-fetch';
+
+/**
+ * Parses a single server-sent event block.
+ *
+ * @param {string} block Event text without the trailing blank line.
+ * @return {Object} Event with `type` and parsed `data`.
+ */
+const parseEvent = (block) => {
+	const event = { type: 'message', data: null };
+	const dataLines = [];
+
+	block.split('\n').forEach((line) => {
+		if (line.startsWith('event:')) {
+			event.type = line.slice(6).trim();
+		} else if (line.startsWith('data:')) {
+			dataLines.push(line.slice(5).trim());
+		}
+	});
+
+	if (dataLines.length) {
+		event.data = JSON.parse(dataLines.join('\n'));
+	}
+
+	return event;
+};
+
+/**
+ * Streams a summary from the server.
+ *
+ * @param {Object}      options           Options.
+ * @param {string}      options.content   Content to summarize.
+ * @param {number}      options.maxLength Approximate summary length in words.
+ * @param {string}      options.style     Summary style.
+ * @param {number}      options.variants  Number of alternative summaries.
+ * @param {number}      options.postId    ID of the post being edited, for
+ *                                        usage tracking.
+ * @param {AbortSignal} options.signal    Signal to stop the request.
+ * @param {Function}    options.onDelta   Called with each text fragment and
+ *                                        the index of its variant.
+ * @return {Promise<Object>} The final result with `summary`, `word_count`
+ *                           and `variants`.
+ */
+export const streamSummary = async ({
+	content,
+	maxLength,
+	style,
+	variants,
+	postId,
+	signal,
+	onDelta,
+}) => {
+	let response;
+
+	try {
+		response = await apiFetch({
+			path: '/jp-wp-ai/v1/summarize/stream',
+			method: 'POST',
+			data: {
+				content,
+				max_length: maxLength,
+				style,
+				variants,
+				post_id: Number(postId) || 0,
+			},
+			parse: false,
+			signal,
+		});
+	} catch (err) {
+		// Without parsing, apiFetch rejects with the raw Response on HTTP errors.
+		if (err instanceof window.Response) {
+			const body = await err.json().catch(() => ({}));
+			throw new Error(body.message || __('An error occurred', 'ai'));
+		}
+		throw err;
+	}
+
+	const reader = response.body.getReader();
+	const decoder = new TextDecoder();
+	let buffer = '';
+	let result = null;
+
+	while (true) {
+		const { value, done } = await reader.read();
+
+		if (done) {
+			break;
+		}
+
+		buffer = (buffer + decoder.decode(value, { stream: true })).replace(
+			/\r\n/g,
+			'\n'
+		);
+
+		let boundary = buffer.indexOf('\n\n');
+
+		while (boundary !== -1) {
+			const event = parseEvent(buffer.slice(0, boundary));
+			buffer = buffer.slice(boundary + 2);
+
+			if (event.type === 'delta') {
+				onDelta(event.data.text, event.data.index);
+			} else if (event.type === 'done') {
+				result = event.data;
+			} else if (event.type === 'error') {
+				throw new Error(event.data.message);
+			}
+
+			boundary = buffer.indexOf('\n\n');
+		}
+	}
+
+	if (!result) {
+		throw new Error(__('The summary stream ended unexpectedly.', 'ai'));
+	}
+
+	return result;
+};
@@ -1,51 +1,320 @@
 /**
  * Content Translator Block - Editor Component
  *
- * Shows a preview of the language selector in the block editor.
+ * Shows a preview of the language selector in the block editor, with its
+ * languages, layout and labels configurable in the block settings.
  */
 
 import { __ } from '@wordpress/i18n';
 import { registerBlockType } from '@wordpress/blocks';
-import { useBlockProps } from '@wordpress/block-editor';
+import { useBlockProps, InspectorControls } from '@wordpress/block-editor';
+import {
+	PanelBody,
+	Button,
+	SelectControl,
+	TextControl,
+	ToggleControl,
+} from '@wordpress/components';
 
 import metadata from './block.json';
+import './translations-panel';
+import './no-translate-format';
+
+const { languages: supportedLanguages = {}, regions: defaultSelectors = {} } =
+	window.aiContentTranslatorEditor || {};
+
+const LAYOUT_OPTIONS = [
+	{ value: 'dropdown', label: __('Dropdown', 'jp-wp-ai') },
+	{ value: 'pills', label: __('Pill list', 'jp-wp-ai') },
+	{ value: 'links', label: __('Inline links', 'jp-wp-ai') },
+];
+
+const REGION_OPTIONS = [
+	{
+		value: 'meta',
+		label: __('Post meta', 'jp-wp-ai'),
+		help: __('The excerpt, categories, tags and date.', 'jp-wp-ai'),
+	},
+	{
+		value: 'comments',
+		label: __('Comments', 'jp-wp-ai'),
+		help: __('Each comment is translated and cached on its own.', 'jp-wp-ai'),
+	},
+	{
+		value: 'widgets',
+		label: __('Widgets', 'jp-wp-ai'),
+		help: __('Sidebar and footer widgets, cached for the whole site.', 'jp-wp-ai'),
+	},
+	{
+		value: 'navigation',
+		label: __('Navigation menus', 'jp-wp-ai'),
+		help: __('Menus and navigation blocks, cached for the whole site.', 'jp-wp-ai'),
+	},
+];
+
+/**
+ * Moves an item of an array to another position.
+ *
+ * @param {Array}  items Items.
+ * @param {number} from  Current index.
+ * @param {number} to    New index.
+ * @return {Array} A new array.
+ */
+const moveItem = (items, from, to) => {
+	const next = [...items];
+	next.splice(to, 0, next.splice(from, 1)[0]);
+	return next;
+};
+
+/**
+ * Settings for which languages are offered, and in which order.
+ */
+const LanguageSettings = ({ languages, onChange, cachedOnly, onChangeCachedOnly }) => {
+	const available = Object.keys(supportedLanguages).filter(
+		(code) => !languages.includes(code)
+	);
+
+	return (
+		<PanelBody title={__('Languages', 'jp-wp-ai')}>
+			<ul style={{ margin: '0 0 16px' }}>
+				{languages.map((code, index) => (
+					<li
+						key={code}
+						style={{ display: 'flex', alignItems: 'center', gap: '4px' }}
+					>
+						<span style={{ flex: 1 }}>{supportedLanguages[code]}</span>
+						<Button
+							icon="arrow-up-alt2"
+							label={__('Move up', 'jp-wp-ai')}
+							size="small"
+							disabled={index === 0}
+							onClick={() => onChange(moveItem(languages, index, index - 1))}
+						/>
+						<Button
+							icon="arrow-down-alt2"
+							label={__('Move down', 'jp-wp-ai')}
+							size="small"
+							disabled={index === languages.length - 1}
+							onClick={() => onChange(moveItem(languages, index, index + 1))}
+						/>
+						<Button
+							icon="no-alt"
+							label={__('Remove', 'jp-wp-ai')}
+							size="small"
+							disabled={languages.length === 1}
+							onClick={() =>
+								onChange(languages.filter((language) => language !== code))
+							}
+						/>
+					</li>
+				))}
+			</ul>
+			{available.length > 0 && (
+				<SelectControl
+					label={__('Add a language', 'jp-wp-ai')}
+					value=""
+					options={[
+						{ value: '', label: __('Select a language', 'jp-wp-ai') },
+						...available.map((code) => ({
+							value: code,
+							label: supportedLanguages[code],
+						})),
+					]}
+					onChange={(code) => code && onChange([...languages, code])}
+				/>
+			)}
+			<ToggleControl
+				label={__('Only offer translated languages', 'jp-wp-ai')}
+				help={__(
+					'Visitors only see the languages this page has already been translated into, and never start a new translation. Generate translations from the Translations sidebar.',
+					'jp-wp-ai'
+				)}
+				checked={cachedOnly}
+				onChange={onChangeCachedOnly}
+			/>
+		</PanelBody>
+	);
+};
+
+/**
+ * Settings for which parts of the page are translated, and where the theme
+ * puts them.
+ */
+const RegionSettings = ({ regions, selectors, onChange }) => {
+	const selectorControl = (region) => (
+		<TextControl
+			label={__('CSS selector', 'jp-wp-ai')}
+			help={__("Leave empty to use the theme's default.", 'jp-wp-ai')}
+			value={selectors[region] || ''}
+			placeholder={(defaultSelectors[region] || []).join(', ')}
+			onChange={(value) =>
+				onChange({ regionSelectors: { ...selectors, [region]: value } })
+			}
+		/>
+	);
+
+	return (
+		<PanelBody title={__('Regions', 'jp-wp-ai')} initialOpen={false}>
+			<p>
+				{__(
+					'The post content and title are always translated. Choose what else to translate along with them.',
+					'jp-wp-ai'
+				)}
+			</p>
+			{selectorControl('content')}
+			{REGION_OPTIONS.map((region) => (
+				<div key={region.value}>
+					<ToggleControl
+						label={region.label}
+						help={region.help}
+						checked={regions.includes(region.value)}
+						onChange={(value) =>
+							onChange({
+								regions: value
+									? [...regions, region.value]
+									: regions.filter((item) => item !== region.value),
+							})
+						}
+					/>
+					{regions.includes(region.value) && selectorControl(region.value)}
+				</div>
+			))}
+		</PanelBody>
+	);
+};
 
 /**
  * Edit component for the Content Translator block.
  */
-const Edit = () => {
+const Edit = ({ attributes, setAttributes }) => {
+	const {
+		autoDetect,
+		autoTranslate,
+		cachedOnly,
+		layout,
+		label,
+		translateLabel,
+		originalLabel,
+		regions,
+		regionSelectors,
+	} = attributes;
 	const blockProps = useBlockProps({
 		className: 'wp-block-jp-wp-ai-content-translator',
 	});
 
+	// Only show languages the server still supports.
+	const languages = attributes.languages.filter(
+		(code) => supportedLanguages[code]
+	);
+
 	return (
-		<div {...blockProps}>
-			<div className="content-translator-controls" style={{ 
-				padding: '20px', 
-				border: '1px solid #ddd', 
-				borderRadius: '4px',
-				backgroundColor: '#f9f9f9'
-			}}>
-				<p style={{ margin: '0 0 10px 0', fontWeight: 'bold' }}>
-					{__('Content Translator Block (Preview)', 'jp-wp-ai')}
-				</p>
-				<div style={{ display: 'flex', gap: '10px', alignItems: 'center' }}>
-					<label htmlFor="translator-preview-select">
-						{__('Translate this page:', 'jp-wp-ai')}
-					</label>
-					<select id="translator-preview-select" disabled style={{ padding: '5px' }}>
-						<option>{__('Select a language', 'jp-wp-ai')}</option>
-						<option>Spanish</option>
-						<option>French</option>
-						<option>German</option>
-						<option>Japanese</option>
-					</select>
-					<button type="button" disabled style={{ padding: '5px 15px' }}>
-						{__('Translate', 'jp-wp-ai')}
-					</button>
+		<>
+			<InspectorControls>
+				<LanguageSettings
+					languages={languages}
+					onChange={(value) => setAttributes({ languages: value })}
+					cachedOnly={cachedOnly}
+					onChangeCachedOnly={(value) => setAttributes({ cachedOnly: value })}
+				/>
+				<PanelBody title={__('Display', 'jp-wp-ai')}>
+					<SelectControl
+						label={__('Layout', 'jp-wp-ai')}
+						value={layout}
+						options={LAYOUT_OPTIONS}
+						onChange={(value) => setAttributes({ layout: value })}
+					/>
+					<ToggleControl
+						label={__("Detect the visitor's language", 'jp-wp-ai')}
+						help={__(
+							"Highlights the language of the visitor's browser, if it is offered.",
+							'jp-wp-ai'
+						)}
+						checked={autoDetect}
+						onChange={(value) => setAttributes({ autoDetect: value })}
+					/>
+					<ToggleControl
+						label={__('Translate automatically', 'jp-wp-ai')}
+						help={__(
+							'Translates on page load into the language the visitor chose before, or into their browser language when a cached translation exists.',
+							'jp-wp-ai'
+						)}
+						checked={autoTranslate}
+						onChange={(value) => setAttributes({ autoTranslate: value })}
+					/>
+					<TextControl
+						label={__('Label', 'jp-wp-ai')}
+						value={label}
+						placeholder={__('Translate this page:', 'jp-wp-ai')}
+						onChange={(value) => setAttributes({ label: value })}
+					/>
+					{layout === 'dropdown' && (
+						<TextControl
+							label={__('Translate button text', 'jp-wp-ai')}
+							value={translateLabel}
+							placeholder={__('Translate', 'jp-wp-ai')}
+							onChange={(value) => setAttributes({ translateLabel: value })}
+						/>
+					)}
+					<TextControl
+						label={__('Show original button text', 'jp-wp-ai')}
+						value={originalLabel}
+						placeholder={__('Show Original', 'jp-wp-ai')}
+						onChange={(value) => setAttributes({ originalLabel: value })}
+					/>
+				</PanelBody>
+				<RegionSettings
+					regions={regions}
+					selectors={regionSelectors}
+					onChange={setAttributes}
+				/>
+			</InspectorControls>
+			<div {...blockProps}>
+				<div className="content-translator-controls" style={{
+					padding: '20px',
+					border: '1px solid #ddd',
+					borderRadius: '4px',
+					backgroundColor: '#f9f9f9'
+				}}>
+					<p style={{ margin: '0 0 10px 0', fontWeight: 'bold' }}>
+						{__('Content Translator Block (Preview)', 'jp-wp-ai')}
+					</p>
+					<div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', alignItems: 'center' }}>
+						<span>{label || __('Translate this page:', 'jp-wp-ai')}</span>
+						{layout === 'dropdown' ? (
+							<>
+								<select disabled style={{ padding: '5px' }}>
+									<option>{__('Select a language', 'jp-wp-ai')}</option>
+									{languages.map((code) => (
+										<option key={code}>{supportedLanguages[code]}</option>
+									))}
+								</select>
+								<button type="button" disabled style={{ padding: '5px 15px' }}>
+									{translateLabel || __('Translate', 'jp-wp-ai')}
+								</button>
+							</>
+						) : (
+							languages.map((code) => (
+								<span
+									key={code}
+									style={
+										layout === 'pills'
+											? {
+													padding: '4px 12px',
+													border: '1px solid #ccc',
+													borderRadius: '999px',
+													backgroundColor: '#fff',
+											  }
+											: { textDecoration: 'underline' }
+									}
+								>
+									{supportedLanguages[code]}
+								</span>
+							))
+						)}
+					</div>
 				</div>
 			</div>
-		</div>
+		</>
 	);
 };
 
@@ -56,4 +325,3 @@ registerBlockType(metadata.name, {
 	edit: Edit,
 	save: () => null, // Dynamic block, rendered by PHP
 });
-
@@ -0,0 +1,41 @@
+/**
+ * Content Translator - "Do not translate" format
+ *
+ * Marks inline text, such as a product name, so the Content Translator
+ * leaves it as written. The format adds the HTML translate="no" attribute,
+ * which browser translation tools respect too.
+ */
+
+import { __ } from '@wordpress/i18n';
+import { registerFormatType, toggleFormat } from '@wordpress/rich-text';
+import { RichTextToolbarButton } from '@wordpress/block-editor';
+
+const FORMAT_NAME = 'jp-wp-ai/no-translate';
+
+const NoTranslateButton = ({ isActive, value, onChange }) => {
+	return (
+		<RichTextToolbarButton
+			icon="translation"
+			title={__('Do not translate', 'jp-wp-ai')}
+			isActive={isActive}
+			onClick={() =>
+				onChange(
+					toggleFormat(value, {
+						type: FORMAT_NAME,
+						attributes: { translate: 'no' },
+					})
+				)
+			}
+		/>
+	);
+};
+
+registerFormatType(FORMAT_NAME, {
+	title: __('Do not translate', 'jp-wp-ai'),
+	tagName: 'span',
+	className: 'jp-wp-ai-no-translate',
+	attributes: {
+		translate: 'translate',
+	},
+	edit: NoTranslateButton,
+});
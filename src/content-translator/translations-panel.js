@@ -0,0 +1,431 @@
+/**
+ * Content Translator - Translations sidebar
+ *
+ * Lets publishers see the cached translations of a post, generate,
+ * regenerate or delete them, and correct them by hand.
+ */
+
+import { __, sprintf } from '@wordpress/i18n';
+import { registerPlugin } from '@wordpress/plugins';
+import { PluginSidebar, PluginSidebarMoreMenuItem } from '@wordpress/editor';
+import {
+	PanelBody,
+	Button,
+	CheckboxControl,
+	Modal,
+	Notice,
+	Spinner,
+	TextareaControl,
+} from '@wordpress/components';
+import { useSelect } from '@wordpress/data';
+import { useState, useEffect, useCallback } from '@wordpress/element';
+import { humanTimeDiff } from '@wordpress/date';
+import apiFetch from '@wordpress/api-fetch';
+
+/**
+ * Describes the cache status of a language.
+ *
+ * @param {Object} status Status from the REST API.
+ * @return {string} Description.
+ */
+const describeStatus = (status) => {
+	if (!status.translated_at) {
+		return __('Not translated', 'jp-wp-ai');
+	}
+
+	// The REST API reports seconds, humanTimeDiff expects milliseconds.
+	const age = humanTimeDiff(status.translated_at * 1000);
+
+	if (status.stale) {
+		return sprintf(
+			/* translators: %s: Time since the translation, e.g. "2 hours ago". */
+			__('Outdated: translated %s, before the post last changed', 'jp-wp-ai'),
+			age
+		);
+	}
+
+	if (status.translated < status.total) {
+		return sprintf(
+			/* translators: 1: Number of translated segments, 2: Total number of segments, 3: Time since the translation, e.g. "2 hours ago". */
+			__('Partial: %1$d of %2$d segments, %3$s', 'jp-wp-ai'),
+			status.translated,
+			status.total,
+			age
+		);
+	}
+
+	return sprintf(
+		/* translators: %s: Time since the translation, e.g. "2 hours ago". */
+		__('Translated %s', 'jp-wp-ai'),
+		age
+	);
+};
+
+/**
+ * Gets the label of the button that translates the missing segments.
+ *
+ * @param {Object} status Status from the REST API.
+ * @return {string} Label.
+ */
+const getGenerateLabel = (status) => {
+	if (status.stale) {
+		return __('Update', 'jp-wp-ai');
+	}
+
+	return status.translated_at
+		? __('Complete', 'jp-wp-ai')
+		: __('Generate', 'jp-wp-ai');
+};
+
+/**
+ * Side-by-side editor for the segments of one translation.
+ */
+const TranslationEditor = ({ postId, status, onClose, onSaved }) => {
+	const [segments, setSegments] = useState(null);
+	const [changes, setChanges] = useState({});
+	const [isSaving, setIsSaving] = useState(false);
+	const [error, setError] = useState(null);
+
+	useEffect(() => {
+		apiFetch({ path: `/jp-wp-ai/v1/translations/${postId}/${status.language}` })
+			.then((response) => setSegments(response.segments))
+			.catch((err) => setError(err.message || __('An error occurred', 'jp-wp-ai')));
+	}, [postId, status.language]);
+
+	const updateSegment = (key, change) => {
+		setSegments((current) =>
+			current.map((segment) =>
+				segment.key === key ? { ...segment, ...change } : segment
+			)
+		);
+		setChanges((current) => ({
+			...current,
+			[key]: { ...current[key], ...change },
+		}));
+	};
+
+	const handleSave = async () => {
+		setIsSaving(true);
+		setError(null);
+
+		try {
+			const response = await apiFetch({
+				path: `/jp-wp-ai/v1/translations/${postId}/${status.language}`,
+				method: 'PUT',
+				data: { segments: changes },
+			});
+
+			onSaved(response);
+			onClose();
+		} catch (err) {
+			setError(err.message || __('An error occurred', 'jp-wp-ai'));
+			setIsSaving(false);
+		}
+	};
+
+	return (
+		<Modal
+			title={sprintf(
+				/* translators: %s: Language name. */
+				__('Edit %s translation', 'jp-wp-ai'),
+				status.name
+			)}
+			onRequestClose={onClose}
+			size="large"
+		>
+			{error && (
+				<Notice status="error" isDismissible={false}>
+					{error}
+				</Notice>
+			)}
+
+			{!segments && !error && <Spinner />}
+
+			{segments && (
+				<>
+					<p>
+						{__(
+							'Locked segments keep your wording when the translation is regenerated. Clear a translation to have it translated again.',
+							'jp-wp-ai'
+						)}
+					</p>
+					<table className="widefat striped">
+						<thead>
+							<tr>
+								<th style={{ width: '45%' }}>{__('Original', 'jp-wp-ai')}</th>
+								<th>{__('Translation', 'jp-wp-ai')}</th>
+							</tr>
+						</thead>
+						<tbody>
+							{segments.map((segment) => (
+								<tr key={segment.key}>
+									<td>{segment.source}</td>
+									<td>
+										<TextareaControl
+											label={__('Translation', 'jp-wp-ai')}
+											hideLabelFromVision
+											value={segment.translation}
+											rows={2}
+											onChange={(value) =>
+												updateSegment(segment.key, {
+													translation: value,
+													// Hand corrections are locked unless unlocked again.
+													locked: value !== '',
+												})
+											}
+										/>
+										<CheckboxControl
+											label={__('Locked', 'jp-wp-ai')}
+											checked={segment.locked}
+											disabled={!segment.translation}
+											onChange={(value) =>
+												updateSegment(segment.key, { locked: value })
+											}
+										/>
+									</td>
+								</tr>
+							))}
+						</tbody>
+					</table>
+					<div style={{ display: 'flex', gap: '8px', marginTop: '16px' }}>
+						<Button
+							variant="primary"
+							onClick={handleSave}
+							isBusy={isSaving}
+							disabled={isSaving || !Object.keys(changes).length}
+						>
+							{__('Save', 'jp-wp-ai')}
+						</Button>
+						<Button variant="tertiary" onClick={onClose}>
+							{__('Cancel', 'jp-wp-ai')}
+						</Button>
+					</div>
+				</>
+			)}
+		</Modal>
+	);
+};
+
+const TranslationsPanel = () => {
+	const { postId, isSaving } = useSelect((select) => {
+		const editor = select('core/editor');
+
+		return {
+			postId: editor.getCurrentPostId(),
+			isSaving: editor.isSavingPost() && !editor.isAutosavingPost(),
+		};
+	}, []);
+	const [statuses, setStatuses] = useState(null);
+	const [busyLanguage, setBusyLanguage] = useState(null);
+	const [editing, setEditing] = useState(null);
+	const [error, setError] = useState(null);
+
+	const loadStatuses = useCallback(() => {
+		if (!postId) {
+			return;
+		}
+
+		apiFetch({ path: `/jp-wp-ai/v1/translations/${postId}` })
+			.then(setStatuses)
+			.catch((err) => setError(err.message || __('An error occurred', 'jp-wp-ai')));
+	}, [postId]);
+
+	// Saving the post can make translations stale, so reload after each save.
+	useEffect(() => {
+		if (!isSaving) {
+			loadStatuses();
+		}
+	}, [isSaving, loadStatuses]);
+
+	const replaceStatus = (status) => {
+		setStatuses((current) =>
+			current.map((item) => (item.language === status.language ? status : item))
+		);
+	};
+
+	const handleGenerate = async (language, regenerate) => {
+		setBusyLanguage(language);
+		setError(null);
+
+		try {
+			let remaining = Infinity;
+			let isFirst = true;
+
+			// Each request translates one batch; stop when nothing is left or
+			// the model keeps leaving the same segments out.
+			while (remaining > 0) {
+				const response = await apiFetch({
+					path: `/jp-wp-ai/v1/translations/${postId}/${language}`,
+					method: 'POST',
+					data: { regenerate: regenerate && isFirst },
+				});
+
+				replaceStatus(response.status);
+
+				if (response.remaining >= remaining) {
+					break;
+				}
+
+				remaining = response.remaining;
+				isFirst = false;
+			}
+		} catch (err) {
+			setError(err.message || __('An error occurred', 'jp-wp-ai'));
+		} finally {
+			setBusyLanguage(null);
+		}
+	};
+
+	const handleDelete = async (status) => {
+		if (
+			!window.confirm(
+				sprintf(
+					/* translators: %s: Language name. */
+					__('Delete the %s translation, including locked corrections?', 'jp-wp-ai'),
+					status.name
+				)
+			)
+		) {
+			return;
+		}
+
+		setBusyLanguage(status.language);
+		setError(null);
+
+		try {
+			replaceStatus(
+				await apiFetch({
+					path: `/jp-wp-ai/v1/translations/${postId}/${status.language}`,
+					method: 'DELETE',
+				})
+			);
+		} catch (err) {
+			setError(err.message || __('An error occurred', 'jp-wp-ai'));
+		} finally {
+			setBusyLanguage(null);
+		}
+	};
+
+	return (
+		<PanelBody>
+			<p>
+				{__(
+					'Translations are made from the last saved version of this post.',
+					'jp-wp-ai'
+				)}
+			</p>
+
+			{error && (
+				<Notice status="error" isDismissible={false}>
+					{error}
+				</Notice>
+			)}
+
+			{!statuses && !error && <Spinner />}
+
+			{statuses &&
+				statuses.map((status) => {
+					const isBusy = busyLanguage === status.language;
+
+					return (
+						<div
+							key={status.language}
+							style={{ padding: '8px 0', borderBottom: '1px solid #e0e0e0' }}
+						>
+							<strong>{status.name}</strong>
+							<p style={{ margin: '4px 0', color: '#757575' }}>
+								{describeStatus(status)}
+								{status.locked > 0 &&
+									' · ' +
+										sprintf(
+											/* translators: %d: Number of locked segments. */
+											__('%d locked', 'jp-wp-ai'),
+											status.locked
+										)}
+							</p>
+							<div style={{ display: 'flex', gap: '4px', flexWrap: 'wrap' }}>
+								{(status.stale || status.translated < status.total) && (
+									<Button
+										variant="secondary"
+										size="small"
+										onClick={() => handleGenerate(status.language, false)}
+										isBusy={isBusy}
+										disabled={!!busyLanguage}
+									>
+										{getGenerateLabel(status)}
+									</Button>
+								)}
+								{status.translated_at && (
+									<>
+										<Button
+											variant="secondary"
+											size="small"
+											onClick={() => handleGenerate(status.language, true)}
+											isBusy={isBusy}
+											disabled={!!busyLanguage}
+										>
+											{__('Regenerate', 'jp-wp-ai')}
+										</Button>
+										<Button
+											variant="tertiary"
+											size="small"
+											onClick={() => setEditing(status)}
+											disabled={!!busyLanguage}
+										>
+											{__('Edit', 'jp-wp-ai')}
+										</Button>
+										<Button
+											variant="tertiary"
+											size="small"
+											isDestructive
+											onClick={() => handleDelete(status)}
+											disabled={!!busyLanguage}
+										>
+											{__('Delete', 'jp-wp-ai')}
+										</Button>
+									</>
+								)}
+							</div>
+						</div>
+					);
+				})}
+
+			{editing && (
+				<TranslationEditor
+					postId={postId}
+					status={editing}
+					onClose={() => setEditing(null)}
+					onSaved={replaceStatus}
+				/>
+			)}
+		</PanelBody>
+	);
+};
+
+const TranslationsSidebar = () => {
+	// Templates in the site editor have string IDs and no translations.
+	const postId = useSelect((select) => select('core/editor').getCurrentPostId(), []);
+
+	if (typeof postId !== 'number') {
+		return null;
+	}
+
+	return (
+		<>
+			<PluginSidebarMoreMenuItem target="ai-content-translations" icon="translation">
+				{__('Translations', 'jp-wp-ai')}
+			</PluginSidebarMoreMenuItem>
+			<PluginSidebar
+				name="ai-content-translations"
+				title={__('Translations', 'jp-wp-ai')}
+				icon="translation"
+			>
+				<TranslationsPanel />
+			</PluginSidebar>
+		</>
+	);
+};
+
+registerPlugin('ai-content-translations', {
+	render: TranslationsSidebar,
+});
@@ -4,9 +4,58 @@
  * Handles language detection, translation requests, and content swapping.
  */
 
+import { sprintf } from '@wordpress/i18n';
+
 (function() {
 	'use strict';
 
+	/**
+	 * Storage key for the language the visitor last chose.
+	 */
+	const STORAGE_KEY = 'jpWpAiTranslatorLanguage';
+
+	/**
+	 * Storage key for the ID the server counts this session's requests by.
+	 */
+	const SESSION_KEY = 'jpWpAiTranslatorSession';
+
+	/**
+	 * Error codes of translations the server refused to start. The block's
+	 * strings have a message for each.
+	 */
+	const LIMIT_CODES = ['throttled', 'unavailable'];
+
+	/**
+	 * Attributes whose values are translated.
+	 *
+	 * Segments are collected by the same rules as Translation_Segments on the
+	 * server, which only translates segments it finds in the post.
+	 */
+	const ATTRIBUTES = ['alt', 'title', 'aria-label', 'placeholder'];
+
+	/**
+	 * Elements whose contents are never translated, along with elements
+	 * marked translate="no".
+	 */
+	const SKIPPED_ELEMENTS = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'TEXTAREA', 'CODE', 'PRE'];
+
+	/**
+	 * Number of chunks translated at the same time.
+	 */
+	const CONCURRENCY = 3;
+
+	/**
+	 * Chunk sizes in characters. Chunks end between top-level blocks once
+	 * they reach the minimum size, and inside a block at the maximum size.
+	 */
+	const CHUNK_MIN_SIZE = 1000;
+	const CHUNK_MAX_SIZE = 3000;
+
+	/**
+	 * Maximum number of segments in a chunk. The server accepts up to 100.
+	 */
+	const CHUNK_MAX_SEGMENTS = 50;
+
 	// Wait for DOM to be ready.
 	if (document.readyState === 'loading') {
 		document.addEventListener('DOMContentLoaded', init);
@@ -15,304 +64,1254 @@
 	}
 
 	function init() {
-		const translatorBlock = document.querySelector('.wp-block-jp-wp-ai-content-translator');
+		const translatorBlocks = Array.from(
+			document.querySelectorAll('.wp-block-jp-wp-ai-content-translator')
+		);
 		
-		if (!translatorBlock) {
+		if (!translatorBlocks.length) {
 			return;
 		}
 
-		const postId = translatorBlock.dataset.postId;
-		const languageSelect = document.getElementById('content-translator-language-select');
-		const translateBtn = document.getElementById('content-translator-translate-btn');
-		const originalBtn = document.getElementById('content-translator-original-btn');
-		const statusDiv = document.getElementById('content-translator-status');
+		// Every block on the page, such as one in the header and one in the
+		// footer, controls the same translation. The dropdown layout has a
+		// select and a translate button, the pill and link layouts one
+		// button per language.
+		const instances = translatorBlocks.map((block) => ({
+			block,
+			languageSelect: block.querySelector('.content-translator-language-select'),
+			translateBtn: block.querySelector('.content-translator-translate-button'),
+			languageButtons: Array.from(block.querySelectorAll('.content-translator-language')),
+			originalBtn: block.querySelector('.content-translator-original-button'),
+			statusDiv: block.querySelector('.content-translator-status'),
+			progressBar: block.querySelector('.content-translator-progress'),
+			retryBtn: block.querySelector('.content-translator-retry-button'),
+			staleNotice: block.querySelector('.content-translator-notice'),
+			blockId: block.dataset.blockId || '',
+			language: block.getAttribute('lang'),
+			direction: block.getAttribute('dir'),
+		}));
+		const languageButtons = instances.flatMap((instance) => instance.languageButtons);
+
+		// The block the visitor used last shows the status and progress.
+		let activeInstance = instances[0];
+
+		// The post of a singular page, or 0 on listings, where each post is
+		// translated on its own.
+		const postId = Number(translatorBlocks[0].dataset.postId) || 0;
+
+		// Messages in the site language, and in the language shown.
+		const originalStrings = aiContentTranslator.strings;
+		let strings = originalStrings;
 
-		// Store original content.
-		let originalTitle = document.title;
-		let originalContent = null;
-		let currentLanguage = null;
+		// The blocks' own labels, translated along with the page.
+		const labelElements = translatorBlocks.flatMap((block) =>
+			Array.from(
+				block.querySelectorAll(
+					'.content-translator-controls > label, .content-translator-label, .content-translator-language-select option[value=""], .content-translator-translate-button, .content-translator-original-button, .content-translator-retry-button, .content-translator-notice'
+				)
+			)
+		);
+		const originalLabels = new Map(
+			labelElements.map((element) => [element, normalize(element.textContent)])
+		);
+		const currentLabels = new Map(originalLabels);
+		let interfaceRun = 0;
+		let statusTimer = null;
+
+		// CSS selectors of the regions to translate, keyed by region name.
+		// Blocks can translate different regions, so translate them all.
+		const regionSelectors = {};
+
+		translatorBlocks.forEach((block) => {
+			const selectors = JSON.parse(block.dataset.regions || '{}');
+
+			Object.keys(selectors).forEach((name) => {
+				regionSelectors[name] = regionSelectors[name] || selectors[name];
+			});
+		});
+
+		// A translation the server rendered for a ?lang= URL. The original
+		// content is not on the page then, so showing it means loading the
+		// page without the language.
+		const serverLanguage = translatorBlocks[0].dataset.currentLang || null;
+
+		// Text segments of the page, collected before the first translation.
+		const originalDocumentTitle = document.title;
+		const rtlLanguages = aiContentTranslator.rtlLanguages || [];
+		let originalLanguageAttributes = null;
+		let segments = null;
+		let currentLanguage = serverLanguage;
+
+		// The translation in progress. Responses of an earlier run are ignored.
+		let activeRun = 0;
+		let pendingLanguage = null;
+		let failedChunks = [];
 
 		// Detect browser language and pre-select if available.
-		detectAndSelectBrowserLanguage(languageSelect);
+		const detectedLanguage = detectAndSelectBrowserLanguage();
 
 		// Event listeners.
-		translateBtn.addEventListener('click', handleTranslate);
-		originalBtn.addEventListener('click', handleShowOriginal);
+		instances.forEach((instance) => {
+			if (instance.translateBtn) {
+				instance.translateBtn.addEventListener('click', () => {
+					setActiveInstance(instance);
+					handleTranslate(instance.languageSelect.value, 'push');
+				});
+			}
+			instance.languageButtons.forEach((button) => {
+				button.addEventListener('click', (event) => {
+					// The inline links point to the translated URL for crawlers
+					// and new tabs, but translate in place on a plain click.
+					event.preventDefault();
+
+					if (button.getAttribute('aria-disabled') !== 'true') {
+						setActiveInstance(instance);
+						handleTranslate(button.dataset.lang, 'push');
+					}
+				});
+			});
+			instance.originalBtn.addEventListener('click', () => {
+				setActiveInstance(instance);
+				handleShowOriginal('push');
+			});
+			instance.retryBtn.addEventListener('click', handleRetry);
+		});
+		window.addEventListener('popstate', handlePopState);
+
+		// The notice that the translation is being updated is shown once.
+		instances.slice(1).forEach((instance) => {
+			instance.staleNotice.hidden = true;
+		});
+
+		const urlLanguage = getUrlLanguage();
+
+		if (serverLanguage) {
+			setStoredLanguage(serverLanguage);
+			// The server marks the content, but not the title heading.
+			setLanguageAttributes(serverLanguage);
+			translateInterface(serverLanguage);
+			translateOtherRegions();
+		} else if (urlLanguage && isOffered(urlLanguage)) {
+			// No cached translation to render on the server yet.
+			selectLanguage(urlLanguage);
+			handleTranslate(urlLanguage, null);
+		} else if (translatorBlocks.some((block) => block.dataset.autoTranslate === 'true')) {
+			translateOnLoad();
+		}
+
+		/**
+		 * Translates the page right away when the visitor chose a language
+		 * earlier, or when their browser language already has a cached
+		 * translation.
+		 */
+		function translateOnLoad() {
+			const storedLanguage = getStoredLanguage();
+			const cachedLanguages = (translatorBlocks[0].dataset.cachedLanguages || '').split(',');
+
+			if (storedLanguage && isOffered(storedLanguage)) {
+				selectLanguage(storedLanguage);
+				handleTranslate(storedLanguage, 'replace');
+			} else if (detectedLanguage && cachedLanguages.includes(detectedLanguage)) {
+				handleTranslate(detectedLanguage, 'replace');
+			}
+		}
+
+		/**
+		 * Translates the regions around a translation the server rendered,
+		 * such as the comments and menus.
+		 */
+		function translateOtherRegions() {
+			const regions = getRegions().filter((region) => region.name !== 'content');
+
+			if (!regions.length) {
+				return;
+			}
+
+			segments = collectSegments(regions);
+
+			if (segments.chunks.length) {
+				translateChunks(serverLanguage, segments.chunks, null);
+			}
+		}
+
+		/**
+		 * Gets the language in the ?lang= parameter of the page URL.
+		 */
+		function getUrlLanguage() {
+			return new URL(window.location.href).searchParams.get('lang');
+		}
 
 		/**
-		 * Detects browser language and pre-selects it in the dropdown.
+		 * Updates the ?lang= parameter of the page URL.
+		 *
+		 * @param {string|null} langCode    Language code, or null for the original.
+		 * @param {string}      historyMode 'push' adds a history entry, 'replace'
+		 *                                  replaces the current one.
 		 */
-		function detectAndSelectBrowserLanguage(select) {
+		function setUrlLanguage(langCode, historyMode) {
+			const url = new URL(window.location.href);
+
+			if (langCode) {
+				url.searchParams.set('lang', langCode);
+			} else {
+				url.searchParams.delete('lang');
+			}
+
+			if (historyMode === 'replace') {
+				window.history.replaceState({ lang: langCode }, '', url.toString());
+			} else {
+				window.history.pushState({ lang: langCode }, '', url.toString());
+			}
+		}
+
+		/**
+		 * Follows the browser's back and forward buttons between languages.
+		 */
+		function handlePopState() {
+			const langCode = getUrlLanguage();
+
+			if (langCode === currentLanguage) {
+				return;
+			}
+
+			// The original content of a server-rendered translation is not on
+			// the page, so let the server render the other version.
+			if (serverLanguage) {
+				window.location.reload();
+				return;
+			}
+
+			if (langCode && isOffered(langCode)) {
+				selectLanguage(langCode);
+				handleTranslate(langCode, null);
+			} else if (!langCode) {
+				handleShowOriginal(null);
+			}
+		}
+
+		/**
+		 * Checks whether one of the blocks offers a language.
+		 */
+		function isOffered(langCode) {
+			return instances.some((instance) =>
+				instance.languageSelect
+					? !!instance.languageSelect.querySelector(`option[value="${langCode}"]`)
+					: instance.languageButtons.some((button) => button.dataset.lang === langCode)
+			);
+		}
+
+		/**
+		 * Selects a language in the dropdowns that offer it.
+		 */
+		function selectLanguage(langCode) {
+			instances.forEach((instance) => {
+				if (instance.languageSelect && instance.languageSelect.querySelector(`option[value="${langCode}"]`)) {
+					instance.languageSelect.value = langCode;
+				}
+			});
+		}
+
+		/**
+		 * Detects browser language and highlights it in the language options
+		 * of the blocks that detect it.
+		 *
+		 * Returns the detected language code if one of them offers it.
+		 */
+		function detectAndSelectBrowserLanguage() {
 			const browserLang = navigator.language || navigator.languages[0];
 			
 			if (!browserLang) {
-				return;
+				return null;
 			}
 
 			// Extract language code (e.g., 'en-US' -> 'en').
 			const langCode = browserLang.split('-')[0].toLowerCase();
+			let detected = null;
 
-			// Check if this language is in our options.
-			const option = select.querySelector(`option[value="${langCode}"]`);
-			
-			if (option) {
-				select.value = langCode;
-				// Add a visual indicator.
-				option.textContent = option.textContent + ' ★';
+			instances.forEach((instance) => {
+				if (instance.block.dataset.autoDetect === 'false') {
+					return;
+				}
+
+				// Check if this language is in our options.
+				const option = instance.languageSelect
+					? instance.languageSelect.querySelector(`option[value="${langCode}"]`)
+					: instance.block.querySelector(`.content-translator-language[data-lang="${langCode}"]`);
+
+				if (option) {
+					if (instance.languageSelect) {
+						instance.languageSelect.value = langCode;
+					} else {
+						option.classList.add('is-detected');
+					}
+					// Add a visual indicator.
+					option.textContent = option.textContent.trim() + ' ★';
+
+					detected = langCode;
+				}
+			});
+
+			return detected;
+		}
+
+		/**
+		 * Makes a block the one that shows the status and progress.
+		 */
+		function setActiveInstance(instance) {
+			if (instance === activeInstance) {
+				return;
+			}
+
+			clearTimeout(statusTimer);
+			activeInstance.statusDiv.textContent = '';
+			activeInstance.statusDiv.className = 'content-translator-status';
+			activeInstance.progressBar.hidden = true;
+			activeInstance.retryBtn.style.display = 'none';
+			instance.staleNotice.hidden = activeInstance.staleNotice.hidden;
+			activeInstance.staleNotice.hidden = true;
+
+			activeInstance = instance;
+		}
+
+		/**
+		 * Gets the language the visitor last chose on this site.
+		 */
+		function getStoredLanguage() {
+			try {
+				return window.localStorage.getItem(STORAGE_KEY);
+			} catch (error) {
+				// Storage can be blocked by privacy settings.
+				return null;
+			}
+		}
+
+		/**
+		 * Gets the ID of this browser session, creating it the first time.
+		 *
+		 * @return {string} Session ID, or an empty string if it cannot be kept.
+		 */
+		function getSessionId() {
+			try {
+				let sessionId = window.sessionStorage.getItem(SESSION_KEY);
+
+				if (!sessionId) {
+					sessionId = window.crypto && window.crypto.randomUUID
+						? window.crypto.randomUUID()
+						: Date.now().toString(36) + Math.random().toString(36).slice(2);
+					window.sessionStorage.setItem(SESSION_KEY, sessionId);
+				}
+
+				return sessionId;
+			} catch (error) {
+				// Storage can be blocked by privacy settings.
+				return '';
 			}
 		}
 
 		/**
-		 * Handles the translate button click.
+		 * Remembers the visitor's language choice, or forgets it when null.
 		 */
-		function handleTranslate() {
-			const targetLang = languageSelect.value;
+		function setStoredLanguage(langCode) {
+			try {
+				if (langCode) {
+					window.localStorage.setItem(STORAGE_KEY, langCode);
+				} else {
+					window.localStorage.removeItem(STORAGE_KEY);
+				}
+			} catch (error) {
+				// Storage can be blocked by privacy settings.
+			}
+		}
 
+		/**
+		 * Translates the content into a language.
+		 *
+		 * @param {string}      targetLang  Language code.
+		 * @param {string|null} historyMode How to put the language in the URL,
+		 *                                  see setUrlLanguage(), or null to
+		 *                                  leave the URL alone.
+		 */
+		function handleTranslate(targetLang, historyMode) {
 			if (!targetLang) {
-				showStatus('Please select a language.', 'error');
+				showStatus(strings.noLanguage, 'error');
 				return;
 			}
 
 			// Don't translate if already in this language.
 			if (currentLanguage === targetLang) {
-				showStatus('Content is already in this language.', 'info');
+				showStatus(strings.sameLanguage, 'info');
+				return;
+			}
+
+			// The page holds a translation rendered by the server rather than
+			// the original text, so let the server render this one too.
+			if (serverLanguage) {
+				const url = new URL(window.location.href);
+				url.searchParams.set('lang', targetLang);
+				window.location.assign(url.toString());
 				return;
 			}
 
-			// Store original content if not already stored.
-			if (!originalContent) {
-				storeOriginalContent();
+			// Collect the original text segments if not already collected.
+			if (!segments) {
+				segments = collectSegments(getRegions());
 			}
 
+			if (!segments.texts.length) {
+				showStatus(strings.noText, 'error');
+				return;
+			}
+
+			// Start over from the original text. Sections swap in as their
+			// chunks are translated.
+			restoreOriginalContent();
+			currentLanguage = null;
+			markActiveLanguage(null);
+			activeInstance.staleNotice.hidden = true;
+
+			translateChunks(targetLang, segments.chunks, historyMode);
+		}
+
+		/**
+		 * Translates the failed chunks of the last translation again.
+		 */
+		function handleRetry() {
+			if (!pendingLanguage || !failedChunks.length) {
+				return;
+			}
+
+			translateChunks(
+				pendingLanguage,
+				failedChunks,
+				currentLanguage === pendingLanguage ? null : 'push'
+			);
+		}
+
+		/**
+		 * Translates chunks of segments in parallel and applies each one as
+		 * soon as it arrives.
+		 *
+		 * @param {string}      targetLang  Language code.
+		 * @param {Array}       chunks      Chunks, see buildChunks().
+		 * @param {string|null} historyMode How to put the language in the URL
+		 *                                  once the first chunk is shown.
+		 */
+		function translateChunks(targetLang, chunks, historyMode) {
+			const run = ++activeRun;
+			const queue = [...chunks];
+			// Controls are disabled while translating, which can drop their focus.
+			const returnFocus = activeInstance.block.contains(document.activeElement)
+				? document.activeElement
+				: null;
+			const failed = [];
+			let completed = 0;
+			let allCached = true;
+			let limit = null;
+
+			pendingLanguage = targetLang;
+			failedChunks = [];
+			activeInstance.retryBtn.style.display = 'none';
+
 			// Disable controls during translation.
 			setControlsEnabled(false);
-			showStatus('Translating...', 'loading');
+			showProgress(0, chunks.length);
+
+			const translateNext = () => {
+				const chunk = queue.shift();
+
+				if (!chunk) {
+					return Promise.resolve();
+				}
+
+				return requestChunk(targetLang, chunk)
+					.then((data) => {
+						if (run !== activeRun) {
+							return;
+						}
+
+						applyTranslation(data.segments);
+						allCached = allCached && data.cached;
+
+						// The latest response knows best, an earlier chunk may
+						// have brought the translation up to date since.
+						activeInstance.staleNotice.hidden = !data.stale;
+
+						if (currentLanguage !== targetLang) {
+							showLanguage(targetLang, historyMode);
+						}
+					})
+					.catch((error) => {
+						console.error('Translation error:', error);
+						failed.push(chunk);
+
+						// The other chunks would be refused as well.
+						if (LIMIT_CODES.includes(error.code)) {
+							limit = error.code;
+							failed.push(...queue.splice(0));
+						}
+					})
+					.then(() => {
+						if (run === activeRun) {
+							showProgress(++completed, chunks.length);
+						}
+
+						return translateNext();
+					});
+			};
+
+			const workers = [];
+
+			for (let i = 0; i < Math.min(CONCURRENCY, chunks.length); i++) {
+				workers.push(translateNext());
+			}
+
+			Promise.all(workers).then(() => {
+				if (run !== activeRun) {
+					return;
+				}
+
+				setControlsEnabled(true);
+				activeInstance.progressBar.hidden = true;
+				failedChunks = failed;
+
+				if (limit) {
+					showStatus(strings[limit], 'error');
+
+					// A language that is not available stays that way for now.
+					if (limit === 'throttled') {
+						activeInstance.retryBtn.style.display = 'inline-block';
+					}
+				} else if (failed.length) {
+					showStatus(sprintf(strings.failed, failed.length, chunks.length), 'error');
+					activeInstance.retryBtn.style.display = 'inline-block';
+				} else {
+					showStatus(allCached ? strings.completeFromCache : strings.complete, 'success');
+				}
+
+				if (returnFocus) {
+					restoreFocus(failed.length ? activeInstance.retryBtn : returnFocus);
+				}
+			});
+		}
+
+		/**
+		 * Moves focus back into the block after a translation, unless the
+		 * visitor has moved on to something else.
+		 *
+		 * @param {Element} element Element to focus. Falls back to the
+		 *                          "Show Original" button when it is hidden.
+		 */
+		function restoreFocus(element) {
+			const active = document.activeElement;
+
+			if (active && active !== document.body && !activeInstance.block.contains(active)) {
+				return;
+			}
+
+			const target = element.offsetParent !== null ? element : activeInstance.originalBtn;
+
+			if (target.offsetParent !== null) {
+				target.focus();
+			}
+		}
+
+		/**
+		 * Requests the translation of one chunk of segments.
+		 *
+		 * @param {string} targetLang Language code.
+		 * @param {Object} chunk      Chunk, see buildChunks().
+		 * @return {Promise<Object>} Resolves with `segments`, the translations
+		 *                           keyed by segment ID, `cached`, and `stale`
+		 *                           when the translation was made for an
+		 *                           earlier version of the post.
+		 */
+		function requestChunk(targetLang, chunk) {
+			const texts = {};
+			const comments = {};
+
+			chunk.ids.forEach((id) => {
+				texts[id] = segments.texts[id];
+				comments[id] = segments.commentIds[id];
+			});
 
 			// Make AJAX request.
 			const formData = new FormData();
 			formData.append('action', 'ai_translate_content');
 			formData.append('nonce', aiContentTranslator.nonce);
-			formData.append('post_id', postId);
+			formData.append('post_id', chunk.postId);
 			formData.append('target_lang', targetLang);
+			formData.append('segments', JSON.stringify(texts));
+			formData.append('region', chunk.region);
+			formData.append('session', getSessionId());
+			// The server looks up the settings of the block by its ID.
+			formData.append('block_id', activeInstance.blockId);
 
-			fetch(aiContentTranslator.ajaxUrl, {
+			// Comments are cached per comment.
+			if (chunk.region === 'comments') {
+				formData.append('comments', JSON.stringify(comments));
+			}
+
+			return fetch(aiContentTranslator.ajaxUrl, {
 				method: 'POST',
 				body: formData,
 			})
 				.then(response => response.json())
 				.then(data => {
-					if (data.success) {
-						applyTranslation(data.data.translation);
-						currentLanguage = targetLang;
-						
-						const cacheMsg = data.data.cached ? ' (from cache)' : '';
-						showStatus('Translation complete!' + cacheMsg, 'success');
-						
-						// Show the "Show Original" button.
-						originalBtn.style.display = 'inline-block';
-					} else {
-						showStatus('Error: ' + (data.data.message || 'Translation failed'), 'error');
+					if (!data.success) {
+						const error = new Error(data.data.message || strings.translationFailed);
+						// Tells a refused translation from a failed one.
+						error.code = data.data.code;
+						throw error;
 					}
-				})
-				.catch(error => {
-					console.error('Translation error:', error);
-					showStatus('Error: Failed to translate content', 'error');
-				})
-				.finally(() => {
-					setControlsEnabled(true);
+
+					return data.data;
 				});
 		}
 
+		/**
+		 * Marks a language as shown once its first section is translated.
+		 */
+		function showLanguage(langCode, historyMode) {
+			currentLanguage = langCode;
+			markActiveLanguage(langCode);
+			setStoredLanguage(langCode);
+			setLanguageAttributes(langCode);
+			translateInterface(langCode);
+			selectLanguage(langCode);
+
+			if (historyMode) {
+				setUrlLanguage(langCode, historyMode);
+			}
+
+			// Show the "Show Original" buttons.
+			instances.forEach((instance) => {
+				instance.originalBtn.style.display = 'inline-block';
+			});
+		}
+
+		/**
+		 * Shows how many chunks have been translated.
+		 */
+		function showProgress(completed, total) {
+			const { progressBar } = activeInstance;
+
+			progressBar.hidden = false;
+			progressBar.max = total;
+			progressBar.value = completed;
+			showStatus(sprintf(strings.progress, completed, total), 'loading');
+		}
+
 		/**
 		 * Handles the show original button click.
+		 *
+		 * @param {string|null} historyMode How to remove the language from the
+		 *                                  URL, or null to leave the URL alone.
 		 */
-		function handleShowOriginal() {
-			if (!originalContent) {
+		function handleShowOriginal(historyMode) {
+			if (serverLanguage) {
+				setStoredLanguage(null);
+
+				const url = new URL(window.location.href);
+				url.searchParams.delete('lang');
+				window.location.assign(url.toString());
+				return;
+			}
+
+			if (!segments) {
 				return;
 			}
 
+			// Ignore chunks still on their way.
+			activeRun++;
+			pendingLanguage = null;
+			failedChunks = [];
+			activeInstance.retryBtn.style.display = 'none';
+			activeInstance.progressBar.hidden = true;
+			setControlsEnabled(true);
+
 			restoreOriginalContent();
 			currentLanguage = null;
-			showStatus('Showing original content', 'info');
-			originalBtn.style.display = 'none';
+			markActiveLanguage(null);
+			setStoredLanguage(null);
+			activeInstance.staleNotice.hidden = true;
+
+			if (historyMode) {
+				setUrlLanguage(null, historyMode);
+			}
+			showStatus(strings.showingOriginal, 'info');
+
+			// The button hides itself, so move focus to the language options.
+			const hadFocus = document.activeElement === activeInstance.originalBtn;
+
+			instances.forEach((instance) => {
+				instance.originalBtn.style.display = 'none';
+			});
+
+			if (hadFocus) {
+				(activeInstance.languageSelect || activeInstance.languageButtons[0]).focus();
+			}
 		}
 
 		/**
-		 * Stores the original page content before translation.
+		 * Normalizes segment text: collapses whitespace and trims it.
 		 */
-		function storeOriginalContent() {
-			originalContent = {
-				title: document.title,
-				mainContent: getMainContent(),
-			};
+		function normalize(text) {
+			return text.replace(/\s+/g, ' ').trim();
 		}
 
 		/**
-		 * Gets the main content element(s) to translate.
+		 * Checks whether text is worth translating, meaning it has letters.
 		 */
-		function getMainContent() {
-			// Try to find the main content area.
-			const selectors = [
-				'.entry-content',
-				'.post-content',
-				'article .content',
-				'main article',
-				'article',
-				'main',
-			];
+		function isTranslatable(text) {
+			return /\p{L}/u.test(text);
+		}
 
-			for (const selector of selectors) {
-				const element = document.querySelector(selector);
-				if (element) {
-					// Clone the element to preserve translator block
-					const clone = element.cloneNode(true);
-					
-					// Remove the translator block from the clone
-					const translatorInClone = clone.querySelector('.wp-block-jp-wp-ai-content-translator');
-					if (translatorInClone) {
-						translatorInClone.remove();
-					}
-					
-					return {
-						element: element,
-						html: clone.innerHTML,
-						translatorBlock: translatorBlock,
-					};
+		/**
+		 * Collects the text nodes and translatable attributes of regions.
+		 *
+		 * Each entry keeps its node and original value, so translations are
+		 * patched in place and restoring the original is a reverse patch.
+		 * Identical texts of a region, or of a post or comment in it, share an
+		 * ID and are sent only once. Each region leaves out the regions
+		 * inside it.
+		 *
+		 * @param {Array} regions Regions, see getRegions().
+		 * @return {Object} `entries` with the nodes, `texts` with the unique
+		 *                  texts and `commentIds` with their comment IDs,
+		 *                  indexed by ID.
+		 */
+		function collectSegments(regions) {
+			const entries = [];
+			const texts = [];
+			const commentIds = [];
+			const ids = new Map();
+			const roots = new Set(regions.flatMap((region) => region.elements));
+			const heading = postId ? getTitleHeading() : null;
+			const title = heading ? normalize(heading.textContent) : '';
+
+			// The top-level block the current node belongs to.
+			let section = null;
+
+			const addEntry = (node, attribute, original, region) => {
+				const text = normalize(original);
+				const isSiteRegion = region === 'widgets' || region === 'navigation';
+				// Widgets and menus are the same on every page.
+				const entryPostId = isSiteRegion ? postId : getPostId(node);
+				const commentId = region === 'comments' ? getCommentId(node) : null;
+
+				// Only the comments themselves are translated, not the list,
+				// and only text that belongs to a post or the site.
+				if (
+					!isTranslatable(text) ||
+					(region === 'comments' && !commentId) ||
+					(!isSiteRegion && !entryPostId)
+				) {
+					return;
 				}
-			}
 
-			// Fallback: use body.
-			const bodyClone = document.body.cloneNode(true);
-			const translatorInClone = bodyClone.querySelector('.wp-block-jp-wp-ai-content-translator');
-			if (translatorInClone) {
-				translatorInClone.remove();
-			}
-			
+				const group = [region, entryPostId, commentId || '', text].join(':');
+
+				if (!ids.has(group)) {
+					ids.set(group, texts.length);
+					texts.push(text);
+					commentIds.push(commentId);
+				}
+
+				entries.push({
+					node,
+					attribute,
+					original,
+					text,
+					id: ids.get(group),
+					region,
+					postId: entryPostId,
+					section,
+				});
+			};
+
+			regions.forEach((region) => {
+				region.elements.forEach((root) => {
+					section = root;
+
+					const walker = document.createTreeWalker(
+						root,
+						NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT,
+						{
+							acceptNode(node) {
+								if (
+									node.nodeType === Node.ELEMENT_NODE &&
+									(SKIPPED_ELEMENTS.includes(node.tagName) ||
+										(node.getAttribute('translate') || '').toLowerCase() === 'no' ||
+										node.classList.contains('wp-block-jp-wp-ai-content-translator') ||
+										roots.has(node))
+								) {
+									return NodeFilter.FILTER_REJECT;
+								}
+
+								return NodeFilter.FILTER_ACCEPT;
+							},
+						}
+					);
+
+					for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+						if (node.parentNode === root) {
+							section = node;
+						}
+
+						if (node.nodeType === Node.TEXT_NODE) {
+							addEntry(node, null, node.nodeValue, region.name);
+							continue;
+						}
+
+						ATTRIBUTES.forEach((attribute) => {
+							if (node.hasAttribute(attribute)) {
+								addEntry(node, attribute, node.getAttribute(attribute), region.name);
+							}
+						});
+					}
+				});
+			});
+
 			return {
-				element: document.body,
-				html: bodyClone.innerHTML,
-				translatorBlock: translatorBlock,
+				entries,
+				texts,
+				commentIds,
+				chunks: buildChunks(entries, texts),
+				title,
+				titleId: ids.get(['content', postId, '', title].join(':')),
 			};
 		}
 
 		/**
-		 * Applies the translation to the page.
+		 * Groups segment IDs into chunks that are translated separately.
+		 *
+		 * Each ID is sent once, in the chunk of its first occurrence. A chunk
+		 * holds the segments of one region of one post.
+		 *
+		 * @return {Array} Chunks, each with its `region`, `postId` and
+		 *                 segment `ids`.
 		 */
-		function applyTranslation(translation) {
-			// Update page title.
-			if (translation.title) {
-				document.title = translation.title;
-				
-				// Also update h1 if it matches the original title.
-				const h1 = document.querySelector('h1.entry-title, h1.post-title, article h1');
-				if (h1 && h1.textContent.trim() === originalTitle.trim()) {
-					h1.textContent = translation.title;
+		function buildChunks(entries, texts) {
+			const chunks = [];
+			const seen = new Set();
+			let chunk = null;
+			let size = 0;
+			let section = null;
+
+			entries.forEach((entry) => {
+				if (seen.has(entry.id)) {
+					return;
+				}
+
+				const length = texts[entry.id].length;
+				const isNewSection = entry.section !== section;
+
+				seen.add(entry.id);
+				section = entry.section;
+
+				// Prefer to end chunks between blocks, but split blocks too
+				// big for one chunk.
+				if (
+					chunk &&
+					(chunk.region !== entry.region ||
+						chunk.postId !== entry.postId ||
+						(isNewSection && size >= CHUNK_MIN_SIZE) ||
+						size + length > CHUNK_MAX_SIZE ||
+						chunk.ids.length >= CHUNK_MAX_SEGMENTS)
+				) {
+					chunks.push(chunk);
+					chunk = null;
 				}
+
+				if (!chunk) {
+					chunk = { region: entry.region, postId: entry.postId, ids: [] };
+					size = 0;
+				}
+
+				chunk.ids.push(entry.id);
+				size += length;
+			});
+
+			if (chunk) {
+				chunks.push(chunk);
 			}
 
-			// Update main content.
-			if (translation.content && originalContent && originalContent.mainContent) {
-				// Store reference to translator block
-				const currentTranslatorBlock = originalContent.mainContent.element.querySelector('.wp-block-jp-wp-ai-content-translator');
-				
-				// Apply translated content
-				originalContent.mainContent.element.innerHTML = translation.content;
-				
-				// Re-insert the translator block if it was in the content
-				if (currentTranslatorBlock) {
-					// Find where to insert it (try to put it back in the same position)
-					const firstChild = originalContent.mainContent.element.firstChild;
-					if (firstChild) {
-						originalContent.mainContent.element.insertBefore(currentTranslatorBlock, firstChild);
+			return chunks;
+		}
+
+		/**
+		 * Gets the regions of the page to translate.
+		 *
+		 * The content region is the first element matching one of its
+		 * selectors, plus the title heading when it is outside the content.
+		 * On listings, it is every post instead. The other regions are every
+		 * element matching one of theirs, left out when an earlier region
+		 * already has them.
+		 *
+		 * @return {Array} Regions with their `name` and `elements`.
+		 */
+		function getRegions() {
+			const claimed = new Set();
+
+			return Object.keys(regionSelectors).map((name) => {
+				let elements = [];
+
+				try {
+					if (name === 'content') {
+						elements = postId
+							? getContentElements(regionSelectors.content)
+							: Array.from(document.querySelectorAll('[class*="post-"]')).filter(getOwnPostId);
 					} else {
-						originalContent.mainContent.element.appendChild(currentTranslatorBlock);
+						elements = regionSelectors[name].flatMap((selector) => Array.from(document.querySelectorAll(selector)));
 					}
+				} catch (error) {
+					// A selector from the block settings may be invalid.
+					console.error('Invalid region selector:', error);
+				}
+
+				// Keep the outermost elements, and each element in one region.
+				elements = elements.filter(
+					(element, index) =>
+						!claimed.has(element) &&
+						elements.indexOf(element) === index &&
+						!elements.some((other) => other !== element && other.contains(element))
+				);
+				elements.forEach((element) => claimed.add(element));
+
+				return { name, elements };
+			});
+		}
+
+		/**
+		 * Gets the elements of the content region: the content, and the
+		 * title heading when it is outside the content.
+		 *
+		 * @param {string[]} selectors Selectors, in order of preference.
+		 */
+		function getContentElements(selectors) {
+			const heading = getTitleHeading();
+
+			for (const selector of selectors) {
+				const contentElement = document.querySelector(selector);
+
+				if (contentElement) {
+					return heading && !contentElement.contains(heading)
+						? [heading, contentElement]
+						: [contentElement];
+				}
+			}
+
+			return heading ? [heading] : [];
+		}
+
+		/**
+		 * Gets the ID of the post a node belongs to, from the `post-123`
+		 * class WordPress gives each post, or the post of a singular page.
+		 */
+		function getPostId(node) {
+			for (
+				let element = node.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+				element;
+				element = element.parentElement
+			) {
+				const ownPostId = getOwnPostId(element);
+
+				if (ownPostId) {
+					return ownPostId;
+				}
+			}
+
+			return postId;
+		}
+
+		/**
+		 * Gets the post ID in the classes of an element, or 0.
+		 */
+		function getOwnPostId(element) {
+			for (const className of element.classList) {
+				const match = /^post-(\d+)$/.exec(className);
+
+				if (match) {
+					return Number(match[1]);
+				}
+			}
+
+			return 0;
+		}
+
+		/**
+		 * Gets the ID of the comment a node belongs to, from the
+		 * `comment-123` ID core and most themes give each comment.
+		 */
+		function getCommentId(node) {
+			for (
+				let element = node.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+				element;
+				element = element.parentElement
+			) {
+				const match = /^comment-(\d+)$/.exec(element.id);
+
+				if (match) {
+					return match[1];
 				}
 			}
+
+			return null;
+		}
+
+		/**
+		 * Gets the heading that shows the post title.
+		 */
+		function getTitleHeading() {
+			return document.querySelector('h1.entry-title, h1.post-title, h1.wp-block-post-title, article h1');
+		}
+
+		/**
+		 * Writes a value into a segment, or its original value for null.
+		 */
+		function setSegment(entry, value) {
+			if (entry.attribute) {
+				entry.node.setAttribute(entry.attribute, value === null ? entry.original : value);
+			} else if (value === null) {
+				entry.node.nodeValue = entry.original;
+			} else {
+				// Keep the surrounding whitespace, it separates inline elements.
+				const [, leading, trailing] = entry.original.match(/^(\s*)[\s\S]*?(\s*)$/);
+				entry.node.nodeValue = leading + value + trailing;
+			}
+		}
+
+		/**
+		 * Applies the translation to the page.
+		 *
+		 * @param {Object} translations Translated texts keyed by segment ID,
+		 *                              for some or all segments.
+		 */
+		function applyTranslation(translations) {
+			segments.entries.forEach((entry) => {
+				if (typeof translations[entry.id] === 'string') {
+					setSegment(entry, translations[entry.id]);
+				}
+			});
+
+			// Update the page title, which includes the post title.
+			const titleId = segments.titleId;
+
+			if (segments.title && titleId !== undefined && typeof translations[titleId] === 'string') {
+				document.title = originalDocumentTitle.split(segments.title).join(translations[titleId]);
+			}
 		}
 
 		/**
 		 * Restores the original content.
 		 */
 		function restoreOriginalContent() {
-			if (!originalContent) {
-				return;
+			segments.entries.forEach((entry) => setSegment(entry, null));
+			document.title = originalDocumentTitle;
+			setLanguageAttributes(null);
+			restoreInterface();
+		}
+
+		/**
+		 * Shows the block's labels and messages in the language the page is
+		 * translated into. They stay in the site language if that fails.
+		 *
+		 * @param {string} langCode Language code.
+		 */
+		function translateInterface(langCode) {
+			const run = ++interfaceRun;
+			const texts = { ...originalStrings };
+
+			labelElements.forEach((element, index) => {
+				texts['label-' + index] = originalLabels.get(element);
+			});
+
+			const formData = new FormData();
+			formData.append('action', 'ai_translate_interface');
+			formData.append('nonce', aiContentTranslator.nonce);
+			formData.append('post_id', postId);
+			formData.append('target_lang', langCode);
+			formData.append('strings', JSON.stringify(texts));
+			formData.append('session', getSessionId());
+			// The server looks up the settings of the block by its ID.
+			formData.append('block_id', activeInstance.blockId);
+
+			fetch(aiContentTranslator.ajaxUrl, {
+				method: 'POST',
+				body: formData,
+			})
+				.then(response => response.json())
+				.then(data => {
+					if (!data.success || run !== interfaceRun) {
+						return;
+					}
+
+					const translated = data.data.strings;
+
+					strings = { ...originalStrings };
+					Object.keys(originalStrings).forEach((name) => {
+						if (typeof translated[name] === 'string') {
+							strings[name] = translated[name];
+						}
+					});
+
+					labelElements.forEach((element, index) => {
+						if (typeof translated['label-' + index] === 'string') {
+							setLabel(element, translated['label-' + index]);
+						}
+					});
+
+					instances.forEach((instance) => {
+						instance.progressBar.setAttribute('aria-label', strings.progressLabel);
+						instance.block.setAttribute('lang', langCode);
+						instance.block.setAttribute('dir', rtlLanguages.includes(langCode) ? 'rtl' : 'ltr');
+					});
+				})
+				.catch((error) => {
+					console.error('Interface translation error:', error);
+				});
+		}
+
+		/**
+		 * Shows the block's labels and messages in the site language again.
+		 */
+		function restoreInterface() {
+			// Ignore a response still on its way.
+			interfaceRun++;
+			strings = originalStrings;
+
+			labelElements.forEach((element) => setLabel(element, originalLabels.get(element)));
+			instances.forEach((instance) => {
+				instance.progressBar.setAttribute('aria-label', strings.progressLabel);
+				instance.block.setAttribute('lang', instance.language);
+				instance.block.setAttribute('dir', instance.direction);
+			});
+		}
+
+		/**
+		 * Sets the text of one of the blocks' labels.
+		 */
+		function setLabel(element, text) {
+			currentLabels.set(element, text);
+
+			// The translate buttons show a busy message while translating.
+			if (!element.classList.contains('content-translator-translate-button') || !element.disabled) {
+				element.textContent = text;
 			}
+		}
 
-			// Restore title.
-			document.title = originalContent.title;
+		/**
+		 * Marks the translated regions with the language and its text
+		 * direction, and the document with the language, so the text reads
+		 * the right way and screen readers pronounce it in that language.
+		 *
+		 * The direction of the document is left alone, since it also applies
+		 * to the theme, which is not translated.
+		 *
+		 * @param {string|null} langCode Language code, or null to restore the
+		 *                               original attributes.
+		 */
+		function setLanguageAttributes(langCode) {
+			const regions = getRegions().flatMap((region) => region.elements);
 
-			// Restore h1.
-			const h1 = document.querySelector('h1.entry-title, h1.post-title, article h1');
-			if (h1) {
-				// Extract title from original title (remove site name if present).
-				const titleParts = originalContent.title.split('|');
-				if (titleParts.length > 0) {
-					h1.textContent = titleParts[0].trim();
-				}
+			if (!originalLanguageAttributes) {
+				originalLanguageAttributes = new Map();
+
+				[document.documentElement, ...regions].forEach((element) => {
+					originalLanguageAttributes.set(element, {
+						lang: element.getAttribute('lang'),
+						dir: element.getAttribute('dir'),
+					});
+				});
 			}
 
-			// Restore main content.
-			if (originalContent.mainContent) {
-				// Store reference to the LIVE translator block (with event listeners)
-				const liveTranslatorBlock = originalContent.mainContent.element.querySelector('.wp-block-jp-wp-ai-content-translator');
-				
-				// Restore original HTML
-				originalContent.mainContent.element.innerHTML = originalContent.mainContent.html;
-				
-				// Re-insert the LIVE translator block to preserve event listeners
-				if (liveTranslatorBlock) {
-					// Find where the translator block should go
-					// If the original HTML had the translator block, replace it with the live one
-					const restoredTranslatorBlock = originalContent.mainContent.element.querySelector('.wp-block-jp-wp-ai-content-translator');
-					
-					if (restoredTranslatorBlock) {
-						// Replace the restored (dead) block with the live one
-						restoredTranslatorBlock.parentNode.replaceChild(liveTranslatorBlock, restoredTranslatorBlock);
-					} else {
-						// If not found, insert at the beginning
-						const firstChild = originalContent.mainContent.element.firstChild;
-						if (firstChild) {
-							originalContent.mainContent.element.insertBefore(liveTranslatorBlock, firstChild);
+			if (!langCode) {
+				originalLanguageAttributes.forEach((attributes, element) => {
+					['lang', 'dir'].forEach((name) => {
+						if (attributes[name] === null) {
+							element.removeAttribute(name);
 						} else {
-							originalContent.mainContent.element.appendChild(liveTranslatorBlock);
+							element.setAttribute(name, attributes[name]);
 						}
-					}
-				}
+					});
+				});
+				return;
 			}
+
+			document.documentElement.setAttribute('lang', langCode);
+
+			regions.forEach((element) => {
+				element.setAttribute('lang', langCode);
+				element.setAttribute('dir', rtlLanguages.includes(langCode) ? 'rtl' : 'ltr');
+			});
 		}
 
 		/**
 		 * Shows a status message.
 		 */
 		function showStatus(message, type) {
+			const { statusDiv } = activeInstance;
+
+			clearTimeout(statusTimer);
+
+			// Errors interrupt the screen reader, other messages wait their turn.
+			statusDiv.setAttribute('aria-live', type === 'error' ? 'assertive' : 'polite');
 			statusDiv.textContent = message;
 			statusDiv.className = 'content-translator-status content-translator-status-' + type;
 			
 			// Auto-hide success/info messages after 5 seconds.
 			if (type === 'success' || type === 'info') {
-				setTimeout(() => {
+				statusTimer = setTimeout(() => {
 					statusDiv.textContent = '';
 					statusDiv.className = 'content-translator-status';
 				}, 5000);
 			}
 		}
 
+		/**
+		 * Marks the language button of the current translation, if any.
+		 */
+		function markActiveLanguage(langCode) {
+			languageButtons.forEach((button) => {
+				const isActive = button.dataset.lang === langCode;
+				button.classList.toggle('is-active', isActive);
+
+				if (button.tagName === 'A') {
+					if (isActive) {
+						button.setAttribute('aria-current', 'true');
+					} else {
+						button.removeAttribute('aria-current');
+					}
+				} else {
+					button.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+				}
+			});
+		}
+
 		/**
 		 * Enables or disables the translation controls.
 		 */
 		function setControlsEnabled(enabled) {
-			languageSelect.disabled = !enabled;
-			translateBtn.disabled = !enabled;
-			
-			if (enabled) {
-				translateBtn.textContent = translateBtn.dataset.originalText || 'Translate';
-			} else {
-				if (!translateBtn.dataset.originalText) {
-					translateBtn.dataset.originalText = translateBtn.textContent;
+			languageButtons.forEach((button) => {
+				if (button.tagName === 'A') {
+					button.setAttribute('aria-disabled', enabled ? 'false' : 'true');
+				} else {
+					button.disabled = !enabled;
 				}
-				translateBtn.textContent = 'Translating...';
-			}
+			});
+
+			instances.forEach(({ languageSelect, translateBtn }) => {
+				if (!languageSelect) {
+					return;
+				}
+
+				languageSelect.disabled = !enabled;
+				translateBtn.disabled = !enabled;
+
+				translateBtn.textContent = enabled
+					? currentLabels.get(translateBtn)
+					: strings.translating;
+			});
 		}
 	}
 })();
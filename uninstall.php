@@ -0,0 +1,17 @@
+<?php
+/**
+ * Uninstall
+ *
+ * Removes the usage log when the plugin is deleted.
+ *
+ * @package JP\WP_AI
+ */
+
+// Exit if not called by WordPress.
+if ( ! defined( 'WP_UNINSTALL_PLUGIN' ) ) {
+	exit;
+}
+
+require_once __DIR__ . '/includes/Services/Usage_Log.php';
+
+JP\WP_AI\Services\Usage_Log::uninstall();